@@ -0,0 +1,105 @@
+// /api/ad-callback.js
+
+/**
+ * Server-to-server reward postbacks from ad networks.
+ * GET or POST /api/ad-callback?network=<name>&... (see /lib/ad-networks.js for the signed parameters).
+ *
+ * The ad reward is credited here, never by the browser: the client only polls "watchAd"
+ * for the outcome of the postback linked to its action ID.
+ */
+const { sendSuccess, sendError, readRawBody } = require('../lib/http');
+const { verifyPostback } = require('../lib/ad-networks');
+const { rewardAdView } = require('../lib/ad-rewards');
+const { describeRetryAfter } = require('../lib/rate-limit');
+const storage = require('../lib/storage');
+const { logger, setRequestFields } = require('../lib/logger');
+const { instrument } = require('../lib/observability');
+
+const DEFAULT_NETWORK = 'gigapub';
+
+/**
+ * Collects postback parameters from the query string and, for POST, a JSON or form-encoded body.
+ */
+async function readPostbackParams(req) {
+    const url = new URL(req.url || '/', 'http://localhost');
+    const params = Object.fromEntries(url.searchParams.entries());
+
+    if (req.method === 'POST') {
+        const raw = await readRawBody(req);
+        if (raw) {
+            const isJson = String(req.headers['content-type'] || '').includes('application/json');
+            Object.assign(params, isJson ? JSON.parse(raw) : Object.fromEntries(new URLSearchParams(raw).entries()));
+        }
+    }
+    return params;
+}
+
+module.exports = instrument('ad-callback', async (req, res) => {
+    if (req.method !== 'GET' && req.method !== 'POST') {
+        return sendError(res, `Method ${req.method} not allowed.`, 405);
+    }
+
+    let params;
+    try {
+        params = await readPostbackParams(req);
+    } catch (error) {
+        return sendError(res, 'Invalid postback payload.', 400);
+    }
+
+    // 1. Verify the network's signature
+    const network = params.network || DEFAULT_NETWORK;
+    const verification = verifyPostback(network, params);
+    if (!verification.ok) {
+        return sendError(res, verification.message, verification.status);
+    }
+    const { postback } = verification;
+    setRequestFields({ type: network, userId: postback.userId });
+
+    try {
+        // 2. Networks retry deliveries: the same event is only processed once
+        const existing = await storage.getAdPostback(network, postback.eventId);
+        if (existing) {
+            return sendSuccess(res, { duplicate: true, credited: existing.status === 'credited' });
+        }
+
+        // 3. Credit the ad view linked to the issued action ID
+        const result = await rewardAdView({ userId: postback.userId, actionId: postback.actionId });
+
+        // A retryable rejection (rate limit) is not recorded, so the network's retry is processed normally
+        if (!result.ok && result.retryable) {
+            if (result.retryAfterMs) {
+                res.setHeader('Retry-After', String(describeRetryAfter(result.retryAfterMs).seconds));
+            }
+            return sendError(res, result.message, result.status, result.code);
+        }
+
+        // 4. Record the outcome, which the client's "watchAd" request reads
+        try {
+            await storage.insertAdPostback({
+                network,
+                event_id: postback.eventId,
+                action_id: postback.actionId,
+                user_id: postback.userId,
+                status: result.ok ? 'credited' : 'rejected',
+                reward: result.ok ? result.reward : null,
+                reject_status: result.ok ? null : result.status,
+                reject_code: result.ok ? null : result.code,
+                reject_reason: result.ok ? null : result.message
+            });
+        } catch (error) {
+            // A concurrent delivery of the same event already recorded it. A credit stays visible to
+            // the client anyway: "watchAd" falls back to the ad's ledger entry.
+            logger.warn('Ad postback not recorded', { network, event_id: postback.eventId, error: error.message });
+        }
+
+        if (!result.ok) {
+            logger.warn('Ad postback rejected', { network, event_id: postback.eventId, code: result.code, reason: result.message });
+            return sendSuccess(res, { credited: false, reason: result.message });
+        }
+
+        sendSuccess(res, { credited: true, reward: result.reward });
+    } catch (error) {
+        logger.error('Ad postback failed', { network, event_id: postback.eventId, error: error.message });
+        sendError(res, 'Failed to process postback.', 500);
+    }
+});
@@ -0,0 +1,165 @@
+// /api/bot-webhook.js
+
+/**
+ * Telegram bot webhook: POST /api/bot-webhook
+ *
+ * Register it once with setWebhook, passing the same secret as BOT_WEBHOOK_SECRET:
+ *   https://api.telegram.org/bot<BOT_TOKEN>/setWebhook?url=<host>/api/bot-webhook&secret_token=<BOT_WEBHOOK_SECRET>
+ * Telegram then sends that secret in the X-Telegram-Bot-Api-Secret-Token header of every update.
+ *
+ * Commands (private chats only):
+ *   /start [ref_<id>]  registers the user with the same rules as the Mini App "register" request
+ *   /balance           balance and today's ad/spin counts
+ *   /help              how the bot works
+ *
+ * Replies go through the shared Bot API client (see /lib/telegram.js).
+ */
+const crypto = require('crypto');
+const { sendSuccess, sendError, readJsonBody } = require('../lib/http');
+const storage = require('../lib/storage');
+const { getBotApi } = require('../lib/telegram');
+const { registerUser } = require('../lib/users');
+const { getDailyUsage } = require('../lib/limits');
+const { ECONOMY } = require('../lib/config');
+const { getMinimumWithdrawal, listEnabledPayoutMethods } = require('../lib/payouts');
+const { getActiveBan } = require('../lib/bans');
+const { logger, setRequestFields } = require('../lib/logger');
+const { instrument } = require('../lib/observability');
+
+const BOT_WEBHOOK_SECRET = process.env.BOT_WEBHOOK_SECRET;
+const MINI_APP_LINK = process.env.MINI_APP_LINK || 'https://t.me/Game_win_usdtBot/earn';
+const REF_PREFIX = 'ref_';
+
+const OPEN_APP_MARKUP = {
+    reply_markup: { inline_keyboard: [[{ text: '🚀 Open the app', url: MINI_APP_LINK }]] }
+};
+
+function isValidSecret(header) {
+    if (!BOT_WEBHOOK_SECRET || typeof header !== 'string') return false;
+    const expected = Buffer.from(BOT_WEBHOOK_SECRET);
+    const received = Buffer.from(header);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Splits "/start@SomeBot ref_42" into { command: "start", args: "ref_42" }.
+ */
+function parseCommand(text) {
+    const match = /^\/([a-z_]+)(?:@\w+)?(?:\s+(.*))?$/i.exec(String(text || '').trim());
+    return match ? { command: match[1].toLowerCase(), args: (match[2] || '').trim() } : null;
+}
+
+/**
+ * "Restricted" reply with the ban reason and end date; the appeal form is in the app.
+ */
+function banText(ban) {
+    const until = ban.expires_at
+        ? `until ${new Date(ban.expires_at).toISOString().replace('T', ' ').slice(0, 16)} UTC`
+        : 'permanently';
+    return `🚨 This account is restricted ${until}.\nReason: ${ban.reason.replace(/_/g, ' ')}` +
+        (ban.note ? `\n${ban.note}` : '') +
+        '\n\nOpen the app to appeal.';
+}
+
+function helpText() {
+    return [
+        `💰 Earn ${ECONOMY.currency} in the app:`,
+        `• Watch ads: ${ECONOMY.ads.reward} ${ECONOMY.currency} each, up to ${ECONOMY.ads.daily_max} a day`,
+        `• Spin the wheel: up to ${ECONOMY.spins.daily_max} spins a day`,
+        '• Check in daily and complete tasks for bonus rewards',
+        '• Invite friends and earn a share of what they earn from ads',
+        '',
+        `Withdraw from ${getMinimumWithdrawal()} ${ECONOMY.currency} (${listEnabledPayoutMethods().map(m => m.label).join(', ')}); I will message you when your withdrawal is approved, paid or rejected.`,
+        '',
+        '/balance – your balance and today\'s progress',
+        '/help – this message'
+    ].join('\n');
+}
+
+async function handleStart(chatId, from, args) {
+    const userId = from.id;
+    const refBy = args.startsWith(REF_PREFIX) ? args.substring(REF_PREFIX.length) : null;
+    const result = await registerUser(userId, refBy, { firstName: from.first_name });
+
+    if (!result.ok) {
+        return getBotApi().sendMessage(chatId, banText(result.ban), OPEN_APP_MARKUP);
+    }
+
+    const greeting = result.created ? '👋 Welcome! Your account is ready.' : '👋 Welcome back!';
+    return getBotApi().sendMessage(chatId, `${greeting}\n\n${helpText()}`, OPEN_APP_MARKUP);
+}
+
+async function handleBalance(chatId, userId) {
+    const user = await storage.getUser(userId);
+    if (!user) {
+        return getBotApi().sendMessage(chatId, 'You do not have an account yet. Send /start to create one.');
+    }
+    const ban = await getActiveBan(userId);
+    if (ban) {
+        return getBotApi().sendMessage(chatId, banText(ban), OPEN_APP_MARKUP);
+    }
+
+    const usage = await getDailyUsage(userId);
+    const text = [
+        `💰 Balance: ${Number(user.balance).toLocaleString('en-US')} ${ECONOMY.currency}`,
+        `📺 Ads today: ${usage.ads_watched} / ${ECONOMY.ads.daily_max}`,
+        `🎡 Spins today: ${usage.spins} / ${ECONOMY.spins.daily_max}`,
+        `⏰ Limits reset at ${new Date(usage.resets_at).toISOString().replace('T', ' ').slice(0, 16)} UTC`
+    ].join('\n');
+    return getBotApi().sendMessage(chatId, text, OPEN_APP_MARKUP);
+}
+
+module.exports = instrument('bot-webhook', async (req, res) => {
+    if (req.method !== 'POST') {
+        return sendError(res, `Method ${req.method} not allowed.`, 405);
+    }
+
+    // 1. Only Telegram knows the webhook secret
+    if (!BOT_WEBHOOK_SECRET) {
+        return sendError(res, 'Bot webhook is not configured.', 503);
+    }
+    if (!isValidSecret(req.headers['x-telegram-bot-api-secret-token'])) {
+        logger.warn('Bot webhook rejected: invalid secret token.');
+        return sendError(res, 'Invalid secret token.', 401);
+    }
+
+    let update;
+    try {
+        update = await readJsonBody(req);
+    } catch (error) {
+        return sendError(res, error.message, 400);
+    }
+
+    // 2. Only text commands in private chats are handled; everything else is acknowledged and ignored
+    const message = update.message;
+    const parsed = message && message.chat && message.chat.type === 'private' && message.from && parseCommand(message.text);
+    if (!parsed) {
+        return sendSuccess(res, { handled: false });
+    }
+
+    const chatId = message.chat.id;
+    const userId = message.from.id;
+    setRequestFields({ type: `/${parsed.command}`, userId });
+
+    // 3. Route the command (a 500 makes Telegram redeliver the update later)
+    try {
+        switch (parsed.command) {
+            case 'start':
+                await handleStart(chatId, message.from, parsed.args);
+                break;
+            case 'balance':
+                await handleBalance(chatId, userId);
+                break;
+            case 'help':
+                await getBotApi().sendMessage(chatId, helpText(), OPEN_APP_MARKUP);
+                break;
+            default:
+                await getBotApi().sendMessage(chatId, 'Unknown command. Send /help to see what I can do.');
+                break;
+        }
+        sendSuccess(res, { handled: true });
+    } catch (error) {
+        logger.error('Bot command failed', { command: parsed.command, user_id: userId, error: error.message });
+        sendError(res, 'Failed to handle command.', 500);
+    }
+});
@@ -0,0 +1,32 @@
+// /api/health.js
+
+/**
+ * Health check for uptime monitors and the deployment pipeline (no authentication).
+ * GET /api/health
+ *
+ * 200 when storage answers and the configuration is complete, else 503; the body lists each check:
+ *
+ *   { ok: true, data: { status: "ok", checks: { storage: { ok, backend, latency_ms },
+ *                                                config: { ok, missing, optional_missing } } } }
+ */
+const { sendError } = require('../lib/http');
+const { instrument, runHealthChecks } = require('../lib/observability');
+
+module.exports = instrument('health', async (req, res) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        return sendError(res, `Method ${req.method} not allowed.`, 405);
+    }
+
+    const health = await runHealthChecks();
+    const data = { status: health.ok ? 'ok' : 'unavailable', checks: health.checks };
+    // ⬅️ A failure has the shape of every other error, so monitors can alert on the code
+    const payload = health.ok
+        ? { ok: true, data }
+        : { ok: false, code: 'UNAVAILABLE', error: 'Health check failed.', request_id: res.requestId, data };
+    if (!health.ok) {
+        res.errorCode = 'UNAVAILABLE';
+    }
+
+    res.writeHead(health.ok ? 200 : 503, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+    res.end(req.method === 'HEAD' ? undefined : JSON.stringify(payload));
+});
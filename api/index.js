@@ -3,164 +3,73 @@
 /**
  * SHIB Ads WebApp Backend API
  * Handles all POST requests from the Telegram Mini App frontend.
- * Uses the Supabase REST API for persistence.
+ * Persistence goes through the repository layer (/lib/storage), backed by Supabase or an in-memory store.
+ * Every balance change is an entry in the append-only ledger (/lib/ledger.js).
  */
 const crypto = require('crypto');
+const { sendSuccess, sendError, readJsonBody, getClientIp } = require('../lib/http');
+const { getDailyUsage, incrementDailyUsage } = require('../lib/limits');
+const storage = require('../lib/storage');
+const ledger = require('../lib/ledger');
+const { AD_CALLBACK_WINDOW_MS } = require('../lib/ad-rewards');
+const { ECONOMY, pickSpinSector } = require('../lib/config');
+const { getCheckInStatus, claimCheckIn } = require('../lib/check-in');
+const tasks = require('../lib/tasks');
+const { LEADERBOARD_METRICS, LEADERBOARD_PERIODS, getLeaderboard } = require('../lib/leaderboard');
+const { registerUser } = require('../lib/users');
+const { getReferralDashboard } = require('../lib/referrals');
+const history = require('../lib/history');
+const stats = require('../lib/stats');
+const { notifyWithdrawalStatus } = require('../lib/notifications');
+const { validatePayoutRequest } = require('../lib/payouts');
+const withdrawalPolicy = require('../lib/withdrawal-policy');
+const fraud = require('../lib/fraud');
+const bans = require('../lib/bans');
+const { getActiveBan, describeBan } = bans;
+const { resolveLocale, getInitDataLanguage } = require('../lib/i18n');
+const { ERROR_CODES } = require('../lib/errors');
+const { validateInput, describeRoutes } = require('../lib/router');
+const { RATE_LIMIT_POLICIES, consumeRateLimit, getPolicyBuckets, describeRetryAfter } = require('../lib/rate-limit');
+const { IDEMPOTENCY_KEY_INPUT, runIdempotent } = require('../lib/idempotency');
+const { logger, setRequestFields } = require('../lib/logger');
+const { instrument } = require('../lib/observability');
 
-// Load environment variables for Supabase connection
-const SUPABASE_URL = process.env.NEXT_PUBLIC_SUPABASE_URL;
-const SUPABASE_ANON_KEY = process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY;
 // ⚠️ BOT_TOKEN must be set in Vercel environment variables
 const BOT_TOKEN = process.env.BOT_TOKEN;
+// ⚠️ ADMIN_API_KEYS must be set in Vercel environment variables, format: "name:key,name2:key2"
+const ADMIN_API_KEYS = process.env.ADMIN_API_KEYS;
 
 // ------------------------------------------------------------------
 // Fully secured and defined server-side constants
+// (economy values — rewards, limits, spin sectors — live in /config/economy.json)
 // ------------------------------------------------------------------
-const REWARD_PER_AD = 3;
-const REFERRAL_COMMISSION_RATE = 0.05;
-const DAILY_MAX_ADS = 100; // Max ads limit
-const DAILY_MAX_SPINS = 15; // Max spins limit
-const MIN_TIME_BETWEEN_ACTIONS_MS = 3000; // 3 seconds minimum time between watchAd/spin requests
 const ACTION_ID_EXPIRY_MS = 60000; // 60 seconds for Action ID to be valid
-const SPIN_SECTORS = [5, 10, 15, 20, 5];
+const SPIN_SESSION_TTL_MS = 10 * 60 * 1000; // 10 minutes to watch the ad and resolve a registered spin
+const WITHDRAWAL_STATUSES = ['pending', 'held', 'approved', 'rejected', 'paid'];
+const ADMIN_LIST_DEFAULT_LIMIT = 50;
+const ADMIN_LIST_MAX_LIMIT = 200;
+const LEADERBOARD_DEFAULT_LIMIT = 20;
+const LEADERBOARD_MAX_LIMIT = 100;
+const REFERRALS_DEFAULT_LIMIT = 20;
+const REFERRALS_MAX_LIMIT = 100;
+const HISTORY_DEFAULT_LIMIT = 20;
+const HISTORY_MAX_LIMIT = 100;
+const FRAUD_CLUSTERS_DEFAULT_LIMIT = 20;
+const FRAUD_CLUSTERS_MAX_LIMIT = 50;
+const MODERATION_LOG_DEFAULT_LIMIT = 50;
+const MODERATION_LOG_MAX_LIMIT = 200;
 
-/**
- * Helper function to randomly select a prize from the defined sectors and return its index.
- */
-function calculateRandomSpinPrize() {
-    const randomIndex = Math.floor(Math.random() * SPIN_SECTORS.length);
-    const prize = SPIN_SECTORS[randomIndex];
-    return { prize, prizeIndex: randomIndex };
-}
-
-// --- Helper Functions ---
-
-function sendSuccess(res, data = {}) {
-  res.writeHead(200, { 'Content-Type': 'application/json' });
-  res.end(JSON.stringify({ ok: true, data }));
-}
-
-function sendError(res, message, statusCode = 400) {
-  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
-  res.end(JSON.stringify({ ok: false, error: message }));
-}
-
-async function supabaseFetch(tableName, method, body = null, queryParams = '?select=*') {
-  if (!SUPABASE_URL || !SUPABASE_ANON_KEY) {
-    throw new Error('Supabase environment variables are not configured.');
-  }
-
-  const url = `${SUPABASE_URL}/rest/v1/${tableName}${queryParams}`;
-
-  const headers = {
-    'apikey': SUPABASE_ANON_KEY,
-    'Authorization': `Bearer ${SUPABASE_ANON_KEY}`,
-    'Content-Type': 'application/json',
-    'Prefer': 'return=representation'
-  };
-
-  const options = {
-    method,
-    headers,
-    body: body ? JSON.stringify(body) : null,
-  };
-
-  const response = await fetch(url, options);
-
-  if (response.ok) {
-      const responseText = await response.text();
-      try {
-          const jsonResponse = JSON.parse(responseText);
-          return Array.isArray(jsonResponse) ? jsonResponse : { success: true };
-      } catch (e) {
-          return { success: true };
-      }
-  }
-
-  let data;
-  try {
-      data = await response.json();
-  } catch (e) {
-      const errorMsg = `Supabase error: ${response.status} ${response.statusText}`;
-      throw new Error(errorMsg);
-  }
-
-  const errorMsg = data.message || `Supabase error: ${response.status} ${response.statusText}`;
-  throw new Error(errorMsg);
-}
-
-/**
- * Daily Reset Logic: Resets ad/spin counters if 24 hours passed since last activity.
- */
-async function resetDailyLimitsIfExpired(userId) {
-    const twentyFourHours = 24 * 60 * 60 * 1000;
-    const now = Date.now();
-
-    try {
-        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${userId}&select=ads_watched_today,spins_today,last_activity`);
-        if (!Array.isArray(users) || users.length === 0) {
-            return;
-        }
-
-        const user = users[0];
-        const lastActivity = user.last_activity ? new Date(user.last_activity).getTime() : 0;
-
-        if (now - lastActivity > twentyFourHours) {
-            const updatePayload = {};
-            if (user.ads_watched_today > 0) {
-                updatePayload.ads_watched_today = 0;
-            }
-            if (user.spins_today > 0) {
-                updatePayload.spins_today = 0;
-            }
-
-            if (Object.keys(updatePayload).length > 0) {
-                console.log(`Resetting limits for user ${userId}.`);
-                await supabaseFetch('users', 'PATCH',
-                    updatePayload,
-                    `?id=eq.${userId}`);
-            }
-        }
-    } catch (error) {
-        console.error(`Failed to check/reset daily limits for user ${userId}:`, error.message);
-    }
-}
+// ------------------------------------------------------------------
+// 🔒 Action ID Security System (Server-Issued ID)
+// ------------------------------------------------------------------
 
 /**
- * Rate Limiting Check for Ad/Spin Actions
+ * watchAd IDs stay valid until the ad network's postback arrives; other actions use them right away.
  */
-async function checkRateLimit(userId) {
-    try {
-        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${userId}&select=last_activity`);
-        if (!Array.isArray(users) || users.length === 0) {
-            return { ok: true };
-        }
-
-        const user = users[0];
-        const lastActivity = user.last_activity ? new Date(user.last_activity).getTime() : 0;
-        const now = Date.now();
-        const timeElapsed = now - lastActivity;
-
-        if (timeElapsed < MIN_TIME_BETWEEN_ACTIONS_MS) {
-            const remainingTime = MIN_TIME_BETWEEN_ACTIONS_MS - timeElapsed;
-            return {
-                ok: false,
-                message: `Rate limit exceeded. Please wait ${Math.ceil(remainingTime / 1000)} seconds before the next action.`,
-                remainingTime: remainingTime
-            };
-        }
-
-        return { ok: true };
-    } catch (error) {
-        console.error(`Rate limit check failed for user ${userId}:`, error.message);
-        return { ok: true };
-    }
+function getActionIdExpiryMs(actionType) {
+    return actionType === 'watchAd' ? AD_CALLBACK_WINDOW_MS : ACTION_ID_EXPIRY_MS;
 }
 
-// ------------------------------------------------------------------
-// 🔒 Action ID Security System (Server-Issued ID)
-// ------------------------------------------------------------------
-
 /**
  * Generates a strong, random ID for the client to use only once.
  */
@@ -173,84 +82,103 @@ function generateStrongId() {
  * The client requests an action ID before starting a critical action (ad/spin).
  */
 async function handleGenerateActionId(req, res, body) {
-    const { user_id, action_type } = body;
-    const id = parseInt(user_id);
-    
-    if (!action_type) {
-        return sendError(res, 'Missing action_type.', 400);
-    }
+    const { user_id: id, action_type } = body;
     
     // Check if the user already has an unexpired ID for this action type
     try {
-        const existingIds = await supabaseFetch('temp_actions', 'GET', null, `?user_id=eq.${id}&action_type=eq.${action_type}&select=action_id,created_at`);
+        const existingId = await storage.getActionId(id, action_type);
         
-        if (Array.isArray(existingIds) && existingIds.length > 0) {
-            const lastIdTime = new Date(existingIds[0].created_at).getTime();
-            if (Date.now() - lastIdTime < ACTION_ID_EXPIRY_MS) {
+        if (existingId) {
+            const lastIdTime = new Date(existingId.created_at).getTime();
+            if (Date.now() - lastIdTime < getActionIdExpiryMs(action_type)) {
                  // If the existing ID is still valid, return it to prevent spamming the table
-                return sendSuccess(res, { action_id: existingIds[0].action_id });
+                return sendSuccess(res, { action_id: existingId.action_id });
             } else {
                  // Clean up expired ID before creating a new one
-                 await supabaseFetch('temp_actions', 'DELETE', null, `?user_id=eq.${id}&action_type=eq.${action_type}`);
+                 await storage.deleteActionIds(id, action_type);
             }
         }
     } catch(e) {
-        console.warn('Error checking existing temp_actions:', e.message);
+        logger.warn('Error checking existing temp_actions', { error: e.message });
     }
     
     // Generate and save the new ID
     const newActionId = generateStrongId();
     
     try {
-        await supabaseFetch('temp_actions', 'POST',
-            { user_id: id, action_id: newActionId, action_type: action_type },
-            '?select=action_id');
+        await storage.insertActionId({ user_id: id, action_id: newActionId, action_type: action_type });
             
         sendSuccess(res, { action_id: newActionId });
     } catch (error) {
         // This catches if the ID was somehow duplicated (highly unlikely with strong ID)
-        console.error('Failed to generate and save action ID:', error.message);
+        logger.error('Failed to generate and save action ID', { error: error.message });
         sendError(res, 'Failed to generate security token.', 500);
     }
 }
 
 
 /**
- * Middleware: Checks if the Action ID is valid (exists, not expired, matches user/type) and then deletes it.
+ * Middleware: Consumes the Action ID (must exist and match user/type) and checks it has not expired.
  */
 async function validateAndUseActionId(res, userId, actionId, actionType) {
     if (!actionId) {
-        sendError(res, 'Missing Server Token (Action ID). Request rejected.', 400);
+        sendError(res, 'Missing Server Token (Action ID). Request rejected.', 400, 'TOKEN_MISSING');
         return false;
     }
     
     try {
-        const query = `?user_id=eq.${userId}&action_id=eq.${actionId}&action_type=eq.${actionType}&select=id,created_at`;
-        const records = await supabaseFetch('temp_actions', 'GET', null, query);
+        // 1. Use the token: consuming deletes it atomically, so it can never be reused
+        const record = await storage.consumeActionId(userId, actionId, actionType);
         
-        if (!Array.isArray(records) || records.length === 0) {
-            sendError(res, 'Invalid or previously used Server Token (Action ID).', 409); // 409 Conflict
+        if (!record) {
+            sendError(res, 'Invalid or previously used Server Token (Action ID).', 409, 'TOKEN_INVALID'); // 409 Conflict
             return false;
         }
         
-        const record = records[0];
+        // 2. Check Expiration (60 seconds)
         const recordTime = new Date(record.created_at).getTime();
-        
-        // 1. Check Expiration (60 seconds)
         if (Date.now() - recordTime > ACTION_ID_EXPIRY_MS) {
-            // Delete the expired token and send error
-            await supabaseFetch('temp_actions', 'DELETE', null, `?id=eq.${record.id}`);
-            sendError(res, 'Server Token (Action ID) expired. Please try again.', 408); // 408 Request Timeout
+            sendError(res, 'Server Token (Action ID) expired. Please try again.', 408, 'TOKEN_EXPIRED'); // 408 Request Timeout
+            return false;
+        }
+
+        return true;
+
+    } catch (error) {
+        logger.error('Error validating Action ID', { action_id: actionId, error: error.message });
+        sendError(res, 'Security validation failed.', 500);
+        return false;
+    }
+}
+
+/**
+ * Checks the Action ID (must exist, match user/type and not be expired) without consuming it.
+ * For requests that consume it in the same transaction as their credit (checkIn, claimTask), so a
+ * request that fails leaves the ID for its retry. An expired ID is consumed here.
+ */
+async function validateActionId(res, userId, actionId, actionType) {
+    if (!actionId) {
+        sendError(res, 'Missing Server Token (Action ID). Request rejected.', 400, 'TOKEN_MISSING');
+        return false;
+    }
+
+    try {
+        const record = await storage.findActionId(userId, actionId, actionType);
+        if (!record) {
+            sendError(res, 'Invalid or previously used Server Token (Action ID).', 409, 'TOKEN_INVALID');
             return false;
         }
 
-        // 2. Use the token: Delete it to prevent reuse
-        await supabaseFetch('temp_actions', 'DELETE', null, `?id=eq.${record.id}`);
+        if (Date.now() - new Date(record.created_at).getTime() > ACTION_ID_EXPIRY_MS) {
+            await storage.consumeActionId(userId, actionId, actionType);
+            sendError(res, 'Server Token (Action ID) expired. Please try again.', 408, 'TOKEN_EXPIRED');
+            return false;
+        }
 
         return true;
 
     } catch (error) {
-        console.error(`Error validating Action ID ${actionId}:`, error.message);
+        logger.error('Error validating Action ID', { action_id: actionId, error: error.message });
         sendError(res, 'Security validation failed.', 500);
         return false;
     }
@@ -262,7 +190,7 @@ async function validateAndUseActionId(res, userId, actionId, actionType) {
 // ------------------------------------------------------------------
 function validateInitData(initData) {
     if (!initData || !BOT_TOKEN) {
-        console.warn('Security Check Failed: initData or BOT_TOKEN is missing.');
+        logger.warn('Security Check Failed: initData or BOT_TOKEN is missing.');
         return false;
     }
 
@@ -284,13 +212,13 @@ function validateInitData(initData) {
         .digest('hex');
 
     if (calculatedHash !== hash) {
-        console.warn(`Security Check Failed: Hash mismatch.`);
+        logger.warn('Security Check Failed: Hash mismatch.');
         return false;
     }
 
     const authDateParam = urlParams.get('auth_date');
     if (!authDateParam) {
-        console.warn('Security Check Failed: auth_date is missing.');
+        logger.warn('Security Check Failed: auth_date is missing.');
         return false;
     }
 
@@ -299,68 +227,151 @@ function validateInitData(initData) {
     const expirationTime = 1200 * 1000; // 20 minutes limit
 
     if (currentTime - authDate > expirationTime) {
-        console.warn(`Security Check Failed: Data expired.`);
+        logger.warn('Security Check Failed: Data expired.');
         return false;
     }
 
     return true;
 }
 
+/**
+ * The Telegram user object of an initData string (only trust it after validateInitData), or null.
+ */
+function getInitDataUser(initData) {
+    try {
+        return JSON.parse(new URLSearchParams(initData).get('user') || 'null');
+    } catch (e) {
+        return null;
+    }
+}
+
+// ------------------------------------------------------------------
+// **Admin Credential Validation** (separate from Telegram initData)
+// ------------------------------------------------------------------
+
+/**
+ * Constant-time string comparison to avoid leaking key contents through timing.
+ */
+function safeEqual(a, b) {
+    const bufA = Buffer.from(String(a));
+    const bufB = Buffer.from(String(b));
+    if (bufA.length !== bufB.length) {
+        return false;
+    }
+    return crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Resolves the admin name from the "Authorization: Bearer <key>" header.
+ * Returns null if the key is missing or does not match any configured admin.
+ */
+function authenticateAdmin(req) {
+    if (!ADMIN_API_KEYS) {
+        logger.warn('Admin Check Failed: ADMIN_API_KEYS is not configured.');
+        return null;
+    }
+
+    const header = req.headers['authorization'] || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    if (!match) {
+        return null;
+    }
+    const providedKey = match[1].trim();
+
+    for (const entry of ADMIN_API_KEYS.split(',')) {
+        const separator = entry.indexOf(':');
+        if (separator <= 0) continue;
+        const name = entry.slice(0, separator).trim();
+        const key = entry.slice(separator + 1).trim();
+        if (key && safeEqual(key, providedKey)) {
+            return name;
+        }
+    }
+
+    logger.warn('Admin Check Failed: Unknown admin key.');
+    return null;
+}
+
 // --- API Handlers ---
 
+/**
+ * HANDLER: type: "getConfig"
+ * Serves the economy configuration so the frontend draws the wheel, limits and
+ * withdrawal rules from the same values the server enforces.
+ */
+async function handleGetConfig(req, res, body) {
+    sendSuccess(res, ECONOMY);
+}
+
 /**
  * HANDLER: type: "getUserData"
  */
 async function handleGetUserData(req, res, body) {
-    const { user_id } = body;
-    if (!user_id) {
-        return sendError(res, 'Missing user_id for data fetch.');
-    }
-    const id = parseInt(user_id);
+    const id = body.user_id;
 
     try {
         // 1. Update last_activity immediately
-        await supabaseFetch('users', 'PATCH',
-            { last_activity: new Date().toISOString() },
-            `?id=eq.${id}&select=id`);
+        await storage.updateUser(id, { last_activity: new Date().toISOString() });
 
-        // 2. Check and reset daily limits (if 24 hours passed)
-        await resetDailyLimitsIfExpired(id);
+        // 2. Today's ad/spin counts (calendar day in the reset timezone) and the next reset time
+        const usage = await getDailyUsage(id);
 
         // 3. Fetch user data
-        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${id}&select=balance,ads_watched_today,spins_today,last_activity,is_banned`);
+        const user = await storage.getUser(id);
 
-        if (!users || users.length === 0 || users.success) {
+        if (!user) {
             return sendSuccess(res, {
-                balance: 0, ads_watched_today: 0, spins_today: 0, referrals_count: 0, withdrawal_history: [], is_banned: false
+                balance: 0, ads_watched_today: 0, spins_today: 0, resets_at: usage.resets_at,
+                referrals_count: 0, withdrawal_history: [], is_banned: false
             });
         }
 
-        const userData = users[0];
-
-        // ⚠️ Banned Check - Exit immediately if banned
-        if (userData.is_banned) {
-             return sendSuccess(res, { is_banned: true, message: "User is banned from accessing the app." });
+        // ⚠️ Banned Check - Exit immediately if banned, with the reason, end date and appeal state
+        const ban = await getActiveBan(id);
+        if (ban) {
+             return sendSuccess(res, { is_banned: true, ban: await bans.getBanDetails(ban), message: describeBan(ban) });
         }
 
+        const { balance, last_activity } = user;
+        const userData = {
+            balance,
+            ads_watched_today: usage.ads_watched,
+            spins_today: usage.spins,
+            resets_at: usage.resets_at,
+            last_activity,
+            is_banned: false
+        };
+
 
         // 4. Fetch referrals count
-        const referrals = await supabaseFetch('users', 'GET', null, `?ref_by=eq.${id}&select=id`);
-        const referralsCount = Array.isArray(referrals) ? referrals.length : 0;
+        const referralsCount = await storage.countReferrals(id);
 
         // 5. Fetch withdrawal history
-        const history = await supabaseFetch('withdrawals', 'GET', null, `?user_id=eq.${id}&select=amount,status,created_at&order=created_at.desc`);
-        const withdrawalHistory = Array.isArray(history) ? history : [];
+        const history = await storage.listUserWithdrawals(id);
+        const withdrawalHistory = history.map(({ amount, method, fee, net_amount, status, created_at, decision_note }) =>
+            ({ amount, method, fee, net_amount, status, created_at, decision_note }));
+
+        // 6. Open spin session, so an interrupted spin can be resumed after a reload
+        const pendingSpin = await getOpenSpinSession(id);
+
+        // 7. Check-in streak: current streak, whether today is claimed, and the next reward
+        const checkIn = await getCheckInStatus(id);
+
+        // 8. Withdrawal requirements still to meet and what is left of the caps, for the withdraw screen
+        const withdrawalStatus = await withdrawalPolicy.getWithdrawalStatus(user);
 
         sendSuccess(res, {
             ...userData,
             referrals_count: referralsCount,
-            withdrawal_history: withdrawalHistory
+            withdrawal_history: withdrawalHistory,
+            pending_spin: pendingSpin ? { spin_id: pendingSpin.id, expires_at: pendingSpin.expires_at } : null,
+            check_in: checkIn,
+            withdrawal_status: withdrawalStatus
         });
 
     } catch (error) {
-        console.error('GetUserData failed:', error.message);
-        sendError(res, `Failed to retrieve user data: ${error.message}`, 500);
+        logger.error('GetUserData failed', { error: error.message });
+        sendError(res, 'Failed to retrieve user data.', 500);
     }
 }
 
@@ -369,315 +380,1271 @@ async function handleGetUserData(req, res, body) {
  * 1) type: "register"
  */
 async function handleRegister(req, res, body) {
-  const { user_id, ref_by } = body;
-  const id = parseInt(user_id);
+  const { user_id: id, ref_by } = body;
 
   try {
-    // 1. Check if user exists
-    const users = await supabaseFetch('users', 'GET', null, `?id=eq.${id}&select=id,is_banned`);
-
-    if (!Array.isArray(users) || users.length === 0) {
-      // 2. User does not exist, create new user
-      const newUser = {
-        id,
-        balance: 0,
-        ads_watched_today: 0,
-        spins_today: 0,
-        ref_by: ref_by ? parseInt(ref_by) : null,
-        last_activity: new Date().toISOString(), 
-        is_banned: false
-      };
-      await supabaseFetch('users', 'POST', newUser, '?select=id');
-    } else {
-        // ⚠️ Check if existing user is banned
-        if (users[0].is_banned) {
-             return sendError(res, 'User is banned.', 403);
-        }
+    // Same rules as the bot's /start command, risk assessment included (see /lib/users.js)
+    const tgUser = getInitDataUser(body.initData);
+    const result = await registerUser(id, ref_by, { firstName: tgUser && tgUser.first_name });
+    if (!result.ok) {
+      return sendError(res, result.message, result.status, result.code);
     }
 
     sendSuccess(res, { message: 'User registered or already exists.' });
   } catch (error) {
-    console.error('Registration failed:', error.message);
-    sendError(res, `Registration failed: ${error.message}`, 500);
+    logger.error('Registration failed', { error: error.message });
+    sendError(res, 'Registration failed.', 500);
   }
 }
 
 /**
  * 2) type: "watchAd"
+ * The reward is credited by the ad network's signed postback (/api/ad-callback), never by this request.
+ * The client polls here with its action ID after the ad closes: "pending" until the postback arrives,
+ * then the credited result (or the reason the postback was rejected). The ad's ledger entry is the
+ * proof of the credit: a postback whose record failed after the credit still reads as credited.
  */
 async function handleWatchAd(req, res, body) {
-    const { user_id, action_id } = body;
-    const id = parseInt(user_id);
-    const reward = REWARD_PER_AD;
+    const { user_id: id, action_id } = body;
 
-    // 1. Check and Consume Action ID (Security Check)
-    if (!await validateAndUseActionId(res, id, action_id, 'watchAd')) return;
+    if (!action_id) {
+        return sendError(res, 'Missing Server Token (Action ID). Request rejected.', 400, 'TOKEN_MISSING');
+    }
 
     try {
-        // 2. Check and reset daily limits before proceeding
-        await resetDailyLimitsIfExpired(id);
+        // 1. Outcome of the network's postback for this action ID
+        const found = await storage.getAdPostbackByAction(action_id);
+        const postback = found && found.user_id === id ? found : null;
+
+        let reward = postback && postback.status === 'credited' ? postback.reward : null;
+        if (reward === null) {
+            // ⚠️ The credit is committed before the postback is recorded: the ledger entry decides
+            const entry = await storage.getLedgerEntryBySource(ledger.ENTRY_TYPES.AD, 'action', action_id);
+            if (entry && entry.user_id === id) reward = entry.amount;
+        }
+
+        if (reward !== null) {
+            const user = await storage.getUser(id);
+            const usage = await getDailyUsage(id);
+            return sendSuccess(res, {
+                status: 'credited',
+                new_balance: user.balance,
+                actual_reward: reward,
+                new_ads_count: usage.ads_watched,
+                resets_at: usage.resets_at
+            });
+        }
+        if (postback) {
+            return sendError(res, postback.reject_reason, postback.reject_status || 403, postback.reject_code || undefined);
+        }
+
+        // 2. No postback yet: still waiting while the action ID is within the callback window
+        const action = await storage.findActionId(id, action_id, 'watchAd');
+        if (action && Date.now() - new Date(action.created_at).getTime() <= AD_CALLBACK_WINDOW_MS) {
+            return sendSuccess(res, { status: 'pending' });
+        }
+
+        sendError(res, 'Invalid or previously used Server Token (Action ID).', 409, 'TOKEN_INVALID');
 
-        // 3. Fetch current user data
-        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${id}&select=balance,ads_watched_today,is_banned`);
-        if (!Array.isArray(users) || users.length === 0) {
+    } catch (error) {
+        logger.error('WatchAd failed', { error: error.message });
+        sendError(res, 'Failed to process ad watch.', 500);
+    }
+}
+
+/**
+ * 3) type: "spin" (called to register the spin before showing the ad)
+ * Counts the spin and opens a pending spin session that "spinResult" must resolve within SPIN_SESSION_TTL_MS.
+ * If the user still has an open session (e.g. the app was reloaded mid-spin), that session is returned
+ * instead and no new spin is counted.
+ */
+async function handleSpin(req, res, body) {
+    const { user_id: id, action_id } = body;
+
+    // 1. Check and Consume Action ID (Security Check)
+    if (!await validateAndUseActionId(res, id, action_id, 'spin')) return;
+
+    try {
+        // 2. Fetch current user data
+        const user = await storage.getUser(id);
+        if (!user) {
             return sendError(res, 'User not found.', 404);
         }
+
+        // ⚠️ Banned Check (an expired temporary ban is lifted here)
+        const ban = await getActiveBan(id);
+        if (ban) {
+            return sendError(res, describeBan(ban), 403, 'BANNED');
+        }
+
+        // 3. Resume an open spin session instead of starting a second one
+        const pendingSpin = await getOpenSpinSession(id);
+        if (pendingSpin) {
+            const usage = await getDailyUsage(id);
+            return sendSuccess(res, {
+                new_spins_count: usage.spins,
+                spin_id: pendingSpin.id,
+                expires_at: pendingSpin.expires_at,
+                resumed: true
+            });
+        }
         
-        const user = users[0];
+        // 4. Open the spin session that "spinResult" will resolve. It comes before the spin is counted,
+        //    so a session that cannot be created (e.g. a concurrent spin holds the pending slot) costs nothing
+        const session = await storage.createSpinSession({
+            id: crypto.randomUUID(),
+            user_id: id,
+            status: 'pending',
+            expires_at: new Date(Date.now() + SPIN_SESSION_TTL_MS).toISOString()
+        });
 
-        // ⚠️ Banned Check
-        if (user.is_banned) {
-            return sendError(res, 'User is banned.', 403);
+        // 5. Count the spin for today, only while under the daily limit (atomic check-and-increment).
+        //    The session is closed again when the spin is not counted.
+        let newSpinsCount;
+        try {
+            newSpinsCount = await incrementDailyUsage(id, 'spins', ECONOMY.spins.daily_max);
+        } catch (error) {
+            await storage.expireSpinSession(session.id);
+            throw error;
+        }
+        if (newSpinsCount === null) {
+            await storage.expireSpinSession(session.id);
+            return sendError(res, `Daily spin limit (${ECONOMY.spins.daily_max}) reached.`, 403, 'DAILY_LIMIT');
         }
 
-        // 4. Rate Limit Check (NEW)
-        const rateLimitResult = await checkRateLimit(id);
-        if (!rateLimitResult.ok) {
-            // Re-insert the action ID if rate limit is hit, so client can retry
-            // NOTE: For simplicity, we just send the error and the client will request a new one
-            return sendError(res, rateLimitResult.message, 429); 
+        // 6. Update user record: last_activity
+        await storage.updateUser(id, { last_activity: new Date().toISOString() });
+
+        // 7. Success
+        sendSuccess(res, { new_spins_count: newSpinsCount, spin_id: session.id, expires_at: session.expires_at });
+
+    } catch (error) {
+        logger.error('Spin failed', { error: error.message });
+        sendError(res, 'Failed to process spin.', 500);
+    }
+}
+
+/**
+ * 4) type: "spinResult"
+ * Resolves the pending spin session referenced by spin_id, exactly once and before it expires.
+ * No Action ID is needed here: the session itself is the single-use, server-issued entitlement.
+ */
+async function handleSpinResult(req, res, body) {
+    const { user_id: id, spin_id } = body;
+
+    if (!spin_id) {
+        return sendError(res, 'Missing spin_id. Start a spin first.', 400);
+    }
+
+    const { prize, prizeIndex } = pickSpinSector();
+
+    try {
+        // 1. Fetch banned status
+        const user = await storage.getUser(id);
+        if (!user) {
+            return sendError(res, 'User not found.', 404);
         }
 
-        // 5. Check maximum ad limit
-        if (user.ads_watched_today >= DAILY_MAX_ADS) {
-            return sendError(res, `Daily ad limit (${DAILY_MAX_ADS}) reached.`, 403);
+        // ⚠️ Banned Check (an expired temporary ban is lifted here)
+        const ban = await getActiveBan(id);
+        if (ban) {
+            return sendError(res, describeBan(ban), 403, 'BANNED');
         }
 
-        // 6. Calculate new values
-        const newBalance = user.balance + reward;
-        const newAdsCount = user.ads_watched_today + 1;
+        // 2. Resolve the session and credit the prize in one unit: only a pending, unexpired session
+        //    owned by this user matches, and a failed credit leaves it pending for a retry
+        const resolved = await storage.resolveSpinSession(spin_id, id, { prize, prizeIndex });
+        if (!resolved) {
+            return sendSpinSessionError(res, spin_id, id);
+        }
 
-        // 7. Update user record: balance, ads_watched_today, and last_activity
-        await supabaseFetch('users', 'PATCH',
-          {
-              balance: newBalance,
-              ads_watched_today: newAdsCount,
-              last_activity: new Date().toISOString()
-          },
-          `?id=eq.${id}`);
-          
-        // 8. Success
-        sendSuccess(res, { new_balance: newBalance, actual_reward: reward, new_ads_count: newAdsCount });
+        // 3. Return the actual, server-calculated prize and index
+        sendSuccess(res, { new_balance: resolved.balance, actual_prize: prize, prize_index: prizeIndex });
 
     } catch (error) {
-        console.error('WatchAd failed:', error.message);
-        sendError(res, `Failed to process ad watch: ${error.message}`, 500);
+        logger.error('Spin result failed', { error: error.message });
+        sendError(res, 'Failed to process spin result.', 500);
     }
 }
 
+// ------------------------------------------------------------------
+// 🎡 Spin Sessions (pending -> resolved | expired)
+// ------------------------------------------------------------------
+
 /**
- * 3) type: "commission"
+ * Returns the user's pending, unexpired spin session, or null.
+ * A pending session found past its expiry is marked "expired" on the way.
  */
-async function handleCommission(req, res, body) {
-    const { referrer_id, referee_id } = body;
+async function getOpenSpinSession(userId) {
+    const session = await storage.getPendingSpinSession(userId);
+    if (!session) {
+        return null;
+    }
+    if (new Date(session.expires_at).getTime() <= Date.now()) {
+        await storage.expireSpinSession(session.id);
+        return null;
+    }
+    return session;
+}
 
-    if (!referrer_id || !referee_id) {
-        return sendSuccess(res, { message: 'Invalid commission data received but acknowledged.' });
+/**
+ * Explains why a spin session could not be resolved.
+ */
+async function sendSpinSessionError(res, spinId, userId) {
+    const session = await storage.getSpinSession(spinId);
+
+    if (!session || session.user_id !== userId) {
+        return sendError(res, 'Spin session not found.', 404);
+    }
+    if (session.status === 'resolved') {
+        return sendError(res, 'This spin has already been resolved.', 409);
+    }
+    if (session.status === 'pending') {
+        await storage.expireSpinSession(session.id);
     }
+    return sendError(res, 'This spin has expired. Please start a new spin.', 410);
+}
+
 
-    const referrerId = parseInt(referrer_id);
-    const refereeId = parseInt(referee_id);
-    const sourceReward = REWARD_PER_AD;
-    const commissionAmount = sourceReward * REFERRAL_COMMISSION_RATE;
+/**
+ * The response of "withdraw" for a withdrawal its request key already created; the same key with a
+ * different method, address or amount is a different request.
+ */
+async function sendExistingWithdrawal(res, withdrawal, { user_id: id, method, address, amount }) {
+    if (withdrawal.method !== method || withdrawal.address !== String(address).trim() || Number(withdrawal.amount) !== amount) {
+        return sendError(res, 'This idempotency key was already used for a different request.', 422, 'IDEMPOTENCY_CONFLICT');
+    }
+    const user = await storage.getUser(id);
+    sendSuccess(res, {
+        withdrawal_id: withdrawal.id,
+        new_balance: user ? user.balance : 0,
+        fee: Number(withdrawal.fee),
+        net_amount: Number(withdrawal.net_amount),
+        status: withdrawal.status
+    });
+}
 
+/**
+ * 5) type: "withdraw"
+ * Body: method (a payout method id from the economy config), address, amount.
+ * The method's fee is taken from the amount; see /lib/payouts.js.
+ * The withdrawal policy (account age, ads watched, verified referrals, one open request, cooldown and
+ * daily / weekly caps; see /lib/withdrawal-policy.js) is checked before anything is written, each rule
+ * with its own error code.
+ * Users at or above the fraud hold threshold (see /lib/fraud.js) get a "held" request instead of a pending one.
+ * The debit and the withdrawal row are written together; the request key (idempotency_key, else
+ * action_id) can create at most one withdrawal, and repeating it returns that withdrawal.
+ */
+async function handleWithdraw(req, res, body) {
+    const { user_id: id, method, address, amount: withdrawalAmount, action_id, idempotency_key } = body;
+    const requestKey = idempotency_key || action_id;
+
+    // ⬅️ A retry of a request that already created its withdrawal (the response was lost after the
+    //    commit) gets that withdrawal back. This runs before the action ID and the policy: the action
+    //    ID is spent by then, and the withdrawal itself is the open request and starts the cooldown
     try {
-        // 1. Fetch current referrer balance and banned status
-        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${referrerId}&select=balance,is_banned`);
-        if (!Array.isArray(users) || users.length === 0) {
-            return sendSuccess(res, { message: 'Referrer not found, commission aborted.' });
+        const existing = requestKey ? await storage.getWithdrawalByRequestKey(id, requestKey) : null;
+        if (existing) {
+            return await sendExistingWithdrawal(res, existing, body);
         }
-        
-        // ⚠️ Skip commission if referrer is banned
-        if (users[0].is_banned) {
-            return sendSuccess(res, { message: 'Referrer is banned, commission aborted.' });
+    } catch (error) {
+        logger.error('Withdrawal lookup failed', { error: error.message });
+        return sendError(res, 'Withdrawal failed.', 500);
+    }
+
+    // 1. Check and Consume Action ID (Security Check)
+    if (!await validateAndUseActionId(res, id, action_id, 'withdraw')) return;
+
+    // ⚠️ Method, address format and the method's minimum are enforced here, not only in the client
+    const payout = validatePayoutRequest(method, address, withdrawalAmount);
+    if (!payout.ok) {
+        return sendError(res, payout.message, 400, payout.code);
+    }
+
+    try {
+        // 2. Fetch banned status
+        const user = await storage.getUser(id);
+        if (!user) {
+            return sendError(res, 'User not found.', 404);
         }
 
-        const newBalance = users[0].balance + commissionAmount;
+        // ⚠️ Banned Check (an expired temporary ban is lifted here)
+        const ban = await getActiveBan(id);
+        if (ban) {
+            return sendError(res, describeBan(ban), 403, 'BANNED');
+        }
 
-        // 2. Update referrer balance
-        await supabaseFetch('users', 'PATCH', { balance: newBalance }, `?id=eq.${referrerId}`);
+        // 3. Withdrawal policy: account age, activity, open requests, cooldown and the daily / weekly caps
+        const policy = withdrawalPolicy.checkWithdrawal(await withdrawalPolicy.getWithdrawalStatus(user), withdrawalAmount);
+        if (!policy.ok) {
+            if (policy.retryAfterMs > 0) {
+                res.setHeader('Retry-After', String(Math.ceil(policy.retryAfterMs / 1000)));
+            }
+            return sendError(res, policy.message, policy.status, policy.code);
+        }
 
-        // 3. Add record to commission_history
-        await supabaseFetch('commission_history', 'POST',
-            { referrer_id: referrerId, referee_id: refereeId, amount: commissionAmount, source_reward: sourceReward },
-            '?select=referrer_id');
+        // 4. Rescore the user; risky accounts wait for a manual review before approval
+        const risk = await fraud.assessUserRisk(id);
+        const status = risk.status === 'ok' ? 'pending' : 'held';
+
+        // 5. Debit the balance and record the withdrawal in one unit (nothing is written if the balance
+        //    is insufficient or a parallel request used up the policy limits)
+        const withdrawal = await ledger.createWithdrawal({
+            userId: id,
+            amount: withdrawalAmount,
+            method: payout.method.id,
+            address: payout.address,
+            fee: payout.fee,
+            netAmount: payout.netAmount,
+            status,
+            requestKey,
+            sourceId: action_id,
+            limits: withdrawalPolicy.getWithdrawalLimits()
+        });
 
-        sendSuccess(res, { new_referrer_balance: newBalance });
+        if (withdrawal.created && withdrawal.status === 'held') {
+            logger.warn('Withdrawal held for review', {
+                withdrawal_id: withdrawal.withdrawalId, user_id: id, amount: withdrawalAmount, risk_score: risk.score
+            });
+        }
+
+        // 6. Success (the existing request when this key already created one)
+        sendSuccess(res, {
+            withdrawal_id: withdrawal.withdrawalId,
+            new_balance: withdrawal.balance,
+            fee: withdrawal.fee,
+            net_amount: withdrawal.netAmount,
+            status: withdrawal.status
+        });
 
     } catch (error) {
-        console.error('Commission failed:', error.message);
-        sendError(res, `Commission failed: ${error.message}`, 500);
+        if (error.code === 'INSUFFICIENT_BALANCE') {
+            return sendError(res, 'Insufficient balance.', 400, 'INSUFFICIENT_BALANCE');
+        }
+        if (error.code === 'DUPLICATE_REQUEST') {
+            return sendError(res, 'This request is still being processed. Please try again shortly.', 409, 'REQUEST_IN_PROGRESS');
+        }
+        if (['WITHDRAWAL_PENDING', 'COOLDOWN', 'WITHDRAWAL_LIMIT'].includes(error.code)) {
+            return sendError(res, error.message, ERROR_CODES[error.code].status, error.code);
+        }
+        logger.error('Withdrawal failed', { error: error.message });
+        sendError(res, 'Withdrawal failed.', 500);
     }
 }
 
 /**
- * 4) type: "spin" (called to register the spin before showing the ad)
+ * 6) type: "checkIn"
+ * Claims today's check-in reward. The reward grows with the streak of consecutive days
+ * (see /lib/check-in.js) and the streak restarts after a missed day.
  */
-async function handleSpin(req, res, body) {
-    const { user_id, action_id } = body;
-    const id = parseInt(user_id);
-    
-    // 1. Check and Consume Action ID (Security Check)
-    if (!await validateAndUseActionId(res, id, action_id, 'spin')) return;
+async function handleCheckIn(req, res, body) {
+    const { user_id: id, action_id } = body;
+
+    // 1. Check the Action ID (Security Check); the claim consumes it together with the credit
+    if (!await validateActionId(res, id, action_id, 'checkIn')) return;
 
     try {
-        // 2. Check and reset daily limits before proceeding
-        await resetDailyLimitsIfExpired(id);
+        // 2. Fetch banned status
+        const user = await storage.getUser(id);
+        if (!user) {
+            return sendError(res, 'User not found.', 404);
+        }
+
+        // ⚠️ Banned Check (an expired temporary ban is lifted here)
+        const ban = await getActiveBan(id);
+        if (ban) {
+            return sendError(res, describeBan(ban), 403, 'BANNED');
+        }
 
-        // 3. Fetch current user data
-        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${id}&select=spins_today,is_banned`);
-        if (!Array.isArray(users) || users.length === 0) {
+        // 3. Record today's check-in and credit the streak reward
+        const result = await claimCheckIn(id, action_id);
+        if (!result.ok) {
+            return sendError(res, result.message, result.status, result.code);
+        }
+
+        // 4. Success, with the status the main screen shows next
+        sendSuccess(res, {
+            new_balance: result.balance,
+            reward: result.reward,
+            check_in: await getCheckInStatus(id)
+        });
+
+    } catch (error) {
+        logger.error('CheckIn failed', { error: error.message });
+        sendError(res, 'Check-in failed.', 500);
+    }
+}
+
+/**
+ * 7) type: "listTasks"
+ * Active tasks with the user's completion state for the current period.
+ */
+async function handleListTasks(req, res, body) {
+    try {
+        sendSuccess(res, { tasks: await tasks.listTasksForUser(body.user_id) });
+    } catch (error) {
+        logger.error('ListTasks failed', { error: error.message });
+        sendError(res, 'Failed to load tasks.', 500);
+    }
+}
+
+/**
+ * 8) type: "claimTask"
+ * Verifies the task on the server (channel membership, referral count...) and credits its reward.
+ */
+async function handleClaimTask(req, res, body) {
+    const { user_id: id, task_id: taskId, action_id } = body;
+
+    // 1. Check the Action ID (Security Check); the claim consumes it together with the credit
+    if (!await validateActionId(res, id, action_id, 'claimTask')) return;
+
+    try {
+        // 2. Fetch banned status
+        const user = await storage.getUser(id);
+        if (!user) {
             return sendError(res, 'User not found.', 404);
         }
-        
-        const user = users[0];
 
-        // ⚠️ Banned Check
-        if (user.is_banned) {
-            return sendError(res, 'User is banned.', 403);
+        // ⚠️ Banned Check (an expired temporary ban is lifted here)
+        const ban = await getActiveBan(id);
+        if (ban) {
+            return sendError(res, describeBan(ban), 403, 'BANNED');
         }
-        
-        // 4. Rate Limit Check (NEW)
-        const rateLimitResult = await checkRateLimit(id);
-        if (!rateLimitResult.ok) {
-            return sendError(res, rateLimitResult.message, 429); 
+
+        // 3. Verify, record and credit the task
+        const result = await tasks.claimTask(id, taskId, action_id);
+        if (!result.ok) {
+            return sendError(res, result.message, result.status, result.code);
         }
 
-        // 5. Check maximum spin limit
-        if (user.spins_today >= DAILY_MAX_SPINS) {
-            return sendError(res, `Daily spin limit (${DAILY_MAX_SPINS}) reached.`, 403);
+        // 4. Success
+        sendSuccess(res, { new_balance: result.balance, reward: result.reward });
+
+    } catch (error) {
+        logger.error('ClaimTask failed', { error: error.message });
+        sendError(res, 'Failed to claim task.', 500);
+    }
+}
+
+/**
+ * 9) type: "getLeaderboard"
+ * Body: metric ("earned" | "referrals" | "commission"), period ("daily" | "weekly" | "all_time"),
+ * optional limit/offset. Served from the leaderboard cache (see /lib/leaderboard.js); the caller's
+ * own rank is included even when it is outside the requested page.
+ */
+async function handleGetLeaderboard(req, res, body) {
+    const { user_id: id, metric, period, limit, offset } = body;
+
+    try {
+        sendSuccess(res, await getLeaderboard({ metric, period, limit, offset, userId: id }));
+    } catch (error) {
+        logger.error('GetLeaderboard failed', { error: error.message });
+        sendError(res, 'Failed to load leaderboard.', 500);
+    }
+}
+
+/**
+ * 10) type: "appealBan"
+ * Body: message. A banned user's appeal against their active ban, reviewed by an admin
+ * ("adminResolveBanAppeal"). One appeal per ban; see /lib/bans.js.
+ */
+async function handleAppealBan(req, res, body) {
+    const id = body.user_id;
+
+    try {
+        const result = await bans.submitAppeal({ userId: id, message: body.message });
+        if (!result.ok) {
+            return sendError(res, result.message, result.status, result.code);
         }
 
-        // 6. Calculate new values
-        const newSpinsCount = user.spins_today + 1;
+        sendSuccess(res, { appeal: { status: result.appeal.status, created_at: result.appeal.created_at } });
+    } catch (error) {
+        logger.error('AppealBan failed', { error: error.message });
+        sendError(res, 'Failed to submit appeal.', 500);
+    }
+}
 
-        // 7. Update user record: spins_today, and last_activity
-        await supabaseFetch('users', 'PATCH',
-          { 
-              spins_today: newSpinsCount,
-              last_activity: new Date().toISOString()
-          },
-          `?id=eq.${id}`);
-          
-        // 8. Success
-        sendSuccess(res, { new_spins_count: newSpinsCount });
+/**
+ * 11) type: "getReferrals"
+ * Body: optional limit/offset. The referral dashboard: referral count, lifetime and last-7-days
+ * commission, and one page of direct referees (masked name, join date, active flag, commission).
+ */
+async function handleGetReferrals(req, res, body) {
+    const { user_id: id, limit, offset } = body;
 
+    try {
+        sendSuccess(res, await getReferralDashboard(id, { limit, offset }));
     } catch (error) {
-        console.error('Spin failed:', error.message);
-        sendError(res, `Failed to process spin: ${error.message}`, 500);
+        logger.error('GetReferrals failed', { error: error.message });
+        sendError(res, 'Failed to load referrals.', 500);
     }
 }
 
 /**
- * 5) type: "spinResult" (no Action ID needed here as 'spin' was the critical step)
+ * 12) type: "getHistory"
+ * Body: optional types (array of ads, spins, commissions, bonuses, withdrawals), from/to (ISO dates),
+ * limit and cursor (the next_cursor of the previous page). One page of the unified earnings history.
  */
-async function handleSpinResult(req, res, body) {
-    const { user_id } = body;
-    const id = parseInt(user_id);
-    
-    // NOTE: The 'spin' action already consumed a unique ID and incremented the spin count.
-    // This action only calculates the prize and updates the balance.
+async function handleGetHistory(req, res, body) {
+    const { user_id: id, limit, cursor = null } = body;
+    const filters = history.buildHistoryFilters({ categories: body.types, from: body.from, to: body.to });
 
-    const { prize, prizeIndex } = calculateRandomSpinPrize();
+    try {
+        sendSuccess(res, await history.getHistory(id, { filters, limit, cursor }));
+    } catch (error) {
+        logger.error('GetHistory failed', { error: error.message });
+        sendError(res, 'Failed to load history.', 500);
+    }
+}
+
+/**
+ * 13) type: "exportHistory"
+ * Body: optional types, from/to (same filters as getHistory). Sends the history as a CSV file
+ * to the user's chat with the bot.
+ */
+async function handleExportHistory(req, res, body) {
+    const id = body.user_id;
+    const filters = history.buildHistoryFilters({ categories: body.types, from: body.from, to: body.to });
 
     try {
-        // 1. Fetch current user balance and banned status
-        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${id}&select=balance,is_banned`);
-        if (!Array.isArray(users) || users.length === 0) {
-            return sendError(res, 'User not found.', 404);
+        const result = await history.exportHistory(id, filters);
+        if (!result.ok) {
+            return sendError(res, result.message, result.status, result.code);
         }
+        sendSuccess(res, { rows: result.rows, truncated: result.truncated });
+    } catch (error) {
+        logger.error('ExportHistory failed', { error: error.message });
+        sendError(res, 'Failed to export history.', 500);
+    }
+}
+
+
+// ------------------------------------------------------------------
+// 🛡️ Admin API: Withdrawal Review (requires admin credential, not initData)
+// ------------------------------------------------------------------
+
+/**
+ * Explains why storage.transitionWithdrawal did not match: unknown withdrawal (404) or wrong current status (409).
+ * The transition only applies while the withdrawal is in one of the expected statuses,
+ * so two admins cannot decide the same request twice.
+ */
+async function sendTransitionError(res, withdrawalId, action) {
+    const withdrawal = await storage.getWithdrawal(withdrawalId);
+    if (!withdrawal) {
+        return sendError(res, 'Withdrawal not found.', 404);
+    }
+    return sendError(res, `Cannot ${action} a withdrawal with status "${withdrawal.status}".`, 409);
+}
+
+/**
+ * HANDLER: type: "adminListWithdrawals"
+ * Filters: status (string, comma list or array), user_id, from, to. Pagination: limit, offset.
+ */
+async function handleAdminListWithdrawals(req, res, body, admin) {
+    const { status: statuses, user_id: userId = null, from, to, limit, offset } = body;
+
+    try {
+        // Fetch one extra row to know whether another page exists
+        const items = await storage.listWithdrawals({
+            statuses, userId, from, to, limit: limit + 1, offset
+        });
+
+        sendSuccess(res, {
+            withdrawals: items.slice(0, limit),
+            limit,
+            offset,
+            has_more: items.length > limit
+        });
+    } catch (error) {
+        logger.error('Admin list withdrawals failed', { admin, error: error.message });
+        sendError(res, 'Failed to list withdrawals.', 500);
+    }
+}
+
+/**
+ * HANDLER: type: "adminApproveWithdrawal"
+ * pending/held -> approved. The payout itself is still sent manually, then marked with "adminMarkWithdrawalPaid".
+ */
+async function handleAdminApproveWithdrawal(req, res, body, admin) {
+    const withdrawalId = body.withdrawal_id;
 
-        // ⚠️ Banned Check
-        if (users[0].is_banned) {
-            return sendError(res, 'User is banned.', 403);
+    try {
+        const updated = await storage.transitionWithdrawal(withdrawalId, ['pending', 'held'], {
+            status: 'approved',
+            decided_by: admin,
+            decided_at: new Date().toISOString(),
+            decision_note: body.note || null
+        });
+
+        if (!updated) {
+            return sendTransitionError(res, withdrawalId, 'approve');
         }
 
-        const newBalance = users[0].balance + prize;
+        logger.info('Withdrawal approved', { withdrawal_id: withdrawalId, admin });
+        await notifyWithdrawalStatus(updated);
+        sendSuccess(res, { withdrawal: updated });
+    } catch (error) {
+        logger.error('Approve withdrawal failed', { withdrawal_id: withdrawalId, error: error.message });
+        sendError(res, 'Failed to approve withdrawal.', 500);
+    }
+}
 
-        // 2. Update user record: balance 
-        await supabaseFetch('users', 'PATCH',
-          { balance: newBalance },
-          `?id=eq.${id}`);
+/**
+ * HANDLER: type: "adminRejectWithdrawal"
+ * pending/held/approved -> rejected, and the amount is put back in the user's balance (one transaction).
+ * Repeating it on a withdrawal that was rejected without its refund completes the refund.
+ */
+async function handleAdminRejectWithdrawal(req, res, body, admin) {
+    const withdrawalId = body.withdrawal_id;
 
-        // 3. Save to spin_results
-        await supabaseFetch('spin_results', 'POST',
-          { user_id: id, prize },
-          '?select=user_id');
+    try {
+        // Status change and refund in one unit: only the admin whose rejection matched refunds, and a
+        // rejection is never left without its refund
+        const result = await ledger.rejectWithdrawal(withdrawalId, { admin, reason: body.reason });
 
-        // 4. Return the actual, server-calculated prize and index
-        sendSuccess(res, { new_balance: newBalance, actual_prize: prize, prize_index: prizeIndex });
+        if (!result) {
+            return sendTransitionError(res, withdrawalId, 'reject');
+        }
+        const { withdrawal: updated, refundedAmount, balance: newBalance } = result;
 
+        logger.info('Withdrawal rejected and refunded', { withdrawal_id: withdrawalId, admin, amount: refundedAmount });
+        await notifyWithdrawalStatus(updated);
+        sendSuccess(res, { withdrawal: updated, refunded_amount: refundedAmount, new_balance: newBalance });
     } catch (error) {
-        console.error('Spin result failed:', error.message);
-        sendError(res, `Failed to process spin result: ${error.message}`, 500);
+        logger.error('Reject withdrawal failed', { withdrawal_id: withdrawalId, error: error.message });
+        sendError(res, 'Failed to reject withdrawal.', 500);
     }
 }
 
+/**
+ * HANDLER: type: "adminMarkWithdrawalPaid"
+ * approved -> paid, once the payout has actually been sent.
+ */
+async function handleAdminMarkWithdrawalPaid(req, res, body, admin) {
+    const withdrawalId = body.withdrawal_id;
+
+    try {
+        const updated = await storage.transitionWithdrawal(withdrawalId, ['approved'], {
+            status: 'paid',
+            paid_by: admin,
+            paid_at: new Date().toISOString(),
+            payout_reference: body.payout_reference || null
+        });
+
+        if (!updated) {
+            return sendTransitionError(res, withdrawalId, 'mark as paid');
+        }
+
+        logger.info('Withdrawal marked as paid', { withdrawal_id: withdrawalId, admin });
+        await notifyWithdrawalStatus(updated);
+        sendSuccess(res, { withdrawal: updated });
+    } catch (error) {
+        logger.error('Mark withdrawal paid failed', { withdrawal_id: withdrawalId, error: error.message });
+        sendError(res, 'Failed to mark withdrawal as paid.', 500);
+    }
+}
+
+// ------------------------------------------------------------------
+// 📒 Admin API: Ledger
+// ------------------------------------------------------------------
 
 /**
- * 6) type: "withdraw"
+ * HANDLER: type: "adminAdjustBalance"
+ * Manual correction, recorded as an "adjustment" ledger entry. Negative amounts debit.
  */
-async function handleWithdraw(req, res, body) {
-    const { user_id, binanceId, amount, action_id } = body;
-    const id = parseInt(user_id);
-    const withdrawalAmount = parseFloat(amount);
-    const MIN_WITHDRAW = 400;
+async function handleAdminAdjustBalance(req, res, body, admin) {
+    const { user_id: userId, amount } = body;
 
-    // 1. Check and Consume Action ID (Security Check)
-    if (!await validateAndUseActionId(res, id, action_id, 'withdraw')) return;
+    if (amount === 0) {
+        return sendError(res, 'Amount must be a non-zero number.', 400);
+    }
+
+    try {
+        const { entryId, balance } = await ledger.applyEntry({
+            userId,
+            type: ledger.ENTRY_TYPES.ADJUSTMENT,
+            amount,
+            createdBy: admin,
+            note: body.reason
+        });
 
-    if (withdrawalAmount < MIN_WITHDRAW) {
-        return sendError(res, `Minimum withdrawal amount is ${MIN_WITHDRAW} SHIB.`, 400);
+        logger.info('Balance adjusted', { user_id: userId, amount, admin });
+        sendSuccess(res, { entry_id: entryId, new_balance: balance });
+    } catch (error) {
+        if (error instanceof ledger.LedgerError) {
+            if (error.code === 'USER_NOT_FOUND') return sendError(res, error.message, 404);
+            return sendError(res, error.message, 400, error.code === 'INSUFFICIENT_BALANCE' ? 'INSUFFICIENT_BALANCE' : undefined);
+        }
+        logger.error('Adjust balance failed', { user_id: userId, error: error.message });
+        sendError(res, 'Failed to adjust balance.', 500);
     }
+}
 
+/**
+ * HANDLER: type: "adminReconcileBalances"
+ * Recomputes every balance from the ledger and reports mismatches. Nothing is changed;
+ * a mismatch is fixed by an explicit "adminAdjustBalance".
+ */
+async function handleAdminReconcileBalances(req, res, body, admin) {
     try {
-        // 2. Fetch current user balance and banned status
-        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${id}&select=balance,is_banned`);
-        if (!Array.isArray(users) || users.length === 0) {
-            return sendError(res, 'User not found.', 404);
+        const mismatches = await ledger.reconcileBalances();
+
+        if (mismatches.length > 0) {
+            logger.warn('Reconciliation found balance mismatches', { admin, mismatches: mismatches.length });
+        }
+        sendSuccess(res, { checked_at: new Date().toISOString(), mismatches });
+    } catch (error) {
+        logger.error('Balance reconciliation failed', { error: error.message });
+        sendError(res, 'Failed to reconcile balances.', 500);
+    }
+}
+
+// ------------------------------------------------------------------
+// 🛡️ Admin API: Tasks
+// ------------------------------------------------------------------
+
+/**
+ * Task fields an admin may set (the schema drops anything else in the body).
+ */
+const TASK_FIELDS_INPUT = {
+    title: { type: 'string', maxLength: 200 },
+    kind: { type: 'string', enum: tasks.TASK_KINDS },
+    params: { type: 'object' },
+    reward: { type: 'number', min: 0 },
+    repeat: { type: 'string', enum: tasks.TASK_REPEATS },
+    is_active: { type: 'boolean' },
+    sort_order: { type: 'integer' }
+};
+
+/**
+ * HANDLER: type: "adminListTasks"
+ * Every task, including inactive ones.
+ */
+async function handleAdminListTasks(req, res, body, admin) {
+    try {
+        sendSuccess(res, { tasks: await storage.listTasks() });
+    } catch (error) {
+        logger.error('Admin list tasks failed', { error: error.message });
+        sendError(res, 'Failed to list tasks.', 500);
+    }
+}
+
+/**
+ * HANDLER: type: "adminCreateTask"
+ * Body: title, kind, params, reward, optional repeat ("once" | "daily"), is_active, sort_order.
+ */
+async function handleAdminCreateTask(req, res, body, admin) {
+    const fields = body;
+    const invalid = tasks.validateTaskDefinition(fields);
+    if (invalid) {
+        return sendError(res, invalid, 400);
+    }
+
+    try {
+        const task = await storage.createTask({ ...fields, created_by: admin });
+        logger.info('Task created', { task_id: task.id, admin });
+        sendSuccess(res, { task });
+    } catch (error) {
+        logger.error('Admin create task failed', { error: error.message });
+        sendError(res, 'Failed to create task.', 500);
+    }
+}
+
+/**
+ * HANDLER: type: "adminUpdateTask"
+ * Changes any task field, e.g. { task_id, is_active: false } to retire a task.
+ * Past completions keep the reward they were paid.
+ */
+async function handleAdminUpdateTask(req, res, body, admin) {
+    const { task_id: taskId, ...fields } = body;
+
+    try {
+        const existing = await storage.getTask(taskId);
+        if (!existing) {
+            return sendError(res, 'Task not found.', 404);
         }
 
-        const user = users[0];
+        const invalid = tasks.validateTaskDefinition({ ...existing, ...fields });
+        if (invalid) {
+            return sendError(res, invalid, 400);
+        }
+
+        const task = await storage.updateTask(taskId, fields);
+        logger.info('Task updated', { task_id: taskId, admin });
+        sendSuccess(res, { task });
+    } catch (error) {
+        logger.error('Admin update task failed', { task_id: taskId, error: error.message });
+        sendError(res, 'Failed to update task.', 500);
+    }
+}
+
+// ------------------------------------------------------------------
+// 🚫 Admin API: Bans and appeals (every action is recorded in moderation_log)
+// ------------------------------------------------------------------
+
+/**
+ * HANDLER: type: "adminBanUser"
+ * Body: user_id, reason (one of BAN_REASONS in /lib/bans.js), optional note (shown to the user)
+ * and duration_hours (omit for a permanent ban).
+ */
+async function handleAdminBanUser(req, res, body, admin) {
+    const userId = body.user_id;
+    const durationHours = body.duration_hours === undefined ? null : body.duration_hours;
 
-        // ⚠️ Banned Check
-        if (user.is_banned) {
-            return sendError(res, 'User is banned.', 403);
+    try {
+        const result = await bans.banUser({ userId, reason: body.reason, note: body.note || null, durationHours, admin });
+        if (!result.ok) {
+            return sendError(res, result.message, result.status);
         }
-        
-        // 3. Check sufficient balance
-        if (user.balance < withdrawalAmount) {
-            return sendError(res, 'Insufficient balance.', 400);
+
+        logger.info('User banned', { user_id: userId, admin, reason: body.reason });
+        sendSuccess(res, { ban: result.ban });
+    } catch (error) {
+        logger.error('Ban user failed', { user_id: userId, error: error.message });
+        sendError(res, 'Failed to ban user.', 500);
+    }
+}
+
+/**
+ * HANDLER: type: "adminUnbanUser"
+ * Body: user_id, optional note. Lifts the user's active ban.
+ */
+async function handleAdminUnbanUser(req, res, body, admin) {
+    const userId = body.user_id;
+
+    try {
+        const result = await bans.unbanUser({ userId, admin, note: body.note || null });
+        if (!result.ok) {
+            return sendError(res, result.message, result.status);
         }
 
-        // 4. Calculate new balance
-        const newBalance = user.balance - withdrawalAmount;
+        logger.info('User unbanned', { user_id: userId, admin });
+        sendSuccess(res, { ban: result.ban });
+    } catch (error) {
+        logger.error('Unban user failed', { user_id: userId, error: error.message });
+        sendError(res, 'Failed to unban user.', 500);
+    }
+}
 
-        // 5. Update user balance
-        await supabaseFetch('users', 'PATCH',
-          { balance: newBalance },
-          `?id=eq.${id}`);
+/**
+ * HANDLER: type: "adminListBanAppeals"
+ * Filters: status (string, comma list or array; default "pending"). Oldest first, each with its ban.
+ * Pagination: limit, offset.
+ */
+async function handleAdminListBanAppeals(req, res, body, admin) {
+    const { status: statuses, limit, offset } = body;
 
-        // 6. Record the withdrawal request
-        await supabaseFetch('withdrawals', 'POST',
-          { user_id: id, amount: withdrawalAmount, binance_id: binanceId, status: 'pending' },
-          '?select=user_id');
+    try {
+        const items = await storage.listBanAppeals({ statuses, limit: limit + 1, offset });
+        sendSuccess(res, { appeals: items.slice(0, limit), limit, offset, has_more: items.length > limit });
+    } catch (error) {
+        logger.error('Admin list ban appeals failed', { admin, error: error.message });
+        sendError(res, 'Failed to list ban appeals.', 500);
+    }
+}
 
-        // 7. Success
-        sendSuccess(res, { new_balance: newBalance });
+/**
+ * HANDLER: type: "adminResolveBanAppeal"
+ * Body: appeal_id, decision ("accepted" lifts the ban | "rejected"), optional note (shown to the user).
+ */
+async function handleAdminResolveBanAppeal(req, res, body, admin) {
+    const appealId = body.appeal_id;
 
+    try {
+        const result = await bans.resolveAppeal({ appealId, decision: body.decision, admin, note: body.note || null });
+        if (!result.ok) {
+            return sendError(res, result.message, result.status);
+        }
+
+        logger.info('Ban appeal resolved', { appeal_id: appealId, status: result.appeal.status, admin });
+        sendSuccess(res, { appeal: result.appeal });
+    } catch (error) {
+        logger.error('Resolve ban appeal failed', { appeal_id: appealId, error: error.message });
+        sendError(res, 'Failed to resolve ban appeal.', 500);
+    }
+}
+
+/**
+ * HANDLER: type: "adminListModerationLog"
+ * Filters: user_id, action (string, comma list or array). Newest first. Pagination: limit, offset.
+ */
+async function handleAdminListModerationLog(req, res, body, admin) {
+    const { action: actions, user_id: userId = null, limit, offset } = body;
+
+    try {
+        const items = await storage.listModerationLog({ userId, actions, limit: limit + 1, offset });
+        sendSuccess(res, { entries: items.slice(0, limit), limit, offset, has_more: items.length > limit });
     } catch (error) {
-        console.error('Withdrawal failed:', error.message);
-        sendError(res, `Withdrawal failed: ${error.message}`, 500);
+        logger.error('Admin list moderation log failed', { admin, error: error.message });
+        sendError(res, 'Failed to list moderation log.', 500);
     }
 }
 
+// ------------------------------------------------------------------
+// 📊 Admin API: Analytics
+// ------------------------------------------------------------------
+
+/**
+ * HANDLER: type: "getStats"
+ * Daily users, ads, spins, SHIB issued, withdrawals and balance liability from the daily rollups
+ * (see /lib/stats.js), with totals for the range. from / to: "YYYY-MM-DD" days in the reset timezone
+ * (default: the last 30 days). format: "json" (default) or "csv" (a file download, one line per day).
+ */
+async function handleGetStats(req, res, body, admin) {
+    const range = stats.resolveStatsRange(body);
+    if (!range.ok) {
+        return sendError(res, range.message, 400);
+    }
+
+    try {
+        const result = await stats.getStats(range);
+
+        if (body.format === 'csv') {
+            res.writeHead(200, {
+                'Content-Type': 'text/csv; charset=utf-8',
+                'Content-Disposition': `attachment; filename="stats-${range.from}-to-${range.to}.csv"`
+            });
+            return res.end(stats.buildStatsCsv(result.days));
+        }
+        sendSuccess(res, result);
+    } catch (error) {
+        logger.error('Admin get stats failed', { admin, error: error.message });
+        sendError(res, 'Failed to load stats.', 500);
+    }
+}
+
+// ------------------------------------------------------------------
+// 🕵️ Admin API: Fraud review
+// ------------------------------------------------------------------
+
+/**
+ * HANDLER: type: "adminListFraudClusters"
+ * Groups of accounts linked by a shared IP or device fingerprint, built around users whose risk
+ * status is in `status` (comma list or array of "hold", "flagged"; default both), highest score first.
+ * Pass user_id instead to get the cluster around one user. Pagination: limit, offset.
+ */
+async function handleAdminListFraudClusters(req, res, body, admin) {
+    const { status: statuses, user_id: userId = null, limit, offset } = body;
+
+    try {
+        if (userId) {
+            return sendSuccess(res, { clusters: [await fraud.buildRiskCluster(userId)], limit: 1, offset: 0, has_more: false });
+        }
+
+        const { clusters, has_more } = await fraud.listRiskClusters({ statuses, limit, offset });
+        sendSuccess(res, { clusters, limit, offset, has_more });
+    } catch (error) {
+        logger.error('Admin list fraud clusters failed', { admin, error: error.message });
+        sendError(res, 'Failed to list fraud clusters.', 500);
+    }
+}
+
+// ------------------------------------------------------------------
+// 🧭 Route registry: every request type with its auth, input schema and response
+// ------------------------------------------------------------------
+
+/**
+ * auth: "user" (Telegram initData; user_id and initData are added to the input and must match),
+ * "admin" (Authorization header) or "public". Handlers receive the validated input as `body`
+ * (see /lib/router.js), so they never parse fields themselves.
+ * rateLimit: a policy of /lib/rate-limit.js, applied per IP and per user for this request type.
+ * idempotent: the request moves money and accepts an `idempotency_key` (see /lib/idempotency.js).
+ */
+const PAGE_INPUT = (defaultLimit, maxLimit) => ({
+    limit: { type: 'integer', min: 1, max: maxLimit, default: defaultLimit },
+    offset: { type: 'integer', min: 0, default: 0 }
+});
+const ACTION_ID_INPUT = { action_id: { type: 'string', maxLength: 64 } };
+const STATS_DAY_PATTERN = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+const HISTORY_FILTERS_INPUT = {
+    types: { type: 'array', items: { type: 'string', enum: Object.keys(history.HISTORY_CATEGORIES) } },
+    from: { type: 'date' },
+    to: { type: 'date' }
+};
+
+const ROUTES = {
+    // --- Mini App ---
+    getConfig: {
+        auth: 'user', rateLimit: 'read', input: {}, handler: handleGetConfig,
+        returns: 'The economy configuration (/config/economy.json).'
+    },
+    getUserData: {
+        auth: 'user', rateLimit: 'read', input: {}, handler: handleGetUserData,
+        returns: '{ balance, ads_watched_today, spins_today, resets_at, referrals_count, withdrawal_history, pending_spin, check_in, withdrawal_status, is_banned, ban? }'
+    },
+    register: {
+        auth: 'user', rateLimit: 'write', input: { ref_by: { type: 'string', maxLength: 32 } }, handler: handleRegister,
+        returns: '{ message }'
+    },
+    generateActionId: {
+        auth: 'user',
+        rateLimit: 'token',
+        input: { action_type: { type: 'string', required: true, enum: ['watchAd', 'spin', 'withdraw', 'checkIn', 'claimTask'] } },
+        handler: handleGenerateActionId,
+        returns: '{ action_id }'
+    },
+    watchAd: {
+        auth: 'user', rateLimit: 'read', input: ACTION_ID_INPUT, handler: handleWatchAd,
+        returns: '{ status: "pending" } or { status: "credited", new_balance, actual_reward, new_ads_count, resets_at }'
+    },
+    spin: {
+        auth: 'user', rateLimit: 'action', input: ACTION_ID_INPUT, handler: handleSpin,
+        returns: '{ new_spins_count, spin_id, expires_at, resumed? }'
+    },
+    spinResult: {
+        auth: 'user',
+        rateLimit: 'action',
+        idempotent: true,
+        input: { spin_id: { type: 'string', maxLength: 64 } },
+        handler: handleSpinResult,
+        returns: '{ new_balance, actual_prize, prize_index }'
+    },
+    withdraw: {
+        auth: 'user',
+        rateLimit: 'write',
+        idempotent: true,
+        input: {
+            ...ACTION_ID_INPUT,
+            method: { type: 'string', required: true, maxLength: 32 },
+            address: { type: 'string', required: true, maxLength: 256 },
+            amount: { type: 'number', required: true, min: 0 }
+        },
+        handler: handleWithdraw,
+        returns: '{ withdrawal_id, new_balance, fee, net_amount, status }'
+    },
+    checkIn: {
+        auth: 'user', rateLimit: 'action', idempotent: true, input: ACTION_ID_INPUT, handler: handleCheckIn,
+        returns: '{ new_balance, reward, check_in }'
+    },
+    listTasks: {
+        auth: 'user', rateLimit: 'read', input: {}, handler: handleListTasks,
+        returns: '{ tasks }'
+    },
+    claimTask: {
+        auth: 'user',
+        rateLimit: 'action',
+        idempotent: true,
+        input: { ...ACTION_ID_INPUT, task_id: { type: 'integer', required: true, min: 1 } },
+        handler: handleClaimTask,
+        returns: '{ new_balance, reward }'
+    },
+    getLeaderboard: {
+        auth: 'user',
+        rateLimit: 'read',
+        input: {
+            metric: { type: 'string', enum: LEADERBOARD_METRICS, default: 'earned' },
+            period: { type: 'string', enum: LEADERBOARD_PERIODS, default: 'weekly' },
+            ...PAGE_INPUT(LEADERBOARD_DEFAULT_LIMIT, LEADERBOARD_MAX_LIMIT)
+        },
+        handler: handleGetLeaderboard,
+        returns: '{ metric, period, entries, me, has_more }'
+    },
+    appealBan: {
+        auth: 'user', rateLimit: 'write', input: { message: { type: 'string' } }, handler: handleAppealBan,
+        returns: '{ appeal: { status, created_at } }'
+    },
+    getReferrals: {
+        auth: 'user', rateLimit: 'read', input: PAGE_INPUT(REFERRALS_DEFAULT_LIMIT, REFERRALS_MAX_LIMIT), handler: handleGetReferrals,
+        returns: '{ link, totals, referees, has_more }'
+    },
+    getHistory: {
+        auth: 'user',
+        rateLimit: 'read',
+        input: {
+            ...HISTORY_FILTERS_INPUT,
+            limit: { type: 'integer', min: 1, max: HISTORY_MAX_LIMIT, default: HISTORY_DEFAULT_LIMIT },
+            cursor: { type: 'string', pattern: /^[1-9]\d*$/ }
+        },
+        handler: handleGetHistory,
+        returns: '{ entries, next_cursor }'
+    },
+    exportHistory: {
+        auth: 'user', rateLimit: 'write', input: HISTORY_FILTERS_INPUT, handler: handleExportHistory,
+        returns: '{ rows, truncated }'
+    },
+    describeApi: {
+        auth: 'public', rateLimit: 'public', input: {}, handler: handleDescribeApi,
+        returns: '{ routes, error_codes, rate_limits }'
+    },
+
+    // --- Admin ---
+    adminListWithdrawals: {
+        auth: 'admin',
+        rateLimit: 'admin',
+        input: {
+            status: { type: 'array', items: { type: 'string', enum: WITHDRAWAL_STATUSES }, default: [] },
+            user_id: { type: 'integer' },
+            from: { type: 'date' },
+            to: { type: 'date' },
+            ...PAGE_INPUT(ADMIN_LIST_DEFAULT_LIMIT, ADMIN_LIST_MAX_LIMIT)
+        },
+        handler: handleAdminListWithdrawals,
+        returns: '{ withdrawals, limit, offset, has_more }'
+    },
+    adminApproveWithdrawal: {
+        auth: 'admin',
+        rateLimit: 'admin',
+        input: { withdrawal_id: { type: 'integer', required: true }, note: { type: 'string' } },
+        handler: handleAdminApproveWithdrawal,
+        returns: '{ withdrawal }'
+    },
+    adminRejectWithdrawal: {
+        auth: 'admin',
+        rateLimit: 'admin',
+        idempotent: true,
+        input: { withdrawal_id: { type: 'integer', required: true }, reason: { type: 'string', required: true } },
+        handler: handleAdminRejectWithdrawal,
+        returns: '{ withdrawal, refunded_amount, new_balance }'
+    },
+    adminMarkWithdrawalPaid: {
+        auth: 'admin',
+        rateLimit: 'admin',
+        input: { withdrawal_id: { type: 'integer', required: true }, payout_reference: { type: 'string' } },
+        handler: handleAdminMarkWithdrawalPaid,
+        returns: '{ withdrawal }'
+    },
+    adminAdjustBalance: {
+        auth: 'admin',
+        rateLimit: 'admin',
+        idempotent: true,
+        input: {
+            user_id: { type: 'integer', required: true },
+            amount: { type: 'number', required: true },
+            reason: { type: 'string', required: true }
+        },
+        handler: handleAdminAdjustBalance,
+        returns: '{ entry_id, new_balance }'
+    },
+    adminReconcileBalances: {
+        auth: 'admin', rateLimit: 'admin', input: {}, handler: handleAdminReconcileBalances,
+        returns: '{ checked_at, mismatches }'
+    },
+    adminListTasks: {
+        auth: 'admin', rateLimit: 'admin', input: {}, handler: handleAdminListTasks,
+        returns: '{ tasks }'
+    },
+    adminCreateTask: {
+        auth: 'admin', rateLimit: 'admin', input: TASK_FIELDS_INPUT, handler: handleAdminCreateTask,
+        returns: '{ task }'
+    },
+    adminUpdateTask: {
+        auth: 'admin',
+        rateLimit: 'admin',
+        input: { task_id: { type: 'integer', required: true }, ...TASK_FIELDS_INPUT },
+        handler: handleAdminUpdateTask,
+        returns: '{ task }'
+    },
+    adminBanUser: {
+        auth: 'admin',
+        rateLimit: 'admin',
+        input: {
+            user_id: { type: 'integer', required: true },
+            reason: { type: 'string', required: true, enum: bans.BAN_REASONS },
+            note: { type: 'string' },
+            duration_hours: { type: 'number' }
+        },
+        handler: handleAdminBanUser,
+        returns: '{ ban }'
+    },
+    adminUnbanUser: {
+        auth: 'admin',
+        rateLimit: 'admin',
+        input: { user_id: { type: 'integer', required: true }, note: { type: 'string' } },
+        handler: handleAdminUnbanUser,
+        returns: '{ ban }'
+    },
+    adminListBanAppeals: {
+        auth: 'admin',
+        rateLimit: 'admin',
+        input: {
+            status: { type: 'array', items: { type: 'string', enum: bans.APPEAL_STATUSES }, default: ['pending'] },
+            ...PAGE_INPUT(ADMIN_LIST_DEFAULT_LIMIT, ADMIN_LIST_MAX_LIMIT)
+        },
+        handler: handleAdminListBanAppeals,
+        returns: '{ appeals, limit, offset, has_more }'
+    },
+    adminResolveBanAppeal: {
+        auth: 'admin',
+        rateLimit: 'admin',
+        input: {
+            appeal_id: { type: 'integer', required: true },
+            decision: { type: 'string', required: true, enum: ['accepted', 'rejected'] },
+            note: { type: 'string' }
+        },
+        handler: handleAdminResolveBanAppeal,
+        returns: '{ appeal }'
+    },
+    adminListModerationLog: {
+        auth: 'admin',
+        rateLimit: 'admin',
+        input: {
+            action: { type: 'array', items: { type: 'string', enum: bans.MODERATION_ACTIONS }, default: [] },
+            user_id: { type: 'integer' },
+            ...PAGE_INPUT(MODERATION_LOG_DEFAULT_LIMIT, MODERATION_LOG_MAX_LIMIT)
+        },
+        handler: handleAdminListModerationLog,
+        returns: '{ entries, limit, offset, has_more }'
+    },
+    adminListFraudClusters: {
+        auth: 'admin',
+        rateLimit: 'admin',
+        input: {
+            status: { type: 'array', items: { type: 'string', enum: fraud.RISK_STATUSES }, default: ['hold', 'flagged'] },
+            user_id: { type: 'integer' },
+            ...PAGE_INPUT(FRAUD_CLUSTERS_DEFAULT_LIMIT, FRAUD_CLUSTERS_MAX_LIMIT)
+        },
+        handler: handleAdminListFraudClusters,
+        returns: '{ clusters, limit, offset, has_more }'
+    },
+    getStats: {
+        auth: 'admin',
+        rateLimit: 'admin',
+        input: {
+            from: { type: 'string', pattern: STATS_DAY_PATTERN },
+            to: { type: 'string', pattern: STATS_DAY_PATTERN },
+            format: { type: 'string', enum: ['json', 'csv'], default: 'json' }
+        },
+        handler: handleGetStats,
+        returns: '{ from, to, days, totals, refreshed_days } (format "csv": a text/csv file)'
+    }
+};
+
+// Fields every "user" route receives on top of its own input
+const USER_AUTH_INPUT = {
+    user_id: { type: 'integer', required: true, min: 1 },
+    initData: { type: 'string', required: true }
+};
+
+/**
+ * HANDLER: type: "describeApi" (no authentication)
+ * The route registry and the error codes, so clients and tools can check the contract.
+ */
+async function handleDescribeApi(req, res, body) {
+    sendSuccess(res, { routes: describeRoutes(ROUTES), error_codes: ERROR_CODES, rate_limits: RATE_LIMIT_POLICIES });
+}
+
+/**
+ * Takes a token from each bucket; on an empty one, answers 429 with Retry-After and returns false.
+ */
+async function enforceRateLimit(res, buckets) {
+    const result = await consumeRateLimit(buckets);
+    if (result.ok) return true;
+
+    const { seconds, message } = describeRetryAfter(result.retryAfterMs);
+    logger.warn('Rate limit hit', { bucket: result.key, retry_after_s: seconds });
+    res.setHeader('Retry-After', String(seconds));
+    sendError(res, message, 429, 'RATE_LIMITED');
+    return false;
+}
+
 
 // --- Main Handler for Vercel/Serverless ---
-module.exports = async (req, res) => {
+module.exports = instrument('api', async (req, res) => {
   // CORS configuration
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Expose-Headers', 'Retry-After, Idempotent-Replay, X-Request-Id');
 
   if (req.method === 'OPTIONS') {
     return sendSuccess(res);
@@ -689,21 +1656,7 @@ module.exports = async (req, res) => {
 
   let body;
   try {
-    body = await new Promise((resolve, reject) => {
-      let data = '';
-      req.on('data', chunk => {
-        data += chunk.toString();
-      });
-      req.on('end', () => {
-        try {
-          resolve(JSON.parse(data));
-        } catch (e) {
-          reject(new Error('Invalid JSON payload.'));
-        }
-      });
-      req.on('error', reject);
-    });
-
+    body = await readJsonBody(req);
   } catch (error) {
     return sendError(res, error.message, 400);
   }
@@ -712,43 +1665,72 @@ module.exports = async (req, res) => {
     return sendError(res, 'Missing "type" field in the request body.', 400);
   }
 
-  // ⬅️ initData Security Check
-  if (body.type !== 'commission' && (!body.initData || !validateInitData(body.initData))) {
-      return sendError(res, 'Invalid or expired initData. Security check failed.', 401);
+  const route = Object.prototype.hasOwnProperty.call(ROUTES, body.type) ? ROUTES[body.type] : null;
+
+  // ⬅️ Errors for the Mini App are translated: the user's chosen language, else their Telegram language
+  if (!route || route.auth !== 'admin') {
+    res.locale = resolveLocale(body.lang, getInitDataLanguage(body.initData));
   }
 
-  if (!body.user_id && body.type !== 'commission') {
+  if (!route) {
+    return sendError(res, `Unknown request type: ${body.type}`, 400, 'UNKNOWN_TYPE');
+  }
+  // ⬅️ Only registered types reach the logs and metric labels
+  setRequestFields({ type: body.type });
+
+  // ⬅️ Per-IP bucket first, so requests with forged initData are limited too
+  if (!await enforceRateLimit(res, getPolicyBuckets(route.rateLimit, 'ip', getClientIp(req), body.type))) return;
+
+  // ⬅️ Admin requests use the admin credential instead of initData
+  let admin = null;
+  let schema = route.input;
+  if (route.auth === 'admin') {
+    admin = authenticateAdmin(req);
+    if (!admin) {
+      return sendError(res, 'Invalid or missing admin credentials.', 401, 'ADMIN_UNAUTHORIZED');
+    }
+    setRequestFields({ admin });
+  } else if (route.auth === 'user') {
+    // ⬅️ initData Security Check
+    if (!body.initData || !validateInitData(body.initData)) {
+      return sendError(res, 'Invalid or expired initData. Security check failed.', 401, 'UNAUTHORIZED');
+    }
+    if (!body.user_id) {
       return sendError(res, 'Missing user_id in the request body.', 400);
+    }
+    // ⚠️ The signed initData decides who the caller is; a different user_id is never trusted
+    const tgUser = getInitDataUser(body.initData);
+    if (!tgUser || String(tgUser.id) !== String(body.user_id)) {
+      return sendError(res, 'user_id does not match initData.', 403, 'FORBIDDEN');
+    }
+    setRequestFields({ userId: tgUser.id });
+    schema = { ...USER_AUTH_INPUT, ...route.input };
+
+    if (!await enforceRateLimit(res, getPolicyBuckets(route.rateLimit, 'user', tgUser.id, body.type))) return;
+  }
+  if (route.idempotent) {
+    schema = { ...schema, ...IDEMPOTENCY_KEY_INPUT };
+  }
+
+  // ⬅️ Request schema: handlers only ever see validated, converted fields
+  const input = validateInput(schema, body);
+  if (!input.ok) {
+    return sendError(res, `Invalid request: ${input.errors.join('; ')}.`, 400, 'INVALID_REQUEST');
   }
 
-  // Route the request based on the 'type' field
-  switch (body.type) {
-    case 'getUserData':
-      await handleGetUserData(req, res, body);
-      break;
-    case 'register':
-      await handleRegister(req, res, body);
-      break;
-    case 'watchAd':
-      await handleWatchAd(req, res, body);
-      break;
-    case 'commission':
-      await handleCommission(req, res, body);
-      break;
-    case 'spin':
-      await handleSpin(req, res, body);
-      break;
-    case 'spinResult':
-      await handleSpinResult(req, res, body);
-      break;
-    case 'withdraw':
-      await handleWithdraw(req, res, body);
-      break;
-    case 'generateActionId': // ⬅️ NEW Handler
-      await handleGenerateActionId(req, res, body);
-      break;
-    default:
-      sendError(res, `Unknown request type: ${body.type}`, 400);
-      break;
+  // ⬅️ Fraud signals (IP, user agent, client fingerprint) and daily activity of every authenticated request
+  if (route.auth === 'user') {
+    await fraud.recordRequestSignals(input.value.user_id, req, body.fingerprint);
+    await stats.recordActivity(input.value.user_id);
   }
-};
\ No newline at end of file
+
+  // ⬅️ Money-moving requests with an idempotency key run once; retries get the first response
+  const { idempotency_key: idempotencyKey } = input.value;
+  if (idempotencyKey) {
+    const scope = admin ? `admin:${admin}` : `user:${input.value.user_id}`;
+    return runIdempotent(res, { scope, key: idempotencyKey, type: body.type, input: input.value },
+      () => route.handler(req, res, input.value, admin));
+  }
+
+  await route.handler(req, res, input.value, admin);
+});
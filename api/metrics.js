@@ -0,0 +1,46 @@
+// /api/metrics.js
+
+/**
+ * Metrics for Prometheus (text exposition format, see /lib/metrics.js for the series).
+ * GET /api/metrics with "Authorization: Bearer <METRICS_TOKEN>".
+ */
+const crypto = require('crypto');
+const { sendError } = require('../lib/http');
+const { renderMetrics } = require('../lib/metrics');
+const { instrument } = require('../lib/observability');
+const { logger } = require('../lib/logger');
+
+// ⚠️ METRICS_TOKEN must be set in Vercel environment variables (the scraper's bearer token)
+const METRICS_TOKEN = process.env.METRICS_TOKEN;
+
+function isValidToken(header) {
+    const match = String(header || '').match(/^Bearer\s+(.+)$/i);
+    if (!METRICS_TOKEN || !match) return false;
+    const expected = Buffer.from(METRICS_TOKEN);
+    const received = Buffer.from(match[1].trim());
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+module.exports = instrument('metrics', async (req, res) => {
+    if (req.method !== 'GET') {
+        return sendError(res, `Method ${req.method} not allowed.`, 405);
+    }
+
+    // 1. Only the scraper reads the totals
+    if (!METRICS_TOKEN) {
+        return sendError(res, 'Metrics are not configured.', 503);
+    }
+    if (!isValidToken(req.headers['authorization'])) {
+        return sendError(res, 'Invalid or missing metrics token.', 401);
+    }
+
+    // 2. Current totals
+    try {
+        const body = await renderMetrics();
+        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8', 'Cache-Control': 'no-store' });
+        res.end(body);
+    } catch (error) {
+        logger.error('Rendering metrics failed', { error: error.message });
+        sendError(res, 'Failed to render metrics.', 500);
+    }
+});
@@ -0,0 +1,110 @@
+// /lib/ad-networks.js
+
+/**
+ * Signed reward postbacks from ad networks (server-to-server).
+ *
+ * The client passes its server-issued watchAd action ID to the ad SDK; when the user has
+ * watched the ad, the network calls /api/ad-callback with that ID, the Telegram user ID,
+ * its own event ID and a timestamp, signed with the secret shared with that network:
+ *
+ *   signature = HMAC-SHA256(secret, "<action_id>.<user_id>.<event_id>.<timestamp>") as hex
+ *
+ * Secrets are configured per network in AD_CALLBACK_SECRETS, format "gigapub:secret,othernet:secret2".
+ * Networks only differ in the query/body parameter names they use; add an entry to AD_NETWORKS
+ * to support a new one.
+ */
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const POSTBACK_MAX_AGE_MS = 10 * 60 * 1000; // Reject postbacks signed more than 10 minutes ago (replays)
+
+const AD_NETWORKS = {
+    gigapub: {
+        params: { actionId: 'subid', userId: 'user_id', eventId: 'event_id', timestamp: 'ts', signature: 'sig' }
+    },
+    // Parameter names used by the local postback stub (scripts/simulate-ad-postback.js) and generic networks
+    generic: {
+        params: { actionId: 'action_id', userId: 'user_id', eventId: 'event_id', timestamp: 'timestamp', signature: 'signature' }
+    }
+};
+
+function getNetworkSecret(network) {
+    for (const entry of (process.env.AD_CALLBACK_SECRETS || '').split(',')) {
+        const separator = entry.indexOf(':');
+        if (separator <= 0) continue;
+        if (entry.slice(0, separator).trim() === network) {
+            return entry.slice(separator + 1).trim() || null;
+        }
+    }
+    return null;
+}
+
+function signPostback({ actionId, userId, eventId, timestamp }, secret) {
+    return crypto.createHmac('sha256', secret)
+        .update(`${actionId}.${userId}.${eventId}.${timestamp}`)
+        .digest('hex');
+}
+
+/**
+ * Builds the query/body parameters a network would send, signed with `secret`.
+ * Used by the local stub to simulate a postback.
+ */
+function buildPostbackParams(network, { actionId, userId, eventId, timestamp = Math.floor(Date.now() / 1000) }, secret) {
+    const names = AD_NETWORKS[network].params;
+    return {
+        [names.actionId]: actionId,
+        [names.userId]: String(userId),
+        [names.eventId]: eventId,
+        [names.timestamp]: String(timestamp),
+        [names.signature]: signPostback({ actionId, userId, eventId, timestamp }, secret)
+    };
+}
+
+/**
+ * Verifies a postback and extracts its fields.
+ *
+ * @returns {{ ok: true, postback: { network, actionId, userId, eventId, timestamp } } | { ok: false, status: number, message: string }}
+ */
+function verifyPostback(network, params) {
+    const definition = AD_NETWORKS[network];
+    if (!definition) {
+        return { ok: false, status: 404, message: `Unknown ad network: ${network}` };
+    }
+
+    const secret = getNetworkSecret(network);
+    if (!secret) {
+        logger.warn('Ad callback rejected: no secret configured for the network.', { network });
+        return { ok: false, status: 503, message: 'Ad network callbacks are not configured.' };
+    }
+
+    const names = definition.params;
+    const postback = {
+        network,
+        actionId: params[names.actionId],
+        userId: parseInt(params[names.userId]),
+        eventId: params[names.eventId],
+        timestamp: parseInt(params[names.timestamp])
+    };
+    const signature = String(params[names.signature] || '');
+
+    if (!postback.actionId || isNaN(postback.userId) || !postback.eventId || isNaN(postback.timestamp) || !signature) {
+        return { ok: false, status: 400, message: 'Missing postback parameters.' };
+    }
+
+    // Compared as bytes: timingSafeEqual throws on buffers of different lengths, which a multibyte
+    // signature of the right character count would otherwise reach
+    const expected = Buffer.from(signPostback({ ...postback, userId: params[names.userId] }, secret));
+    const received = Buffer.from(signature);
+    if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+        logger.warn('Ad callback rejected: signature mismatch.', { network });
+        return { ok: false, status: 401, message: 'Invalid postback signature.' };
+    }
+
+    if (Math.abs(Date.now() - postback.timestamp * 1000) > POSTBACK_MAX_AGE_MS) {
+        return { ok: false, status: 401, message: 'Postback timestamp is too old.' };
+    }
+
+    return { ok: true, postback };
+}
+
+module.exports = { AD_NETWORKS, getNetworkSecret, signPostback, buildPostbackParams, verifyPostback };
@@ -0,0 +1,85 @@
+// /lib/ad-rewards.js
+
+/**
+ * Ad reward flow. Rewards are credited only when the ad network's signed postback
+ * arrives (/api/ad-callback); the client's "watchAd" request merely asks for the outcome.
+ */
+const storage = require('./storage');
+const { getUsageDate } = require('./limits');
+const { AD_REWARD_BUCKET, consumeRateLimit, describeRetryAfter } = require('./rate-limit');
+const { creditReferralCommissions } = require('./referrals');
+const { ECONOMY } = require('./config');
+const { getActiveBan, describeBan } = require('./bans');
+
+const AD_CALLBACK_WINDOW_MS = 5 * 60 * 1000; // 5 minutes for the network's postback to arrive after the action ID was issued
+
+/**
+ * Credits one watched ad, identified by the watchAd action ID the network sent back.
+ * The action ID is consumed on success and on final rejections (banned, daily limit, expired),
+ * so it can never pay twice; a retryable rejection (rate limit) leaves it in place for the network to retry.
+ *
+ * @returns {Promise<{ ok: true, reward: number, balance: number, adsCount: number }
+ *          | { ok: false, status: number, code: string, message: string, retryable: boolean, retryAfterMs?: number }>}
+ */
+async function rewardAdView({ userId, actionId }) {
+    const reject = (status, code, message, retryable = false) => ({ ok: false, status, code, message, retryable });
+
+    // 1. The action ID must have been issued to this user for watchAd
+    const action = await storage.findActionId(userId, actionId, 'watchAd');
+    if (!action) {
+        return reject(409, 'TOKEN_INVALID', 'Invalid or previously used Server Token (Action ID).');
+    }
+    if (Date.now() - new Date(action.created_at).getTime() > AD_CALLBACK_WINDOW_MS) {
+        await storage.consumeActionId(userId, actionId, 'watchAd');
+        return reject(408, 'TOKEN_EXPIRED', 'Server Token (Action ID) expired before the ad was confirmed.');
+    }
+
+    // 2. Fetch current user data
+    const user = await storage.getUser(userId);
+    if (!user) {
+        return reject(404, 'NOT_FOUND', 'User not found.');
+    }
+
+    // ⚠️ Banned Check
+    const ban = await getActiveBan(userId);
+    if (ban) {
+        await storage.consumeActionId(userId, actionId, 'watchAd');
+        return reject(403, 'BANNED', describeBan(ban));
+    }
+
+    // 3. Rate Limit Check (the user's own ad reward bucket, see /lib/rate-limit.js)
+    const rateLimit = await consumeRateLimit([{ key: `user:${userId}:adReward`, ...AD_REWARD_BUCKET }]);
+    if (!rateLimit.ok) {
+        return { ...reject(429, 'RATE_LIMITED', describeRetryAfter(rateLimit.retryAfterMs).message, true), retryAfterMs: rateLimit.retryAfterMs };
+    }
+
+    // 4. In one unit: consume the action ID, count the ad for today while under the daily limit and
+    //    credit the reward through the ledger (the action ID is the entry's source). A failure writes
+    //    nothing, so the network's retry is paid; losing the race means another postback used the ID.
+    const dailyMaxAds = ECONOMY.ads.daily_max;
+    const reward = ECONOMY.ads.reward;
+    const result = await storage.rewardAdView({
+        userId, actionId, usageDate: getUsageDate(), maxAds: dailyMaxAds, reward
+    });
+    if (result.status === 'token_invalid') {
+        return reject(409, 'TOKEN_INVALID', 'Invalid or previously used Server Token (Action ID).');
+    }
+    if (result.status === 'daily_limit') {
+        return reject(403, 'DAILY_LIMIT', `Daily ad limit (${dailyMaxAds}) reached.`);
+    }
+
+    // 5. Credit referral commissions from the stored ref_by chain, linked to this ad reward
+    await creditReferralCommissions({
+        refereeId: userId,
+        refByOfReferee: user.ref_by,
+        sourceReward: reward,
+        sourceEntryId: result.entry_id
+    });
+
+    // 6. Update user record: last_activity
+    await storage.updateUser(userId, { last_activity: new Date().toISOString() });
+
+    return { ok: true, reward, balance: result.balance, adsCount: result.ads_watched };
+}
+
+module.exports = { AD_CALLBACK_WINDOW_MS, rewardAdView };
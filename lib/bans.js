@@ -0,0 +1,243 @@
+// /lib/bans.js
+
+/**
+ * Bans and appeals. Every ban is a record (bans) with a reason code, an optional expiry and the
+ * admin who issued it; users.is_banned is no longer read. A ban is active until it is lifted or it
+ * expires, and an expired ban is lifted automatically (by "system") the first time it is looked up,
+ * so every ban check must go through getActiveBan().
+ *
+ * A banned user may appeal each ban once ("appealBan"); accepting the appeal lifts the ban.
+ * Every moderation action is written to moderation_log:
+ *
+ *   ban, unban, ban_expired, appeal, appeal_accepted, appeal_rejected
+ *
+ * The ban note is shown to the user together with the reason and the end date.
+ */
+const storage = require('./storage');
+
+const BAN_REASONS = ['multi_accounting', 'automation', 'referral_abuse', 'ad_fraud', 'payment_fraud', 'abuse', 'other'];
+const APPEAL_STATUSES = ['pending', 'accepted', 'rejected'];
+const MODERATION_ACTIONS = ['ban', 'unban', 'ban_expired', 'appeal', 'appeal_accepted', 'appeal_rejected'];
+const MAX_NOTE_LENGTH = 500;
+const MAX_APPEAL_LENGTH = 1000;
+const SYSTEM_ACTOR = 'system';
+
+async function logModerationAction(action, { userId, actor, banId = null, appealId = null, details = {} }) {
+    return storage.insertModerationLog({
+        action,
+        user_id: userId,
+        actor,
+        ban_id: banId,
+        appeal_id: appealId,
+        details
+    });
+}
+
+/**
+ * The user's active ban, or null. An open ban found past its expiry is lifted and logged here.
+ */
+async function getActiveBan(userId, now = new Date()) {
+    const ban = await storage.getOpenBan(userId);
+    if (!ban) return null;
+    if (!ban.expires_at || new Date(ban.expires_at) > now) return ban;
+
+    // Only the request whose update matched logs the expiry
+    const lifted = await storage.liftBan(ban.id, {
+        lifted_at: now.toISOString(),
+        lifted_by: SYSTEM_ACTOR,
+        lift_reason: 'expired'
+    });
+    if (lifted) {
+        await logModerationAction('ban_expired', { userId: ban.user_id, actor: SYSTEM_ACTOR, banId: ban.id });
+    }
+    return null;
+}
+
+/**
+ * Error message for requests rejected by a ban, e.g. "User is banned until 2026-05-01 12:00 UTC (reason: automation)."
+ */
+function describeBan(ban) {
+    const until = ban.expires_at
+        ? `until ${new Date(ban.expires_at).toISOString().replace('T', ' ').slice(0, 16)} UTC`
+        : 'permanently';
+    return `User is banned ${until} (reason: ${ban.reason}).`;
+}
+
+/**
+ * The ban as shown to the banned user, with the state of their appeal.
+ */
+async function getBanDetails(ban) {
+    const appeal = await storage.getBanAppealByBan(ban.id);
+    return {
+        reason: ban.reason,
+        note: ban.note,
+        created_at: ban.created_at,
+        expires_at: ban.expires_at,
+        can_appeal: !appeal,
+        appeal: appeal
+            ? { status: appeal.status, created_at: appeal.created_at, resolution_note: appeal.resolution_note }
+            : null
+    };
+}
+
+/**
+ * Bans a user. durationHours is optional; without it the ban is permanent.
+ *
+ * @returns {Promise<{ ok: true, ban: object } | { ok: false, status: number, message: string }>}
+ */
+async function banUser({ userId, reason, note = null, durationHours = null, admin }) {
+    const reject = (status, message) => ({ ok: false, status, message });
+
+    if (!BAN_REASONS.includes(reason)) {
+        return reject(400, `Invalid ban reason. Use one of: ${BAN_REASONS.join(', ')}.`);
+    }
+    if (durationHours !== null && !(typeof durationHours === 'number' && isFinite(durationHours) && durationHours > 0)) {
+        return reject(400, 'duration_hours must be a positive number (omit it for a permanent ban).');
+    }
+    if (note !== null && (typeof note !== 'string' || note.length > MAX_NOTE_LENGTH)) {
+        return reject(400, `Note must be text of at most ${MAX_NOTE_LENGTH} characters.`);
+    }
+
+    // 1. The user must exist and not be banned already (this also lifts an expired ban)
+    if (!await storage.getUser(userId)) {
+        return reject(404, 'User not found.');
+    }
+    if (await getActiveBan(userId)) {
+        return reject(409, 'User is already banned. Unban them first to change the ban.');
+    }
+
+    // 2. Record the ban; the one-open-ban-per-user index rejects a concurrent second ban
+    let ban;
+    try {
+        ban = await storage.insertBan({
+            user_id: userId,
+            reason,
+            note,
+            expires_at: durationHours ? new Date(Date.now() + durationHours * 3600 * 1000).toISOString() : null,
+            issued_by: admin
+        });
+    } catch (error) {
+        if (error.message && error.message.includes('duplicate key')) {
+            return reject(409, 'User is already banned. Unban them first to change the ban.');
+        }
+        throw error;
+    }
+
+    // 3. Audit
+    await logModerationAction('ban', {
+        userId, actor: admin, banId: ban.id,
+        details: { reason, note, expires_at: ban.expires_at }
+    });
+    return { ok: true, ban };
+}
+
+/**
+ * Lifts the user's active ban.
+ *
+ * @returns {Promise<{ ok: true, ban: object } | { ok: false, status: number, message: string }>}
+ */
+async function unbanUser({ userId, admin, note = null }) {
+    const ban = await getActiveBan(userId);
+    if (!ban) {
+        return { ok: false, status: 404, message: 'User has no active ban.' };
+    }
+
+    const lifted = await storage.liftBan(ban.id, {
+        lifted_at: new Date().toISOString(),
+        lifted_by: admin,
+        lift_reason: note || 'unbanned'
+    });
+    if (!lifted) {
+        return { ok: false, status: 409, message: 'The ban was lifted by another request.' };
+    }
+
+    await logModerationAction('unban', { userId, actor: admin, banId: ban.id, details: { note } });
+    return { ok: true, ban: lifted };
+}
+
+/**
+ * A banned user's appeal against their active ban (one per ban).
+ *
+ * @returns {Promise<{ ok: true, appeal: object } | { ok: false, status: number, message: string }>}
+ */
+async function submitAppeal({ userId, message }) {
+    const reject = (status, text) => ({ ok: false, status, message: text });
+
+    const text = typeof message === 'string' ? message.trim() : '';
+    if (!text) {
+        return reject(400, 'Please explain why the ban should be lifted.');
+    }
+    if (text.length > MAX_APPEAL_LENGTH) {
+        return reject(400, `Appeals are limited to ${MAX_APPEAL_LENGTH} characters.`);
+    }
+
+    const ban = await getActiveBan(userId);
+    if (!ban) {
+        return reject(404, 'This account is not banned.');
+    }
+
+    let appeal;
+    try {
+        appeal = await storage.insertBanAppeal({ ban_id: ban.id, user_id: userId, message: text, status: 'pending' });
+    } catch (error) {
+        if (error.message && error.message.includes('duplicate key')) {
+            return reject(409, 'You have already appealed this ban.');
+        }
+        throw error;
+    }
+
+    await logModerationAction('appeal', { userId, actor: `user:${userId}`, banId: ban.id, appealId: appeal.id });
+    return { ok: true, appeal };
+}
+
+/**
+ * pending -> accepted (the ban is lifted) or rejected.
+ *
+ * @returns {Promise<{ ok: true, appeal: object } | { ok: false, status: number, message: string }>}
+ */
+async function resolveAppeal({ appealId, decision, admin, note = null }) {
+    if (decision !== 'accepted' && decision !== 'rejected') {
+        return { ok: false, status: 400, message: 'decision must be "accepted" or "rejected".' };
+    }
+
+    // 1. Decide first: the status condition lets only one admin resolve an appeal
+    const appeal = await storage.transitionBanAppeal(appealId, ['pending'], {
+        status: decision,
+        resolved_by: admin,
+        resolved_at: new Date().toISOString(),
+        resolution_note: note
+    });
+    if (!appeal) {
+        const existing = await storage.getBanAppeal(appealId);
+        return existing
+            ? { ok: false, status: 409, message: `Appeal is already ${existing.status}.` }
+            : { ok: false, status: 404, message: 'Appeal not found.' };
+    }
+
+    // 2. An accepted appeal lifts the ban (unless it expired or was lifted meanwhile)
+    if (decision === 'accepted') {
+        await storage.liftBan(appeal.ban_id, {
+            lifted_at: new Date().toISOString(),
+            lifted_by: admin,
+            lift_reason: 'appeal accepted'
+        });
+    }
+
+    await logModerationAction(`appeal_${decision}`, {
+        userId: appeal.user_id, actor: admin, banId: appeal.ban_id, appealId: appeal.id, details: { note }
+    });
+    return { ok: true, appeal };
+}
+
+module.exports = {
+    BAN_REASONS,
+    APPEAL_STATUSES,
+    MODERATION_ACTIONS,
+    getActiveBan,
+    describeBan,
+    getBanDetails,
+    banUser,
+    unbanUser,
+    submitAppeal,
+    resolveAppeal
+};
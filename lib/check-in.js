@@ -0,0 +1,73 @@
+// /lib/check-in.js
+
+/**
+ * Daily check-in with streak rewards.
+ * Days are the same calendar days as the daily limits (see getUsageDate in ./limits). Checking in
+ * on the day after the last check-in extends the streak; missing a day starts again at day 1.
+ * The reward for each streak day comes from check_in.rewards in the economy config.
+ */
+const storage = require('./storage');
+const { getUsageDate, shiftUsageDate } = require('./limits');
+const { ECONOMY } = require('./config');
+
+/**
+ * Reward paid on the given streak day (1-based); streaks past the end of the table keep the last reward.
+ */
+function getStreakReward(streakDay) {
+    const rewards = ECONOMY.check_in.rewards;
+    return rewards[Math.min(streakDay, rewards.length) - 1];
+}
+
+/**
+ * Current streak, whether today is already claimed, and what the next check-in pays.
+ * A streak whose last check-in was before yesterday is already broken and reported as 0.
+ */
+async function getCheckInStatus(userId, now = new Date()) {
+    const today = getUsageDate(now);
+    const latest = await storage.getLatestCheckIn(userId);
+
+    const isAlive = latest && (latest.check_in_date === today || latest.check_in_date === shiftUsageDate(today, -1));
+    const streak = isAlive ? latest.streak : 0;
+
+    return {
+        streak,
+        checked_in_today: Boolean(latest && latest.check_in_date === today),
+        next_reward: getStreakReward(streak + 1)
+    };
+}
+
+/**
+ * Records today's check-in and credits its reward through the ledger. The checkIn action ID is consumed
+ * in the same transaction, so a claim that fails leaves it for the retry.
+ *
+ * @returns {Promise<{ ok: true, streak: number, reward: number, balance: number }
+ *          | { ok: false, status: number, code: string, message: string }>}
+ */
+async function claimCheckIn(userId, actionId, now = new Date()) {
+    const reject = (status, code, message) => ({ ok: false, status, code, message });
+    const today = getUsageDate(now);
+
+    // 1. Today can only be claimed once
+    const latest = await storage.getLatestCheckIn(userId);
+    if (latest && latest.check_in_date === today) {
+        return reject(409, 'ALREADY_CLAIMED', 'You have already checked in today.');
+    }
+
+    // 2. Extend the streak from yesterday, otherwise start a new one
+    const streak = latest && latest.check_in_date === shiftUsageDate(today, -1) ? latest.streak + 1 : 1;
+    const reward = getStreakReward(streak);
+
+    // 3. In one unit: consume the action ID, record the check-in and credit its reward (the check-in row
+    //    is the ledger entry's source); the (user_id, check_in_date) unique key turns a concurrent second claim away
+    const claimed = await storage.claimCheckIn({ user_id: userId, action_id: actionId, check_in_date: today, streak, reward });
+    if (claimed.status === 'token_invalid') {
+        return reject(409, 'TOKEN_INVALID', 'Invalid or previously used Server Token (Action ID).');
+    }
+    if (claimed.status === 'already_claimed') {
+        return reject(409, 'ALREADY_CLAIMED', 'You have already checked in today.');
+    }
+
+    return { ok: true, streak, reward, balance: claimed.balance };
+}
+
+module.exports = { getStreakReward, getCheckInStatus, claimCheckIn };
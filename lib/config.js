@@ -0,0 +1,153 @@
+// /lib/config.js
+
+/**
+ * Economy configuration: the single source for rewards, limits, spin sectors, check-in streak
+ * rewards, referral rates, withdrawal rules and the timezone whose midnight resets the daily
+ * limits, read from /config/economy.json. The server enforces these values and the "getConfig"
+ * request serves the same object to the frontend, which draws from it.
+ *
+ * Spin sectors are weighted: a sector's chance is its weight divided by the sum of all weights.
+ * check_in.rewards[n] is paid on day n + 1 of a streak; longer streaks keep the last value.
+ * withdrawals.policy holds the withdrawal rules of /lib/withdrawal-policy.js; a rule set to 0 is off.
+ *
+ * Fraud detection settings (risk weights and thresholds, see /lib/fraud.js) live in /config/fraud.json.
+ * They are exported as FRAUD and never served to the client.
+ */
+const economy = require('../config/economy.json');
+const fraud = require('../config/fraud.json');
+
+const FRAUD_SIGNALS = ['shared_fingerprint', 'shared_ip', 'shares_signals_with_referrer', 'automation_client',
+    'regular_ad_timing', 'deep_referral_chain'];
+
+const WITHDRAWAL_POLICY_RULES = ['daily_max_amount', 'weekly_max_amount', 'max_open_requests', 'cooldown_hours',
+    'min_account_age_days', 'min_ads_watched', 'min_verified_referrals', 'verified_referral_min_ads'];
+
+function assertPositiveNumber(value, path, file = 'economy') {
+    if (typeof value !== 'number' || !isFinite(value) || value <= 0) {
+        throw new Error(`Invalid ${file} config: ${path} must be a positive number.`);
+    }
+}
+
+function validateEconomyConfig(config) {
+    assertPositiveNumber(config.ads.reward, 'ads.reward');
+    assertPositiveNumber(config.ads.daily_max, 'ads.daily_max');
+    assertPositiveNumber(config.spins.daily_max, 'spins.daily_max');
+
+    if (!Array.isArray(config.spins.sectors) || config.spins.sectors.length === 0) {
+        throw new Error('Invalid economy config: spins.sectors must be a non-empty array.');
+    }
+    config.spins.sectors.forEach((sector, i) => {
+        assertPositiveNumber(sector.prize, `spins.sectors[${i}].prize`);
+        assertPositiveNumber(sector.weight, `spins.sectors[${i}].weight`);
+        if (typeof sector.color !== 'string') {
+            throw new Error(`Invalid economy config: spins.sectors[${i}].color must be a CSS colour.`);
+        }
+    });
+
+    if (!Array.isArray(config.check_in.rewards) || config.check_in.rewards.length === 0) {
+        throw new Error('Invalid economy config: check_in.rewards must be a non-empty array.');
+    }
+    config.check_in.rewards.forEach((reward, i) => assertPositiveNumber(reward, `check_in.rewards[${i}]`));
+
+    config.referrals.commission_rates.forEach((rate, i) => {
+        if (typeof rate !== 'number' || rate <= 0 || rate >= 1) {
+            throw new Error(`Invalid economy config: referrals.commission_rates[${i}] must be between 0 and 1.`);
+        }
+    });
+
+    if (!Array.isArray(config.withdrawals.methods) || !config.withdrawals.methods.some(m => m.enabled)) {
+        throw new Error('Invalid economy config: withdrawals.methods must contain at least one enabled method.');
+    }
+    config.withdrawals.methods.forEach((method, i) => {
+        const path = `withdrawals.methods[${i}]`;
+        if (!method.id || !method.label || !method.address_label) {
+            throw new Error(`Invalid economy config: ${path} needs an id, label and address_label.`);
+        }
+        try {
+            new RegExp(method.address_pattern);
+        } catch (error) {
+            throw new Error(`Invalid economy config: ${path}.address_pattern is not a valid regular expression.`);
+        }
+        assertPositiveNumber(method.min_amount, `${path}.min_amount`);
+        const { fixed, percent } = method.fee || {};
+        if (!(fixed >= 0) || !(percent >= 0 && percent < 100)) {
+            throw new Error(`Invalid economy config: ${path}.fee needs fixed >= 0 and 0 <= percent < 100.`);
+        }
+        if (method.min_amount <= fixed + method.min_amount * percent / 100) {
+            throw new Error(`Invalid economy config: ${path}.fee would take the whole minimum withdrawal.`);
+        }
+    });
+
+    const policy = config.withdrawals.policy || {};
+    WITHDRAWAL_POLICY_RULES.forEach(rule => {
+        const value = policy[rule];
+        if (typeof value !== 'number' || !isFinite(value) || value < 0) {
+            throw new Error(`Invalid economy config: withdrawals.policy.${rule} must be a number >= 0.`);
+        }
+    });
+    if (policy.daily_max_amount > 0 && policy.weekly_max_amount > 0 && policy.daily_max_amount > policy.weekly_max_amount) {
+        throw new Error('Invalid economy config: withdrawals.policy.daily_max_amount must not exceed weekly_max_amount.');
+    }
+
+    const timezone = config.daily_reset.timezone;
+    try {
+        if (typeof timezone !== 'string') throw new RangeError();
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch (error) {
+        throw new Error(`Invalid economy config: daily_reset.timezone "${timezone}" is not an IANA timezone.`);
+    }
+
+    return config;
+}
+
+function validateFraudConfig(config) {
+    const { hold_withdrawals, flag } = config.thresholds;
+    assertPositiveNumber(hold_withdrawals, 'thresholds.hold_withdrawals', 'fraud');
+    assertPositiveNumber(flag, 'thresholds.flag', 'fraud');
+    if (hold_withdrawals > flag || flag > 100) {
+        throw new Error('Invalid fraud config: thresholds need hold_withdrawals <= flag <= 100.');
+    }
+
+    FRAUD_SIGNALS.forEach(signal => {
+        const weight = config.weights[signal];
+        if (typeof weight !== 'number' || !isFinite(weight) || weight < 0) {
+            throw new Error(`Invalid fraud config: weights.${signal} must be a number >= 0.`);
+        }
+    });
+
+    if (!Number.isInteger(config.shared_ip_min_accounts) || config.shared_ip_min_accounts < 2) {
+        throw new Error('Invalid fraud config: shared_ip_min_accounts must be an integer >= 2.');
+    }
+    ['sample_size', 'min_intervals', 'max_variation', 'session_gap_minutes'].forEach(key =>
+        assertPositiveNumber(config.ad_timing[key], `ad_timing.${key}`, 'fraud'));
+    if (config.ad_timing.min_intervals >= config.ad_timing.sample_size) {
+        throw new Error('Invalid fraud config: ad_timing.min_intervals must be below ad_timing.sample_size.');
+    }
+    assertPositiveNumber(config.max_referral_chain_depth, 'max_referral_chain_depth', 'fraud');
+
+    return config;
+}
+
+const ECONOMY = Object.freeze(validateEconomyConfig(economy));
+const FRAUD = Object.freeze(validateFraudConfig(fraud));
+
+/**
+ * Picks a spin sector at random according to the sector weights.
+ *
+ * @returns {{ prize: number, prizeIndex: number }}
+ */
+function pickSpinSector(random = Math.random()) {
+    const sectors = ECONOMY.spins.sectors;
+    const totalWeight = sectors.reduce((sum, sector) => sum + sector.weight, 0);
+    let threshold = random * totalWeight;
+
+    for (let i = 0; i < sectors.length; i++) {
+        threshold -= sectors[i].weight;
+        if (threshold < 0) {
+            return { prize: sectors[i].prize, prizeIndex: i };
+        }
+    }
+    return { prize: sectors[sectors.length - 1].prize, prizeIndex: sectors.length - 1 };
+}
+
+module.exports = { ECONOMY, FRAUD, validateEconomyConfig, validateFraudConfig, pickSpinSector };
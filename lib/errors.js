@@ -0,0 +1,66 @@
+// /lib/errors.js
+
+/**
+ * Error codes of the API. Every error response is
+ *
+ *   { ok: false, code: "DAILY_LIMIT", error: "<message in the user's language>", error_en?: "<English>", request_id }
+ *
+ * Clients branch on `code`; `error` is for display only and may change wording or language at any
+ * time; `request_id` finds the request in the server logs. The codes (and the HTTP status each is
+ * sent with) are the stable contract: add new codes rather than changing the meaning of an existing
+ * one. The full list is served by the "describeApi" request.
+ */
+const ERROR_CODES = {
+    INVALID_REQUEST: { status: 400, description: 'Malformed request: bad JSON, missing "type", or a field failed validation.' },
+    UNKNOWN_TYPE: { status: 400, description: 'No request type with this name.' },
+    METHOD_NOT_ALLOWED: { status: 405, description: 'Only POST (and OPTIONS) are accepted.' },
+    UNAUTHORIZED: { status: 401, description: 'initData is missing, forged or expired.' },
+    ADMIN_UNAUTHORIZED: { status: 401, description: 'Admin requests need a valid "Authorization: Bearer <key>" header.' },
+    FORBIDDEN: { status: 403, description: 'The caller may not perform this action.' },
+    BANNED: { status: 403, description: 'The account has an active ban; the message carries the reason and end date.' },
+    NOT_FOUND: { status: 404, description: 'The referenced user, task, withdrawal, spin or appeal does not exist.' },
+    TOKEN_MISSING: { status: 400, description: 'The action needs a server token (action_id) from "generateActionId".' },
+    TOKEN_INVALID: { status: 409, description: 'The server token is unknown or was already used.' },
+    TOKEN_EXPIRED: { status: 408, description: 'The server token expired; request a new one and retry.' },
+    CONFLICT: { status: 409, description: 'The resource is not in a state that allows this action.' },
+    IDEMPOTENCY_CONFLICT: { status: 422, description: 'The idempotency_key was already used for a different request.' },
+    REQUEST_IN_PROGRESS: { status: 409, description: 'A request with this idempotency_key is still being processed; retry shortly.' },
+    ALREADY_CLAIMED:{ status: 409, description: 'The reward (check-in, task) was already claimed for this period.' },
+    EXPIRED: { status: 410, description: 'The spin session expired before it was resolved.' },
+    DAILY_LIMIT: { status: 403, description: 'The daily ad or spin limit is reached; it resets at "resets_at".' },
+    RATE_LIMITED: { status: 429, description: 'Too many requests; wait before trying again.' },
+    COOLDOWN: { status: 429, description: 'The action can only be repeated after a cooldown (e.g. history export, withdrawal requests).' },
+    TASK_NOT_COMPLETED: { status: 403, description: 'The task condition (channel membership, invited friends) is not met yet.' },
+    INSUFFICIENT_BALANCE: { status: 400, description: 'The balance is lower than the requested amount.' },
+    INVALID_PAYOUT: { status: 400, description: 'Unknown payout method, malformed address or amount below the minimum.' },
+    ACCOUNT_TOO_NEW: { status: 403, description: 'The account is too new to withdraw; the message carries the date withdrawals open.' },
+    NOT_ENOUGH_ADS: { status: 403, description: 'Withdrawals need a minimum number of watched ads.' },
+    REFERRALS_REQUIRED: { status: 403, description: 'Withdrawals need a minimum number of verified referrals (referees who watched ads).' },
+    WITHDRAWAL_PENDING: { status: 409, description: 'An earlier withdrawal request is still open (pending, under review or approved).' },
+    WITHDRAWAL_LIMIT: { status: 403, description: 'The amount exceeds what is left of the daily or weekly withdrawal limit.' },
+    BOT_BLOCKED: { status: 403, description: 'The bot cannot message the user; they must start it first.' },
+    UPSTREAM_ERROR: { status: 502, description: 'A Telegram or ad network call failed; retry later.' },
+    UNAVAILABLE: { status: 503, description: 'The feature is not configured on this deployment.' },
+    INTERNAL: { status: 500, description: 'Unexpected server error.' }
+};
+
+// Code used when a call site gives only a status
+const DEFAULT_CODES = {
+    400: 'INVALID_REQUEST',
+    401: 'UNAUTHORIZED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    405: 'METHOD_NOT_ALLOWED',
+    408: 'TOKEN_EXPIRED',
+    409: 'CONFLICT',
+    410: 'EXPIRED',
+    429: 'RATE_LIMITED',
+    502: 'UPSTREAM_ERROR',
+    503: 'UNAVAILABLE'
+};
+
+function getDefaultErrorCode(status) {
+    return DEFAULT_CODES[status] || (status >= 500 ? 'INTERNAL' : 'INVALID_REQUEST');
+}
+
+module.exports = { ERROR_CODES, getDefaultErrorCode };
@@ -0,0 +1,286 @@
+// /lib/fraud.js
+
+/**
+ * Multi-account and bot-farm detection.
+ *
+ * Every authenticated Mini App request records the caller's IP address, user agent and the client
+ * fingerprint computed by index.html (user_signals, one row per distinct value). Accounts that share
+ * an IP or a fingerprint are linked. A user's risk score (0-100) is the sum of the weights in
+ * /config/fraud.json for each signal that applies:
+ *
+ *   shared_fingerprint             another account used the same device fingerprint
+ *   shared_ip                      one of the user's IPs was used by at least shared_ip_min_accounts accounts
+ *   shares_signals_with_referrer   the user shares an IP or fingerprint with their own referrer
+ *   automation_client              automation user agent, or requests that never carry a fingerprint
+ *   regular_ad_timing              the gaps between ad rewards are machine-regular
+ *   deep_referral_chain            more than max_referral_chain_depth referrers above the user
+ *
+ * At thresholds.hold_withdrawals new withdrawals are created "held" for manual review; at
+ * thresholds.flag the account is also flagged. Scores are recomputed whenever a user shows a
+ * new signal value and before every withdrawal, and stored in user_risk.
+ */
+const storage = require('./storage');
+const ledger = require('./ledger');
+const { getClientIp } = require('./http');
+const { FRAUD } = require('./config');
+const { getActiveBan } = require('./bans');
+const { logger } = require('./logger');
+
+const RISK_STATUSES = ['ok', 'hold', 'flagged'];
+const LINKING_SIGNAL_KINDS = ['fingerprint', 'ip']; // a user agent alone is shared by too many real users
+const FINGERPRINT_PATTERN = /^[0-9a-f]{16,64}$/;
+const AUTOMATION_USER_AGENT_PATTERN = /headless|phantomjs|selenium|puppeteer|playwright|python|curl|wget|node-fetch|axios|okhttp|go-http-client/i;
+const MAX_USER_AGENT_LENGTH = 512;
+const MAX_CLUSTER_SIZE = 100;
+
+/**
+ * The signals of one request. Malformed fingerprints are dropped (and count as missing).
+ */
+function collectRequestSignals(req, fingerprint) {
+    const signals = [];
+    const ip = getClientIp(req);
+    if (ip) {
+        signals.push({ kind: 'ip', value: ip });
+    }
+    const userAgent = String(req.headers['user-agent'] || '').slice(0, MAX_USER_AGENT_LENGTH);
+    if (userAgent) {
+        signals.push({ kind: 'user_agent', value: userAgent });
+    }
+    if (typeof fingerprint === 'string' && FINGERPRINT_PATTERN.test(fingerprint)) {
+        signals.push({ kind: 'fingerprint', value: fingerprint });
+    }
+    return signals;
+}
+
+/**
+ * Other accounts that used any of the given IP or fingerprint signals: [{ user_id, kind, value }].
+ */
+async function findLinkedAccounts(userId, signals) {
+    const matches = [];
+    for (const kind of LINKING_SIGNAL_KINDS) {
+        const values = signals.filter(signal => signal.kind === kind).map(signal => signal.value);
+        if (values.length > 0) {
+            const rows = await storage.listSignalMatches(kind, values);
+            matches.push(...rows.filter(row => row.user_id !== Number(userId)));
+        }
+    }
+    return matches;
+}
+
+/**
+ * Coefficient of variation (standard deviation / mean) of the gaps between consecutive ad rewards.
+ * Gaps longer than session_gap_minutes (breaks, nights) are ignored. Humans watch irregularly;
+ * scripts do not. Returns null when there are too few gaps to judge.
+ */
+function getAdTimingVariation(adEntries) {
+    const maxGapMs = FRAUD.ad_timing.session_gap_minutes * 60 * 1000;
+    const times = adEntries.map(entry => new Date(entry.created_at).getTime()).sort((a, b) => a - b);
+
+    const gaps = [];
+    for (let i = 1; i < times.length; i++) {
+        const gap = times[i] - times[i - 1];
+        if (gap > 0 && gap <= maxGapMs) gaps.push(gap);
+    }
+    if (gaps.length < FRAUD.ad_timing.min_intervals) {
+        return null;
+    }
+
+    const mean = gaps.reduce((sum, gap) => sum + gap, 0) / gaps.length;
+    const variance = gaps.reduce((sum, gap) => sum + (gap - mean) ** 2, 0) / gaps.length;
+    return Math.sqrt(variance) / mean;
+}
+
+/**
+ * Number of referrers above the user, counted up to one past max_referral_chain_depth.
+ */
+async function getReferralChainDepth(user) {
+    const seen = new Set([user.id]);
+    let depth = 0;
+    let current = user;
+
+    while (current && current.ref_by && !seen.has(current.ref_by) && depth <= FRAUD.max_referral_chain_depth) {
+        seen.add(current.ref_by);
+        depth += 1;
+        current = await storage.getUser(current.ref_by);
+    }
+    return depth;
+}
+
+/**
+ * Scores a user from their stored signals, ad rewards and referral chain.
+ *
+ * @returns {Promise<{ score: number, reasons: Array<{ signal: string, points: number, detail: string }> }>}
+ */
+async function computeRiskScore(userId) {
+    const reasons = [];
+    const add = (signal, detail) => reasons.push({ signal, points: FRAUD.weights[signal], detail });
+
+    const [user, signals, adEntries] = await Promise.all([
+        storage.getUser(userId),
+        storage.listUserSignals(userId),
+        storage.listLedgerEntries(userId, { types: [ledger.ENTRY_TYPES.AD], limit: FRAUD.ad_timing.sample_size })
+    ]);
+    const linked = await findLinkedAccounts(userId, signals);
+
+    // 1. Same device as another account
+    const deviceTwins = new Set(linked.filter(m => m.kind === 'fingerprint').map(m => m.user_id));
+    if (deviceTwins.size > 0) {
+        add('shared_fingerprint', `Device fingerprint shared with ${deviceTwins.size} other account(s).`);
+    }
+
+    // 2. Crowded IP (one household is fine; a farm behind one address is not)
+    const accountsPerIp = new Map();
+    linked.filter(m => m.kind === 'ip').forEach(m => accountsPerIp.set(m.value, (accountsPerIp.get(m.value) || 1) + 1));
+    const busiestIp = Math.max(0, ...accountsPerIp.values());
+    if (busiestIp >= FRAUD.shared_ip_min_accounts) {
+        add('shared_ip', `IP address shared by ${busiestIp} accounts.`);
+    }
+
+    // 3. Self-referral: the referrer uses the same device or network
+    if (user && user.ref_by && linked.some(m => m.user_id === user.ref_by)) {
+        add('shares_signals_with_referrer', `Shares an IP or device fingerprint with referrer ${user.ref_by}.`);
+    }
+
+    // 4. Scripted client
+    const automationAgent = signals.find(s => s.kind === 'user_agent' && AUTOMATION_USER_AGENT_PATTERN.test(s.value));
+    if (automationAgent) {
+        add('automation_client', `Automation user agent: ${automationAgent.value.slice(0, 80)}`);
+    } else if (signals.length > 0 && !signals.some(s => s.kind === 'fingerprint')) {
+        add('automation_client', 'Requests never carried a client fingerprint.');
+    }
+
+    // 5. Machine-regular ad watching
+    const variation = getAdTimingVariation(adEntries);
+    if (variation !== null && variation <= FRAUD.ad_timing.max_variation) {
+        add('regular_ad_timing', `Gaps between ads vary by only ${Math.round(variation * 100)}%.`);
+    }
+
+    // 6. Deep referral chain
+    const depth = user ? await getReferralChainDepth(user) : 0;
+    if (depth > FRAUD.max_referral_chain_depth) {
+        add('deep_referral_chain', `More than ${FRAUD.max_referral_chain_depth} referrers above this account.`);
+    }
+
+    const score = Math.min(100, reasons.reduce((sum, reason) => sum + reason.points, 0));
+    return { score, reasons };
+}
+
+function getRiskStatus(score) {
+    if (score >= FRAUD.thresholds.flag) return 'flagged';
+    if (score >= FRAUD.thresholds.hold_withdrawals) return 'hold';
+    return 'ok';
+}
+
+/**
+ * Recomputes and stores a user's risk score.
+ *
+ * @returns {Promise<{ user_id: number, score: number, status: string, reasons: Array, assessed_at: string }>}
+ */
+async function assessUserRisk(userId) {
+    const { score, reasons } = await computeRiskScore(userId);
+    const status = getRiskStatus(score);
+
+    const previous = await storage.getUserRisk(userId);
+    const risk = await storage.saveUserRisk({ user_id: Number(userId), score, status, reasons });
+
+    if (status === 'flagged' && (!previous || previous.status !== 'flagged')) {
+        logger.warn('User flagged for review', { user_id: userId, risk_score: score, signals: reasons.map(r => r.signal) });
+    }
+    return risk;
+}
+
+/**
+ * Records the signals of an authenticated request and rescores the user when a value is new to them.
+ * Never throws: fraud bookkeeping must not break the request itself.
+ */
+async function recordRequestSignals(userId, req, fingerprint) {
+    try {
+        const signals = collectRequestSignals(req, fingerprint);
+        if (!Number.isSafeInteger(userId) || signals.length === 0) return;
+
+        const recorded = await storage.recordUserSignals(userId, signals);
+        if (recorded.some(signal => signal.is_new)) {
+            await assessUserRisk(userId);
+        }
+    } catch (error) {
+        logger.error('Recording fraud signals failed', { user_id: userId, error: error.message });
+    }
+}
+
+/**
+ * The accounts linked to a user through shared IPs or fingerprints, followed transitively
+ * (up to MAX_CLUSTER_SIZE accounts), with each member's stored risk and the shared values.
+ */
+async function buildRiskCluster(seedUserId) {
+    const members = new Set([Number(seedUserId)]);
+    const shared = new Map(); // "kind:value" -> { kind, value, user_ids }
+    const queue = [Number(seedUserId)];
+
+    while (queue.length > 0) {
+        const userId = queue.shift();
+        const matches = await findLinkedAccounts(userId, await storage.listUserSignals(userId));
+
+        for (const match of matches) {
+            const key = `${match.kind}:${match.value}`;
+            if (!shared.has(key)) {
+                shared.set(key, { kind: match.kind, value: match.value, user_ids: new Set([userId]) });
+            }
+            shared.get(key).user_ids.add(match.user_id);
+
+            if (!members.has(match.user_id) && members.size < MAX_CLUSTER_SIZE) {
+                members.add(match.user_id);
+                queue.push(match.user_id);
+            }
+        }
+    }
+
+    const users = await Promise.all([...members].map(async id => {
+        const [user, risk, ban] = await Promise.all([storage.getUser(id), storage.getUserRisk(id), getActiveBan(id)]);
+        return {
+            user_id: id,
+            balance: user ? user.balance : null,
+            ref_by: user ? user.ref_by : null,
+            is_banned: Boolean(ban),
+            score: risk ? risk.score : null,
+            status: risk ? risk.status : null,
+            reasons: risk ? risk.reasons : [],
+            assessed_at: risk ? risk.assessed_at : null
+        };
+    }));
+
+    return {
+        max_score: Math.max(...users.map(u => u.score || 0)),
+        users: users.sort((a, b) => (b.score || 0) - (a.score || 0) || a.user_id - b.user_id),
+        shared_signals: [...shared.values()]
+            .map(s => ({ kind: s.kind, value: s.value, user_ids: [...s.user_ids].sort((a, b) => a - b) })),
+        truncated: members.size >= MAX_CLUSTER_SIZE
+    };
+}
+
+/**
+ * Clusters around one page of risky users (highest score first). A user already included in an
+ * earlier cluster of the page does not start a new one.
+ */
+async function listRiskClusters({ statuses, limit, offset = 0 }) {
+    const risks = await storage.listUserRisks({ statuses, limit: limit + 1, offset });
+    const clusters = [];
+    const covered = new Set();
+
+    for (const risk of risks.slice(0, limit)) {
+        if (covered.has(risk.user_id)) continue;
+        const cluster = await buildRiskCluster(risk.user_id);
+        cluster.users.forEach(u => covered.add(u.user_id));
+        clusters.push(cluster);
+    }
+    return { clusters, has_more: risks.length > limit };
+}
+
+module.exports = {
+    RISK_STATUSES,
+    getRiskStatus,
+    computeRiskScore,
+    assessUserRisk,
+    recordRequestSignals,
+    buildRiskCluster,
+    listRiskClusters
+};
@@ -0,0 +1,198 @@
+// /lib/history.js
+
+/**
+ * Earnings history ("getHistory") and its CSV export ("exportHistory").
+ *
+ * The timeline is the user's ledger: every credit and debit is a ledger entry, so ads, spins,
+ * commissions, bonuses and withdrawals already share one ordered stream. Entries are grouped
+ * into the categories the app filters by:
+ *
+ *   ads          ad
+ *   spins        spin
+ *   commissions  commission
+ *   bonuses      check_in, task, adjustment
+ *   withdrawals  withdrawal, refund
+ *
+ * Pages are newest first. The cursor is the ID of the last entry of the previous page (ledger IDs
+ * only grow), so entries credited while the user scrolls never shift or repeat a page.
+ *
+ * Withdrawal entries carry the request's status and method; commission entries carry the
+ * referral level and the referee's masked name.
+ */
+const storage = require('./storage');
+const ledger = require('./ledger');
+const { getBotApi, TelegramApiError } = require('./telegram');
+const { maskName } = require('./referrals');
+const { ECONOMY } = require('./config');
+
+const { ENTRY_TYPES } = ledger;
+
+const HISTORY_CATEGORIES = {
+    ads: [ENTRY_TYPES.AD],
+    spins: [ENTRY_TYPES.SPIN],
+    commissions: [ENTRY_TYPES.COMMISSION],
+    bonuses: [ENTRY_TYPES.CHECK_IN, ENTRY_TYPES.TASK, ENTRY_TYPES.ADJUSTMENT],
+    withdrawals: [ENTRY_TYPES.WITHDRAWAL, ENTRY_TYPES.REFUND]
+};
+
+const EXPORT_MAX_ROWS = 5000;
+const EXPORT_BATCH_SIZE = 500;
+const EXPORT_COOLDOWN_MS = 10 * 60 * 1000; // one export per user every 10 minutes
+
+function getCategory(entryType) {
+    return Object.keys(HISTORY_CATEGORIES).find(category => HISTORY_CATEGORIES[category].includes(entryType)) || 'bonuses';
+}
+
+/**
+ * Storage filters for the selected categories (HISTORY_CATEGORIES keys, empty = all) and the optional
+ * `from`/`to` ISO dates. The route schema has already validated both.
+ */
+function buildHistoryFilters({ categories = [], from, to }) {
+    return {
+        types: categories.length > 0 ? categories.flatMap(category => HISTORY_CATEGORIES[category]) : null,
+        ...(from ? { from } : {}),
+        ...(to ? { to } : {})
+    };
+}
+
+/**
+ * Adds the withdrawal and commission details to a page of ledger entries.
+ */
+async function describeEntries(userId, entries) {
+    const commissionIds = entries
+        .filter(entry => entry.entry_type === ENTRY_TYPES.COMMISSION && entry.source_type === 'commission_history')
+        .map(entry => entry.source_id);
+    const hasWithdrawals = entries.some(entry =>
+        entry.entry_type === ENTRY_TYPES.WITHDRAWAL || entry.entry_type === ENTRY_TYPES.REFUND);
+
+    const [withdrawals, commissions] = await Promise.all([
+        hasWithdrawals ? storage.listUserWithdrawals(userId) : [],
+        commissionIds.length > 0 ? storage.listCommissionsByIds(commissionIds) : []
+    ]);
+    const referees = new Map(await Promise.all([...new Set(commissions.map(c => c.referee_id))]
+        .map(async refereeId => [refereeId, await storage.getUser(refereeId)])));
+
+    return entries.map(entry => {
+        const item = {
+            id: entry.id,
+            category: getCategory(entry.entry_type),
+            type: entry.entry_type,
+            amount: Number(entry.amount),
+            balance_after: Number(entry.balance_after),
+            created_at: entry.created_at,
+            details: null
+        };
+
+        if (entry.entry_type === ENTRY_TYPES.WITHDRAWAL || entry.entry_type === ENTRY_TYPES.REFUND) {
+            const withdrawal = withdrawals.find(w => entry.entry_type === ENTRY_TYPES.WITHDRAWAL
+                ? String(w.ledger_entry_id) === String(entry.id)
+                : String(w.id) === String(entry.source_id));
+            if (withdrawal) {
+                item.details = { withdrawal_id: withdrawal.id, method: withdrawal.method, status: withdrawal.status };
+            }
+        } else if (entry.entry_type === ENTRY_TYPES.COMMISSION) {
+            const commission = commissions.find(c => String(c.id) === String(entry.source_id));
+            if (commission) {
+                const referee = referees.get(commission.referee_id);
+                item.details = {
+                    level: commission.level,
+                    referee: maskName(referee && referee.first_name, commission.referee_id)
+                };
+            }
+        } else if (entry.entry_type === ENTRY_TYPES.ADJUSTMENT && entry.note) {
+            item.details = { note: entry.note };
+        }
+        return item;
+    });
+}
+
+/**
+ * One page of the user's history, newest first.
+ *
+ * @returns {Promise<{ entries: object[], next_cursor: string | null }>}
+ */
+async function getHistory(userId, { filters, limit, cursor = null }) {
+    const rows = await storage.listLedgerEntries(userId, {
+        ...filters,
+        beforeId: cursor ? Number(cursor) : undefined,
+        limit: limit + 1
+    });
+    const page = rows.slice(0, limit);
+
+    return {
+        entries: await describeEntries(userId, page),
+        next_cursor: rows.length > limit ? String(page[page.length - 1].id) : null
+    };
+}
+
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * The filtered history as CSV (UTF-8 with BOM so spreadsheet apps detect the encoding).
+ */
+async function buildHistoryCsv(userId, filters) {
+    const lines = [['date', 'category', 'type', 'amount', 'balance_after', 'details'].join(',')];
+    let cursor = null;
+    let truncated = false;
+
+    while (lines.length - 1 < EXPORT_MAX_ROWS) {
+        const limit = Math.min(EXPORT_BATCH_SIZE, EXPORT_MAX_ROWS - (lines.length - 1));
+        const page = await getHistory(userId, { filters, limit, cursor });
+        page.entries.forEach(entry => {
+            const details = entry.details
+                ? Object.entries(entry.details).map(([key, value]) => `${key}=${value}`).join('; ')
+                : '';
+            lines.push([entry.created_at, entry.category, entry.type, entry.amount, entry.balance_after, details]
+                .map(csvField).join(','));
+        });
+        if (!page.next_cursor) break;
+        cursor = page.next_cursor;
+        truncated = lines.length - 1 >= EXPORT_MAX_ROWS;
+    }
+
+    return { csv: '\uFEFF' + lines.join('\r\n') + '\r\n', rows: lines.length - 1, truncated };
+}
+
+/**
+ * Sends the filtered history to the user's chat with the bot as a CSV document.
+ *
+ * @returns {Promise<{ ok: true, rows: number, truncated: boolean } | { ok: false, status: number, code: string, message: string }>}
+ */
+async function exportHistory(userId, filters, now = new Date()) {
+    // 1. Exports are expensive: one per cooldown window
+    const latest = await storage.getLatestHistoryExport(userId);
+    if (latest && now.getTime() - new Date(latest.created_at).getTime() < EXPORT_COOLDOWN_MS) {
+        const minutes = Math.ceil((EXPORT_COOLDOWN_MS - (now.getTime() - new Date(latest.created_at).getTime())) / 60000);
+        return { ok: false, status: 429, code: 'COOLDOWN', message: `You can export your history again in ${minutes} minutes.` };
+    }
+
+    // 2. Build and send the file (the bot can only message users who started it)
+    const { csv, rows, truncated } = await buildHistoryCsv(userId, filters);
+    const filename = `history-${now.toISOString().slice(0, 10)}.csv`;
+    const caption = `📜 Your ${ECONOMY.currency} history: ${rows} entries` +
+        (truncated ? ` (the latest ${EXPORT_MAX_ROWS}; narrow the dates to export older entries)` : '') + '.';
+
+    try {
+        await getBotApi().sendDocument(userId, { filename, content: csv, contentType: 'text/csv' }, { caption });
+    } catch (error) {
+        if (error instanceof TelegramApiError && (error.errorCode === 403 || error.errorCode === 400)) {
+            return { ok: false, status: 403, code: 'BOT_BLOCKED', message: 'Start a chat with the bot first, then export again.' };
+        }
+        throw error;
+    }
+
+    // 3. Remember the export for the cooldown
+    await storage.insertHistoryExport({ user_id: Number(userId), row_count: rows, filters });
+    return { ok: true, rows, truncated };
+}
+
+module.exports = {
+    HISTORY_CATEGORIES,
+    buildHistoryFilters,
+    getHistory,
+    buildHistoryCsv,
+    exportHistory
+};
@@ -0,0 +1,68 @@
+// /lib/http.js
+
+/**
+ * Response and request helpers shared by every function under /api.
+ */
+const { translateMessage } = require('./i18n');
+const { getDefaultErrorCode } = require('./errors');
+
+function sendSuccess(res, data = {}) {
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ ok: true, data }));
+}
+
+/**
+ * Error response with a stable error code (see /lib/errors.js; derived from the status when omitted).
+ * When the handler set res.locale, the message is translated (see /lib/i18n.js) and the English
+ * original is kept in "error_en". The request ID (see /lib/observability.js) is included so users
+ * can quote it in a report.
+ */
+function sendError(res, message, statusCode = 400, code = getDefaultErrorCode(statusCode)) {
+  const translated = res.locale ? translateMessage(message, res.locale) : message;
+  const payload = { ok: false, code, error: translated };
+  if (translated !== message) {
+    payload.error_en = message;
+  }
+  if (res.requestId) {
+    payload.request_id = res.requestId;
+  }
+  res.errorCode = code;
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(payload));
+}
+
+/**
+ * Reads the raw request body as a string.
+ */
+function readRawBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => {
+      data += chunk.toString();
+    });
+    req.on('end', () => resolve(data));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Reads and parses a JSON request body. Rejects with "Invalid JSON payload." on malformed input.
+ */
+async function readJsonBody(req) {
+  const data = await readRawBody(req);
+  try {
+    return JSON.parse(data);
+  } catch (e) {
+    throw new Error('Invalid JSON payload.');
+  }
+}
+
+/**
+ * Client IP address: the first x-forwarded-for hop (set by the platform's proxy), else the socket address.
+ */
+function getClientIp(req) {
+  const forwarded = String(req.headers['x-forwarded-for'] || '').split(',')[0].trim();
+  return forwarded || (req.socket && req.socket.remoteAddress) || null;
+}
+
+module.exports = { sendSuccess, sendError, readRawBody, readJsonBody, getClientIp };
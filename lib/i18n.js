@@ -0,0 +1,114 @@
+// /lib/i18n.js
+
+/**
+ * Server-side translation of user-facing error messages.
+ *
+ * Messages are written in English throughout the code; /locales/<locale>.json maps an English
+ * template to its translation. "{name}" placeholders match any text and carry it over, so
+ *
+ *   "Daily spin limit ({max}) reached."  ->  "تم بلوغ الحد اليومي للدوران ({max})."
+ *
+ * translates "Daily spin limit (10) reached." with max = 10. When several templates match, the one
+ * with the most literal text wins. Messages without a catalog entry stay English. sendError()
+ * (see /lib/http.js) translates into res.locale and keeps the English text in "error_en" so clients
+ * can still match on it.
+ *
+ * The locale is the one the Mini App sends in "lang" (the user's manual choice), else the
+ * language_code Telegram puts in initData, else English.
+ */
+const CATALOGS = {
+    ar: require('../locales/ar.json'),
+    fa: require('../locales/fa.json')
+};
+
+const DEFAULT_LOCALE = 'en';
+const SUPPORTED_LOCALES = [DEFAULT_LOCALE, ...Object.keys(CATALOGS)];
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+const compiledCatalogs = {}; // locale -> [{ pattern, names, translation }]
+
+function compileTemplate(template) {
+    const names = [];
+    const source = template
+        .split(PLACEHOLDER_PATTERN)
+        .map((part, i) => {
+            // split() with a capture group alternates literal text and placeholder names
+            if (i % 2 === 1) {
+                names.push(part);
+                return '(.+?)';
+            }
+            return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('');
+    const literalLength = template.replace(PLACEHOLDER_PATTERN, '').length;
+    return { pattern: new RegExp(`^${source}$`), names, literalLength };
+}
+
+function getCompiledCatalog(locale) {
+    if (!compiledCatalogs[locale]) {
+        // Most specific first: "Invalid {address}." must not swallow "Invalid request: {details}."
+        compiledCatalogs[locale] = Object.entries(CATALOGS[locale])
+            .map(([template, translation]) => ({ ...compileTemplate(template), translation }))
+            .sort((a, b) => b.literalLength - a.literalLength);
+    }
+    return compiledCatalogs[locale];
+}
+
+/**
+ * "ar", "ar-EG", "fa-IR", "FA" ... -> a supported locale, or null.
+ */
+function normalizeLocale(code) {
+    if (typeof code !== 'string') return null;
+    const language = code.trim().toLowerCase().split(/[-_]/)[0];
+    return SUPPORTED_LOCALES.includes(language) ? language : null;
+}
+
+/**
+ * language_code of the Telegram user in a (validated) initData string.
+ */
+function getInitDataLanguage(initData) {
+    try {
+        const user = JSON.parse(new URLSearchParams(initData).get('user') || '{}');
+        return user.language_code || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * The first supported locale among the candidates (most specific first), else English.
+ */
+function resolveLocale(...candidates) {
+    for (const candidate of candidates) {
+        const locale = normalizeLocale(candidate);
+        if (locale) return locale;
+    }
+    return DEFAULT_LOCALE;
+}
+
+/**
+ * Translates an English message, or returns it unchanged when the catalog has no matching template.
+ */
+function translateMessage(message, locale) {
+    if (typeof message !== 'string' || !CATALOGS[locale]) return message;
+
+    for (const entry of getCompiledCatalog(locale)) {
+        const match = entry.pattern.exec(message);
+        if (!match) continue;
+
+        const values = {};
+        entry.names.forEach((name, i) => { values[name] = match[i + 1]; });
+        return entry.translation.replace(PLACEHOLDER_PATTERN, (placeholder, name) =>
+            (name in values ? values[name] : placeholder));
+    }
+    return message;
+}
+
+module.exports = {
+    DEFAULT_LOCALE,
+    SUPPORTED_LOCALES,
+    normalizeLocale,
+    getInitDataLanguage,
+    resolveLocale,
+    translateMessage
+};
@@ -0,0 +1,127 @@
+// /lib/idempotency.js
+
+/**
+ * Idempotency keys for requests that move money (withdraw, spinResult, checkIn, claimTask and the
+ * admin balance changes; see `idempotent` in the route registry of /api/index.js).
+ *
+ * The client sends a random `idempotency_key` with the request and reuses it when it retries after
+ * a network failure. The first request with a key runs the handler; its response (status and body)
+ * is stored in "idempotency_keys", and every later request with the same key gets that response
+ * back with an "Idempotent-Replay: true" header instead of running the handler again:
+ *
+ *   - same key, same request, first one finished   → the stored response
+ *   - same key, same request, first one running    → 409 REQUEST_IN_PROGRESS (retry shortly)
+ *   - same key, different request                  → 422 IDEMPOTENCY_CONFLICT
+ *
+ * Keys are scoped per caller ("user:<id>", "admin:<name>"). Responses that a retry may change
+ * (5xx, 408 TOKEN_EXPIRED, 429) are not stored: the key is released so the retry runs again.
+ * That retry is safe because each of these requests spends its entitlement (action ID or spin
+ * session) and writes its record and ledger entry in one transaction: a request that failed wrote
+ * nothing, and its retry is paid once. A withdrawal whose response was lost after the commit is
+ * found again by its request key (see handleWithdraw).
+ */
+const crypto = require('crypto');
+const storage = require('./storage');
+const { sendError } = require('./http');
+const { logger } = require('./logger');
+
+const IDEMPOTENCY_KEY_INPUT = {
+    idempotency_key: { type: 'string', pattern: /^[A-Za-z0-9_-]{8,64}$/ }
+};
+
+// A key still "processing" after this long belongs to a request that died; a retry may take it over
+const IDEMPOTENCY_PROCESSING_TIMEOUT_MS = 60 * 1000;
+
+// Statuses whose response is not final for the key
+const RETRYABLE_STATUSES = [408, 429];
+
+/**
+ * Fingerprint of the request a key was first used for. initData (refreshed by the client) and the
+ * key itself are left out; JSON.stringify keeps the schema's field order, so equal inputs hash equally.
+ */
+function hashRequest(type, input) {
+    const { initData, idempotency_key, ...fields } = input;
+    return crypto.createHash('sha256').update(JSON.stringify([type, fields])).digest('hex');
+}
+
+/**
+ * Records the status and body the handler sends, while still sending them.
+ */
+function captureResponse(res) {
+    const captured = { statusCode: null, body: null };
+    const { writeHead, end } = res;
+
+    res.writeHead = function (statusCode, ...rest) {
+        captured.statusCode = statusCode;
+        return writeHead.call(this, statusCode, ...rest);
+    };
+    res.end = function (chunk, ...rest) {
+        if (chunk !== undefined && typeof chunk !== 'function') {
+            captured.body = String(chunk);
+        }
+        return end.call(this, chunk, ...rest);
+    };
+    return captured;
+}
+
+async function reserveKey(scope, key, requestType, requestHash) {
+    const reservation = await storage.reserveIdempotencyKey({ scope, key, requestType, requestHash });
+    const { reserved, record } = reservation;
+    const isStale = !reserved && !record.completed_at &&
+        Date.now() - new Date(record.created_at).getTime() > IDEMPOTENCY_PROCESSING_TIMEOUT_MS;
+    if (!isStale) return reservation;
+
+    logger.warn('Idempotency key was left processing; taking it over.', { scope, key });
+    await storage.releaseIdempotencyKey(scope, key);
+    return storage.reserveIdempotencyKey({ scope, key, requestType, requestHash });
+}
+
+/**
+ * Runs `run` (which sends the response) at most once per (scope, key), replaying its stored
+ * response for repeated requests.
+ */
+async function runIdempotent(res, { scope, key, type, input }, run) {
+    const requestHash = hashRequest(type, input);
+
+    // 1. Claim the key, or find the request that already claimed it
+    const { reserved, record } = await reserveKey(scope, key, type, requestHash);
+
+    if (!reserved) {
+        if (record.request_type !== type || record.request_hash !== requestHash) {
+            return sendError(res, 'This idempotency key was already used for a different request.', 422, 'IDEMPOTENCY_CONFLICT');
+        }
+        if (!record.completed_at) {
+            res.setHeader('Retry-After', '1');
+            return sendError(res, 'This request is still being processed. Please try again shortly.', 409, 'REQUEST_IN_PROGRESS');
+        }
+
+        // ⬅️ Replay: the original outcome, byte for byte
+        res.setHeader('Idempotent-Replay', 'true');
+        res.writeHead(record.status_code, { 'Content-Type': 'application/json' });
+        return res.end(record.response);
+    }
+
+    // 2. Run the handler and keep its response
+    const captured = captureResponse(res);
+    try {
+        await run();
+    } catch (error) {
+        await storage.releaseIdempotencyKey(scope, key);
+        throw error;
+    }
+
+    // 3. Final outcomes are stored for replays; anything a retry may change releases the key
+    const statusCode = captured.statusCode || res.statusCode;
+    try {
+        if (statusCode < 500 && !RETRYABLE_STATUSES.includes(statusCode) && captured.body !== null) {
+            await storage.completeIdempotencyKey(scope, key, statusCode, captured.body);
+        } else {
+            await storage.releaseIdempotencyKey(scope, key);
+        }
+    } catch (error) {
+        // The response is already sent; a retry sees REQUEST_IN_PROGRESS until the key goes stale
+        logger.error('Failed to store idempotency key', { scope, key, error: error.message });
+    }
+}
+
+module.exports = { IDEMPOTENCY_KEY_INPUT, runIdempotent };
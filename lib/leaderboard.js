@@ -0,0 +1,110 @@
+// /lib/leaderboard.js
+
+/**
+ * Leaderboards: rankings of users by a metric over a period.
+ *
+ *   metrics   earned (SHIB from ads and spins), referrals (invited users), commission (SHIB from referrals)
+ *   periods   daily (since today's midnight), weekly (since Monday's midnight), all_time
+ *
+ * Days and weeks start at midnight in the same timezone as the daily limits. Rankings are read from
+ * a cache (leaderboard_entries) that is rebuilt at most every LEADERBOARD_CACHE_TTL_MS, or as soon as
+ * the period rolls over, so opening the app never scans the source tables.
+ *
+ * Users are never shown by Telegram name or ID: each gets a stable pseudonym derived from an HMAC
+ * of their ID, keyed with BOT_TOKEN so it cannot be reversed by hashing candidate IDs.
+ */
+const crypto = require('crypto');
+const storage = require('./storage');
+const { getUsageDate, shiftUsageDate, getUsageDayStart } = require('./limits');
+
+const LEADERBOARD_METRICS = ['earned', 'referrals', 'commission'];
+const LEADERBOARD_PERIODS = ['daily', 'weekly', 'all_time'];
+const LEADERBOARD_CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+
+const NAME_ADJECTIVES = ['Lucky', 'Swift', 'Brave', 'Clever', 'Happy', 'Mighty', 'Golden', 'Cosmic'];
+const NAME_ANIMALS = ['Shiba', 'Fox', 'Panda', 'Tiger', 'Falcon', 'Wolf', 'Otter', 'Dragon'];
+
+/**
+ * Stable anonymous display name for a user, e.g. "Lucky Shiba #3fa9".
+ */
+function getDisplayName(userId) {
+    const digest = crypto.createHmac('sha256', process.env.BOT_TOKEN || '')
+        .update(`leaderboard:${userId}`)
+        .digest();
+    const adjective = NAME_ADJECTIVES[digest[0] % NAME_ADJECTIVES.length];
+    const animal = NAME_ANIMALS[digest[1] % NAME_ANIMALS.length];
+    return `${adjective} ${animal} #${digest.toString('hex', 2, 4)}`;
+}
+
+/**
+ * Start of the period containing `now` (ISO string), or null for all-time.
+ */
+function getPeriodStart(period, now = new Date()) {
+    const today = getUsageDate(now);
+    switch (period) {
+        case 'daily':
+            return getUsageDayStart(today).toISOString();
+        case 'weekly': {
+            const weekday = new Date(`${today}T00:00:00Z`).getUTCDay(); // 0 = Sunday
+            return getUsageDayStart(shiftUsageDate(today, -((weekday + 6) % 7))).toISOString();
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Returns the cached snapshot for a board, rebuilding it first if it is stale or from a past period.
+ */
+async function getFreshSnapshot(metric, period, now = new Date()) {
+    const periodStart = getPeriodStart(period, now);
+    const snapshot = await storage.getLeaderboardSnapshot(metric, period);
+
+    const samePeriod = snapshot && (snapshot.period_start === null
+        ? periodStart === null
+        : periodStart !== null && new Date(snapshot.period_start).getTime() === new Date(periodStart).getTime());
+    const isFresh = snapshot && now.getTime() - new Date(snapshot.refreshed_at).getTime() < LEADERBOARD_CACHE_TTL_MS;
+
+    if (samePeriod && isFresh) {
+        return snapshot;
+    }
+    return storage.refreshLeaderboard(metric, period, periodStart);
+}
+
+/**
+ * One page of a leaderboard plus the caller's own rank (null if they have no score yet).
+ */
+async function getLeaderboard({ metric, period, limit, offset, userId, now = new Date() }) {
+    const snapshot = await getFreshSnapshot(metric, period, now);
+
+    // Fetch one extra row to know whether another page exists
+    const [rows, own] = await Promise.all([
+        storage.listLeaderboardEntries(metric, period, { limit: limit + 1, offset }),
+        storage.getLeaderboardEntry(metric, period, userId)
+    ]);
+    const page = rows.slice(0, limit);
+
+    return {
+        metric,
+        period,
+        period_start: snapshot.period_start,
+        refreshed_at: snapshot.refreshed_at,
+        entries: page.map(row => ({
+            rank: row.rank,
+            name: getDisplayName(row.user_id),
+            score: row.score,
+            is_me: row.user_id === userId
+        })),
+        has_more: rows.length > limit,
+        me: own ? { rank: own.rank, name: getDisplayName(userId), score: own.score } : null
+    };
+}
+
+module.exports = {
+    LEADERBOARD_METRICS,
+    LEADERBOARD_PERIODS,
+    LEADERBOARD_CACHE_TTL_MS,
+    getDisplayName,
+    getPeriodStart,
+    getLeaderboard
+};
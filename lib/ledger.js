@@ -0,0 +1,162 @@
+// /lib/ledger.js
+
+/**
+ * Append-only balance ledger.
+ * Every credit and debit is an immutable row in "ledger_entries"; users.balance is only
+ * changed by storage.applyLedgerEntry, which inserts the entry and moves the balance in
+ * one unit (the "apply_ledger_entry" Postgres function, see supabase/migrations/0002_ledger.sql).
+ * Withdrawals debit through createWithdrawal, which also inserts the withdrawal row in the same
+ * transaction ("create_withdrawal", see supabase/migrations/0017_idempotency.sql and
+ * 0020_withdrawal_policy.sql); rejectWithdrawal refunds them together with the status change.
+ */
+const storage = require('./storage');
+
+const ENTRY_TYPES = {
+    AD: 'ad',
+    SPIN: 'spin',
+    COMMISSION: 'commission',
+    WITHDRAWAL: 'withdrawal',
+    REFUND: 'refund',
+    ADJUSTMENT: 'adjustment',
+    CHECK_IN: 'check_in',
+    TASK: 'task'
+};
+
+class LedgerError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'LedgerError';
+        this.code = code;
+    }
+}
+
+// Error markers raised by the storage backends, mapped to LedgerError codes
+const SQL_ERRORS = {
+    insufficient_balance: ['INSUFFICIENT_BALANCE', 'Insufficient balance.'],
+    user_not_found: ['USER_NOT_FOUND', 'User not found.'],
+    duplicate_ledger_entry: ['DUPLICATE_ENTRY', 'This source has already been applied to the ledger.'],
+    duplicate_withdrawal_request: ['DUPLICATE_REQUEST', 'This withdrawal request is already being processed.'],
+    // Withdrawal policy limits (see /lib/withdrawal-policy.js), lost to a parallel request
+    withdrawal_pending: ['WITHDRAWAL_PENDING', 'You already have an open withdrawal request.'],
+    withdrawal_cooldown: ['COOLDOWN', 'Please wait before requesting another withdrawal.'],
+    withdrawal_limit: ['WITHDRAWAL_LIMIT', 'This request exceeds your withdrawal limit.']
+};
+
+function toLedgerError(error) {
+    for (const [marker, [code, message]] of Object.entries(SQL_ERRORS)) {
+        if (error.message && error.message.includes(marker)) {
+            return new LedgerError(code, message);
+        }
+    }
+    return error;
+}
+
+/**
+ * Applies one signed entry atomically: positive amounts credit, negative amounts debit.
+ * A debit that would take the balance below zero is rejected with INSUFFICIENT_BALANCE.
+ * (sourceType, sourceId) identifies what caused the entry; the same source cannot be applied twice per type.
+ *
+ * @returns {Promise<{ entryId: number, balance: number }>}
+ */
+async function applyEntry({ userId, type, amount, sourceType = null, sourceId = null, createdBy = null, note = null }) {
+    if (!Object.values(ENTRY_TYPES).includes(type)) {
+        throw new LedgerError('INVALID_ENTRY', `Unknown ledger entry type: ${type}`);
+    }
+    if (typeof amount !== 'number' || !isFinite(amount) || amount === 0) {
+        throw new LedgerError('INVALID_ENTRY', 'Ledger amount must be a non-zero number.');
+    }
+
+    let result;
+    try {
+        result = await storage.applyLedgerEntry({
+            userId,
+            type,
+            amount,
+            sourceType,
+            sourceId: sourceId === null ? null : String(sourceId),
+            createdBy,
+            note
+        });
+    } catch (error) {
+        throw toLedgerError(error);
+    }
+
+    if (!result) {
+        throw new Error('apply_ledger_entry returned no rows.');
+    }
+    return { entryId: result.entry_id, balance: Number(result.balance) };
+}
+
+function credit(userId, type, amount, source = {}) {
+    return applyEntry({ userId, type, amount: Math.abs(amount), ...source });
+}
+
+function debit(userId, type, amount, source = {}) {
+    return applyEntry({ userId, type, amount: -Math.abs(amount), ...source });
+}
+
+/**
+ * Debits `amount` and creates the withdrawal request in one unit: either both are written or neither.
+ * `requestKey` identifies the client request; repeating it returns the withdrawal it already created
+ * (created = false) instead of debiting again.
+ * `limits` (open requests, cooldown, daily and weekly caps from /lib/withdrawal-policy.js) are checked
+ * in the same unit, so parallel requests cannot pass them together.
+ *
+ * @returns {Promise<{ withdrawalId: number, status: string, fee: number, netAmount: number, balance: number, created: boolean }>}
+ */
+async function createWithdrawal({ userId, amount, method, address, fee, netAmount, status, requestKey, sourceId, limits }) {
+    let row;
+    try {
+        row = await storage.createWithdrawal({
+            userId, amount, method, address, fee, netAmount, status, requestKey, sourceId: String(sourceId), limits
+        });
+    } catch (error) {
+        throw toLedgerError(error);
+    }
+
+    return {
+        withdrawalId: row.withdrawal_id,
+        status: row.status,
+        fee: Number(row.fee),
+        netAmount: Number(row.net_amount),
+        balance: Number(row.balance),
+        created: row.created
+    };
+}
+
+/**
+ * Rejects a pending, held or approved withdrawal and refunds its amount in one unit ("reject_withdrawal",
+ * see supabase/migrations/0021_reject_withdrawal.sql). A withdrawal already rejected without its refund
+ * is refunded. Resolves to null when the withdrawal does not exist or cannot be rejected.
+ *
+ * @returns {Promise<{ withdrawal: object, refundedAmount: number, balance: number } | null>}
+ */
+async function rejectWithdrawal(withdrawalId, { admin, reason }) {
+    let row;
+    try {
+        row = await storage.rejectWithdrawal(withdrawalId, { admin, reason });
+    } catch (error) {
+        throw toLedgerError(error);
+    }
+    if (!row) return null;
+
+    return { withdrawal: row.withdrawal, refundedAmount: Number(row.refunded_amount), balance: Number(row.balance) };
+}
+
+/**
+ * Reconciliation: recomputes every user's balance from the ledger and returns
+ * the users whose stored balance differs from the ledger sum.
+ *
+ * @returns {Promise<Array<{ user_id: number, stored_balance: number, ledger_balance: number, difference: number }>>}
+ */
+async function reconcileBalances() {
+    const rows = await storage.reconcileBalances();
+    return rows.map(row => ({
+        user_id: row.user_id,
+        stored_balance: Number(row.stored_balance),
+        ledger_balance: Number(row.ledger_balance),
+        difference: Number(row.difference)
+    }));
+}
+
+module.exports = { ENTRY_TYPES, LedgerError, applyEntry, credit, debit, createWithdrawal, rejectWithdrawal, reconcileBalances };
@@ -0,0 +1,104 @@
+// /lib/limits.js
+
+/**
+ * Calendar-based daily limits for ad/spin actions (request rate limits are in /lib/rate-limit.js).
+ *
+ * Ads and spins are counted in daily_usage, one row per user per calendar day. A day starts at
+ * midnight in the economy config's daily_reset.timezone (e.g. "UTC", "Asia/Tehran"), so the
+ * limits reset at the same moment for everyone regardless of their activity.
+ */
+const storage = require('./storage');
+const { ECONOMY } = require('./config');
+
+const RESET_TIMEZONE = ECONOMY.daily_reset.timezone;
+
+const zonedFormatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: RESET_TIMEZONE,
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit',
+    hourCycle: 'h23'
+});
+
+/**
+ * Wall-clock date and time of an instant in the reset timezone, as numbers.
+ */
+function getZonedParts(date) {
+    const parts = {};
+    zonedFormatter.formatToParts(date).forEach(({ type, value }) => { parts[type] = Number(value); });
+    return parts;
+}
+
+/**
+ * Offset of the reset timezone from UTC at the given instant, in milliseconds.
+ */
+function getTimezoneOffsetMs(date) {
+    const p = getZonedParts(date);
+    const wallClockAsUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return wallClockAsUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Calendar day ("YYYY-MM-DD") that an instant belongs to in the reset timezone.
+ */
+function getUsageDate(now = new Date()) {
+    const p = getZonedParts(now);
+    return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+/**
+ * Shifts a "YYYY-MM-DD" calendar day by a number of days.
+ */
+function shiftUsageDate(usageDate, days) {
+    const [year, month, day] = usageDate.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * The instant a "YYYY-MM-DD" calendar day starts, i.e. its midnight in the reset timezone.
+ */
+function getUsageDayStart(usageDate) {
+    const [year, month, day] = usageDate.split('-').map(Number);
+    const midnight = Date.UTC(year, month - 1, day);
+    // Second pass corrects for a DST change between the first guess and midnight
+    const guess = midnight - getTimezoneOffsetMs(new Date(midnight));
+    return new Date(midnight - getTimezoneOffsetMs(new Date(guess)));
+}
+
+/**
+ * Next midnight in the reset timezone, i.e. when the current usage day ends.
+ */
+function getNextResetAt(now = new Date()) {
+    return getUsageDayStart(shiftUsageDate(getUsageDate(now), 1));
+}
+
+/**
+ * Today's ad/spin counts for a user and when they reset.
+ */
+async function getDailyUsage(userId, now = new Date()) {
+    const usageDate = getUsageDate(now);
+    const usage = await storage.getDailyUsage(userId, usageDate);
+    return {
+        usage_date: usageDate,
+        ads_watched: usage ? usage.ads_watched : 0,
+        spins: usage ? usage.spins : 0,
+        resets_at: getNextResetAt(now).toISOString()
+    };
+}
+
+/**
+ * Counts one ad ("ads_watched") or spin ("spins") for today, only while below max.
+ * Resolves to the new count, or null when the daily limit is already reached.
+ */
+async function incrementDailyUsage(userId, counter, max, now = new Date()) {
+    const usage = await storage.incrementDailyUsage(userId, getUsageDate(now), counter, max);
+    return usage ? usage[counter] : null;
+}
+
+module.exports = {
+    getUsageDate,
+    shiftUsageDate,
+    getUsageDayStart,
+    getNextResetAt,
+    getDailyUsage,
+    incrementDailyUsage
+};
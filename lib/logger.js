@@ -0,0 +1,87 @@
+// /lib/logger.js
+
+/**
+ * Structured logs: one JSON object per line, so the platform's log search can filter by field.
+ *
+ *   {"time":"...","level":"error","msg":"Spin failed","request_id":"3f2a...","endpoint":"api","type":"spin","user_id":42,"error":"..."}
+ *
+ * Every request runs inside a context (see instrument() in /lib/observability.js) holding its
+ * request ID, endpoint, request type and user; each line logged while it runs carries them, so
+ * lines of one request can be found from the ID shown to the user. Supabase calls made by the
+ * request are timed into the same context and summarised when the request completes.
+ */
+const { AsyncLocalStorage } = require('async_hooks');
+
+const requestContext = new AsyncLocalStorage();
+
+// Calls kept per request for the completion line; the totals still count every call
+const MAX_DB_CALLS_LOGGED = 50;
+// Calls slower than this are also logged on their own
+const SLOW_DB_CALL_MS = 1000;
+
+const CONSOLE_METHODS = { info: 'log', warn: 'warn', error: 'error' };
+
+function write(level, message, fields = {}) {
+    const context = requestContext.getStore();
+    const entry = { time: new Date().toISOString(), level, msg: message };
+
+    if (context) {
+        entry.request_id = context.requestId;
+        entry.endpoint = context.endpoint;
+        if (context.type) entry.type = context.type;
+        if (context.userId) entry.user_id = context.userId;
+        if (context.admin) entry.admin = context.admin;
+    }
+
+    for (const [key, value] of Object.entries(fields)) {
+        if (value === undefined) continue;
+        entry[key] = value instanceof Error ? value.message : value;
+    }
+
+    console[CONSOLE_METHODS[level]](JSON.stringify(entry));
+}
+
+const logger = {
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields)
+};
+
+/**
+ * Runs `fn` with a new request context ({ requestId, endpoint, ... }).
+ */
+function runWithRequestContext(context, fn) {
+    return requestContext.run({ type: null, userId: null, admin: null, dbCalls: [], dbCallCount: 0, dbMs: 0, ...context }, fn);
+}
+
+function getRequestContext() {
+    return requestContext.getStore() || null;
+}
+
+/**
+ * Adds what the handler learned (request type, user ID, admin name) to the current context.
+ */
+function setRequestFields({ type, userId, admin }) {
+    const context = requestContext.getStore();
+    if (!context) return;
+    if (type !== undefined) context.type = type;
+    if (userId !== undefined) context.userId = userId;
+    if (admin !== undefined) context.admin = admin;
+}
+
+/**
+ * Records one Supabase call of the current request ({ target, method, status, ms }).
+ */
+function recordDbCall(call) {
+    const context = requestContext.getStore();
+    if (context) {
+        context.dbCallCount++;
+        context.dbMs += call.ms;
+        if (context.dbCalls.length < MAX_DB_CALLS_LOGGED) context.dbCalls.push(call);
+    }
+    if (call.ms >= SLOW_DB_CALL_MS) {
+        logger.warn('Slow Supabase call', call);
+    }
+}
+
+module.exports = { logger, runWithRequestContext, getRequestContext, setRequestFields, recordDbCall };
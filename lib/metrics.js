@@ -0,0 +1,83 @@
+// /lib/metrics.js
+
+/**
+ * Metrics in the Prometheus text format, served by /api/metrics:
+ *
+ *   shib_ads_rewarded_total                                   ad views credited
+ *   shib_spins_total                                          spins resolved with a prize
+ *   shib_issued_total{source}                                 SHIB credited to balances, by ledger entry type
+ *   shib_withdrawals_requested_total{method}                  withdrawal requests
+ *   shib_withdrawals_requested_amount_total{method}           SHIB requested for withdrawal
+ *   shib_api_errors_total{endpoint,type,code}                 error responses
+ *
+ * The business counters are totals over the ledger and the withdrawals table, kept as running
+ * counters that move as rows are inserted (supabase/migrations/0022_metric_counters.sql), so they
+ * are exact, the same on every serverless instance and cheap to scrape; error responses are counted
+ * in storage as they are sent (see instrument() in /lib/observability.js). Refunds are not counted as issued SHIB: they
+ * return a withdrawal's debit.
+ */
+const storage = require('./storage');
+const { ENTRY_TYPES } = require('./ledger');
+const { logger } = require('./logger');
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * One metric block: HELP and TYPE lines, then a sample per { labels, value }.
+ */
+function formatMetric(name, help, samples) {
+    return [
+        `# HELP ${name} ${help}`,
+        `# TYPE ${name} counter`,
+        ...samples.map(({ labels = {}, value }) => `${name}${formatLabels(labels)} ${value}`)
+    ].join('\n');
+}
+
+/**
+ * Counts one error response. Never throws: a failing counter must not fail the request.
+ */
+async function recordError({ endpoint, type, code }) {
+    try {
+        await storage.incrementErrorCounter({ endpoint, type, code });
+    } catch (error) {
+        logger.warn('Error counter not recorded', { code, error });
+    }
+}
+
+async function renderMetrics() {
+    const [totals, errors] = await Promise.all([storage.getMetricTotals(), storage.listErrorCounters()]);
+    const total = (metric, label) => {
+        const row = totals.find(t => t.metric === metric && t.label === label);
+        return row ? row.value : 0;
+    };
+    const rows = metric => totals.filter(t => t.metric === metric);
+
+    return [
+        formatMetric('shib_ads_rewarded_total', 'Ad views credited.',
+            [{ value: total('ledger_entries', ENTRY_TYPES.AD) }]),
+        formatMetric('shib_spins_total', 'Spins resolved with a prize.',
+            [{ value: total('ledger_entries', ENTRY_TYPES.SPIN) }]),
+        formatMetric('shib_issued_total', 'SHIB credited to balances, by source.',
+            rows('ledger_credited')
+                .filter(row => row.label !== ENTRY_TYPES.REFUND)
+                .map(row => ({ labels: { source: row.label }, value: row.value }))),
+        formatMetric('shib_withdrawals_requested_total', 'Withdrawal requests, by payout method.',
+            rows('withdrawals_requested').map(row => ({ labels: { method: row.label }, value: row.value }))),
+        formatMetric('shib_withdrawals_requested_amount_total', 'SHIB requested for withdrawal, by payout method.',
+            rows('withdrawals_amount').map(row => ({ labels: { method: row.label }, value: row.value }))),
+        formatMetric('shib_api_errors_total', 'Error responses, by endpoint, request type and error code.',
+            errors.map(row => ({
+                labels: { endpoint: row.endpoint, type: row.request_type, code: row.code },
+                value: row.count
+            })))
+    ].join('\n\n') + '\n';
+}
+
+module.exports = { recordError, renderMetrics };
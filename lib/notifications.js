@@ -0,0 +1,40 @@
+// /lib/notifications.js
+
+/**
+ * Direct messages from the bot about events the user did not trigger themselves.
+ * Sent through the shared Bot API client (see /lib/telegram.js).
+ *
+ * Never throws: a user who blocked the bot or never started it must not fail the admin action
+ * that caused the message.
+ */
+const { getBotApi } = require('./telegram');
+const { ECONOMY } = require('./config');
+const { logger } = require('./logger');
+
+const WITHDRAWAL_STATUS_MESSAGES = {
+    approved: w => `✔️ Your withdrawal of ${w.amount} ${ECONOMY.currency} was approved and will be paid soon.`,
+    paid: w => `✅ Your withdrawal of ${w.amount} ${ECONOMY.currency} has been paid.` +
+        (w.payout_reference ? `\nReference: ${w.payout_reference}` : ''),
+    rejected: w => `❌ Your withdrawal of ${w.amount} ${ECONOMY.currency} was rejected and the amount was refunded to your balance.` +
+        (w.decision_note ? `\nReason: ${w.decision_note}` : '')
+};
+
+/**
+ * Tells the user that their withdrawal moved to a new status.
+ *
+ * @returns {Promise<boolean>} whether the message was sent
+ */
+async function notifyWithdrawalStatus(withdrawal) {
+    const message = WITHDRAWAL_STATUS_MESSAGES[withdrawal.status];
+    if (!message) return false;
+
+    try {
+        await getBotApi().sendMessage(withdrawal.user_id, message(withdrawal));
+        return true;
+    } catch (error) {
+        logger.warn('Withdrawal notification failed', { withdrawal_id: withdrawal.id, user_id: withdrawal.user_id, error: error.message });
+        return false;
+    }
+}
+
+module.exports = { notifyWithdrawalStatus };
@@ -0,0 +1,114 @@
+// /lib/observability.js
+
+/**
+ * Request instrumentation and health checks for the functions under /api.
+ *
+ * instrument() wraps a function so that every request:
+ *   - gets a request ID (a sane incoming "X-Request-Id" is kept, else a new UUID), sent back in the
+ *     "X-Request-Id" header and in the body of every error response;
+ *   - runs in a log context (see /lib/logger.js), so every line it logs carries the ID;
+ *   - ends with one "Request completed" line: status, error code, latency and its Supabase calls;
+ *   - counts its error response for /api/metrics (see /lib/metrics.js).
+ */
+const crypto = require('crypto');
+const storage = require('./storage');
+const { logger, runWithRequestContext, getRequestContext } = require('./logger');
+const { recordError } = require('./metrics');
+const { sendError } = require('./http');
+
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{8,64}$/;
+
+// Environment every deployment needs; the Supabase keys only with the Supabase backend
+const REQUIRED_ENV = ['BOT_TOKEN', 'ADMIN_API_KEYS'];
+const SUPABASE_ENV = ['NEXT_PUBLIC_SUPABASE_URL', 'SUPABASE_SERVICE_ROLE_KEY'];
+// Environment of optional features: missing ones are reported, but the service is still healthy
+const OPTIONAL_ENV = ['AD_CALLBACK_SECRETS', 'BOT_WEBHOOK_SECRET', 'METRICS_TOKEN'];
+
+function getRequestId(req) {
+    const incoming = String(req.headers['x-request-id'] || '');
+    return REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+}
+
+async function logCompletion(res, startedAt) {
+    const context = getRequestContext();
+    const status = res.statusCode;
+    const level = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+
+    logger[level]('Request completed', {
+        status,
+        code: res.errorCode,
+        latency_ms: Date.now() - startedAt,
+        db_calls: context.dbCallCount,
+        db_ms: context.dbMs,
+        db: context.dbCalls.length > 0 ? context.dbCalls : undefined
+    });
+
+    if (res.errorCode) {
+        await recordError({ endpoint: context.endpoint, type: context.type, code: res.errorCode });
+    }
+}
+
+/**
+ * Wraps the function of one endpoint ("api", "ad-callback", ...) with a request ID, logging and metrics.
+ */
+function instrument(endpoint, handler) {
+    return async (req, res) => {
+        const requestId = getRequestId(req);
+        const startedAt = Date.now();
+        res.requestId = requestId;
+        res.setHeader('X-Request-Id', requestId);
+
+        return runWithRequestContext({ requestId, endpoint }, async () => {
+            try {
+                await handler(req, res);
+            } catch (error) {
+                logger.error('Unhandled error', { error, stack: error.stack });
+                if (!res.headersSent) {
+                    sendError(res, 'Internal server error.', 500, 'INTERNAL');
+                }
+            }
+            await logCompletion(res, startedAt);
+        });
+    };
+}
+
+/**
+ * Storage connectivity and deployment configuration.
+ *
+ * @returns {Promise<{ ok: boolean, checks: { storage: object, config: object } }>}
+ */
+async function runHealthChecks() {
+    // 1. Storage answers
+    const startedAt = Date.now();
+    let storageCheck;
+    try {
+        await storage.checkHealth();
+        storageCheck = { ok: true, backend: storage.name, latency_ms: Date.now() - startedAt };
+    } catch (error) {
+        // The reason stays in the logs: the health route is public
+        logger.error('Health check: storage unreachable', { error });
+        storageCheck = { ok: false, backend: storage.name, latency_ms: Date.now() - startedAt };
+    }
+
+    // 2. Configuration: required environment and the economy config (validated when loaded)
+    const required = storage.name === 'supabase' ? [...REQUIRED_ENV, ...SUPABASE_ENV] : REQUIRED_ENV;
+    const missing = required.filter(name => !process.env[name]);
+    const optionalMissing = OPTIONAL_ENV.filter(name => !process.env[name]);
+    let economyValid = true;
+    try {
+        require('./config');
+    } catch (error) {
+        logger.error('Health check: economy config invalid', { error: error.message });
+        economyValid = false;
+    }
+    const configCheck = {
+        ok: missing.length === 0 && economyValid,
+        missing,
+        optional_missing: optionalMissing,
+        economy_valid: economyValid
+    };
+
+    return { ok: storageCheck.ok && configCheck.ok, checks: { storage: storageCheck, config: configCheck } };
+}
+
+module.exports = { instrument, runHealthChecks };
@@ -0,0 +1,67 @@
+// /lib/payouts.js
+
+/**
+ * Payout methods for withdrawals (Binance Pay, BEP20, TON, FaucetPay...), defined in
+ * withdrawals.methods of the economy config. Each method has its own address format
+ * (address_pattern), minimum amount, fee and enabled flag.
+ *
+ * The fee is taken from the withdrawn amount: the balance is debited `amount` and the
+ * user receives `net_amount = amount - fee`, where fee = fee.fixed + amount * fee.percent / 100.
+ */
+const { ECONOMY } = require('./config');
+
+function roundAmount(value) {
+    return Math.round(value * 1e8) / 1e8;
+}
+
+function getPayoutMethod(methodId) {
+    return ECONOMY.withdrawals.methods.find(method => method.id === methodId) || null;
+}
+
+function listEnabledPayoutMethods() {
+    return ECONOMY.withdrawals.methods.filter(method => method.enabled);
+}
+
+/**
+ * The smallest amount any enabled method accepts.
+ */
+function getMinimumWithdrawal() {
+    return Math.min(...listEnabledPayoutMethods().map(method => method.min_amount));
+}
+
+function calculatePayoutFee(method, amount) {
+    return roundAmount(method.fee.fixed + amount * method.fee.percent / 100);
+}
+
+/**
+ * Validates a withdrawal request against its payout method.
+ *
+ * @returns {{ ok: true, method: object, address: string, fee: number, netAmount: number }
+ *          | { ok: false, code: 'INVALID_PAYOUT', message: string }}
+ */
+function validatePayoutRequest(methodId, address, amount) {
+    const method = getPayoutMethod(methodId);
+    if (!method || !method.enabled) {
+        return { ok: false, code: 'INVALID_PAYOUT', message: 'Unknown or unavailable payout method.' };
+    }
+
+    const trimmedAddress = String(address || '').trim();
+    if (!new RegExp(method.address_pattern).test(trimmedAddress)) {
+        return { ok: false, code: 'INVALID_PAYOUT', message: `Invalid ${method.address_label}.` };
+    }
+
+    if (isNaN(amount) || amount < method.min_amount) {
+        return { ok: false, code: 'INVALID_PAYOUT', message: `Minimum withdrawal amount for ${method.label} is ${method.min_amount} ${ECONOMY.currency}.` };
+    }
+
+    const fee = calculatePayoutFee(method, amount);
+    return { ok: true, method, address: trimmedAddress, fee, netAmount: roundAmount(amount - fee) };
+}
+
+module.exports = {
+    getPayoutMethod,
+    listEnabledPayoutMethods,
+    getMinimumWithdrawal,
+    calculatePayoutFee,
+    validatePayoutRequest
+};
@@ -0,0 +1,119 @@
+// /lib/rate-limit.js
+
+/**
+ * Token-bucket rate limiting, independent of users.last_activity (which any screen refresh updates).
+ *
+ * A bucket holds up to `capacity` tokens and gains one every `refillMs`; each request takes one.
+ * A full bucket allows a burst of `capacity` requests, after which the steady rate is one per
+ * `refillMs`. Buckets are keyed by who and what, e.g. "user:42:spin" or "ip:203.0.113.7:spin", so
+ * opening screens never drains the ad bucket and one IP cannot spam "generateActionId" for many
+ * accounts.
+ *
+ * Routes name a policy from RATE_LIMIT_POLICIES (see the route registry in /api/index.js); each
+ * policy has a per-IP bucket, checked before authentication, and a per-user bucket, checked after.
+ * A `shared` policy uses one bucket for all of its request types instead of one per type.
+ *
+ * Buckets live in the storage backend (shared by every serverless instance with Supabase). If the
+ * store fails, this instance falls back to its own in-memory buckets rather than letting every
+ * request through.
+ */
+const storage = require('./storage');
+const { logger } = require('./logger');
+
+const RATE_LIMIT_POLICIES = {
+    // Rewarded actions (ads, spins, check-ins, task claims): a short burst, then one every 3 seconds
+    action: { ip: { capacity: 30, refillMs: 1000 }, user: { capacity: 3, refillMs: 3000 } },
+    // Server tokens for those actions
+    token: { ip: { capacity: 60, refillMs: 500 }, user: { capacity: 6, refillMs: 2000 } },
+    // Account changes: registration, withdrawals, appeals, exports
+    write: { ip: { capacity: 20, refillMs: 2000 }, user: { capacity: 5, refillMs: 5000 } },
+    // Screens and lists
+    read: { ip: { capacity: 120, refillMs: 250 }, user: { capacity: 30, refillMs: 500 } },
+    // Unauthenticated requests
+    public: { ip: { capacity: 20, refillMs: 1000 } },
+    // Admin requests, one bucket per IP across all admin types, so admin keys cannot be guessed at speed
+    admin: { ip: { capacity: 60, refillMs: 500 }, shared: true }
+};
+
+// Postbacks of one user's ad views (server-to-server; the network retries after a 429)
+const AD_REWARD_BUCKET = { capacity: 2, refillMs: 3000 };
+
+const FALLBACK_MAX_BUCKETS = 10000;
+const fallbackBuckets = new Map();
+let fallbackWarned = false;
+
+/**
+ * Refills `bucket` ({ tokens, updatedAt }) up to now and takes one token when available.
+ * Same arithmetic as take_rate_limit_token (supabase/migrations/0016_rate_limits.sql).
+ */
+function takeFromBucket(bucket, { capacity, refillMs }, now) {
+    const tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) / refillMs);
+    if (tokens >= 1) {
+        return { bucket: { tokens: tokens - 1, updatedAt: now }, allowed: true, retryAfterMs: 0 };
+    }
+    return { bucket: { tokens, updatedAt: now }, allowed: false, retryAfterMs: Math.ceil((1 - tokens) * refillMs) };
+}
+
+function takeFallbackToken(key, limit, now) {
+    if (fallbackBuckets.size >= FALLBACK_MAX_BUCKETS) {
+        // Buckets idle long enough to be full again carry no state
+        for (const [bucketKey, bucket] of fallbackBuckets) {
+            if (now - bucket.updatedAt >= bucket.fullAfterMs) fallbackBuckets.delete(bucketKey);
+        }
+    }
+    const current = fallbackBuckets.get(key) || { tokens: limit.capacity, updatedAt: now };
+    const result = takeFromBucket(current, limit, now);
+    fallbackBuckets.set(key, { ...result.bucket, fullAfterMs: limit.capacity * limit.refillMs });
+    return result;
+}
+
+async function takeToken(key, limit, now) {
+    try {
+        const row = await storage.takeRateLimitToken(key, limit.capacity, limit.refillMs);
+        return { allowed: row.allowed, retryAfterMs: Number(row.retry_after_ms) || 0 };
+    } catch (error) {
+        if (!fallbackWarned) {
+            logger.warn('Rate limit store unavailable, using in-memory buckets', { error: error.message });
+            fallbackWarned = true;
+        }
+        return takeFallbackToken(key, limit, now);
+    }
+}
+
+/**
+ * Takes one token from each bucket ([{ key, capacity, refillMs }]), stopping at the first empty one.
+ *
+ * @returns {Promise<{ ok: true } | { ok: false, key: string, retryAfterMs: number }>}
+ */
+async function consumeRateLimit(buckets, now = Date.now()) {
+    for (const { key, ...limit } of buckets) {
+        const { allowed, retryAfterMs } = await takeToken(key, limit, now);
+        if (!allowed) {
+            return { ok: false, key, retryAfterMs };
+        }
+    }
+    return { ok: true };
+}
+
+/**
+ * The buckets of one request: `scope` is "ip" or "user", `subject` the IP address or user ID.
+ */
+function getPolicyBuckets(policyName, scope, subject, type) {
+    const policy = RATE_LIMIT_POLICIES[policyName];
+    const limit = policy && policy[scope];
+    if (!limit || subject === null || subject === undefined) return [];
+    return [{ key: `${scope}:${subject}:${policy.shared ? policyName : type}`, ...limit }];
+}
+
+function describeRetryAfter(retryAfterMs) {
+    const seconds = Math.max(Math.ceil(retryAfterMs / 1000), 1);
+    return { seconds, message: `Rate limit exceeded. Please wait ${seconds} seconds before the next action.` };
+}
+
+module.exports = {
+    RATE_LIMIT_POLICIES,
+    AD_REWARD_BUCKET,
+    consumeRateLimit,
+    getPolicyBuckets,
+    describeRetryAfter
+};
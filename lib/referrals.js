@@ -0,0 +1,126 @@
+// /lib/referrals.js
+
+/**
+ * Referral commissions, credited server-side from the referee's stored ref_by chain.
+ *
+ * referrals.commission_rates in the economy config lists one rate per level, e.g. [0.05, 0.01]
+ * pays 5% to the direct referrer and 1% to the referrer's referrer.
+ *
+ * The referral dashboard ("getReferrals") pages through the user's direct referees with the
+ * commission each one has earned them. Referees are shown by masked first name only.
+ */
+const storage = require('./storage');
+const ledger = require('./ledger');
+const { ECONOMY } = require('./config');
+const { getActiveBan } = require('./bans');
+const { logger } = require('./logger');
+
+const COMMISSION_RATES = ECONOMY.referrals.commission_rates;
+const ACTIVE_REFEREE_WINDOW_MS = 7 * 24 * 60 * 60 * 1000; // a referee is "active" if seen in the last 7 days
+const RECENT_COMMISSION_WINDOW_MS = 7 * 24 * 60 * 60 * 1000; // "last_7_days" commission total
+
+/**
+ * Rounds SHIB amounts to 8 decimals so rates like 0.05 do not leave float noise in the ledger.
+ */
+function roundAmount(amount) {
+    return Math.round(amount * 1e8) / 1e8;
+}
+
+/**
+ * Walks up the ref_by chain of `refereeId` and credits each level its commission on `sourceReward`.
+ * Every commission is linked to the ledger entry that rewarded the referee (`sourceEntryId`),
+ * so the same ad event can never pay a level twice. Banned referrers are skipped but the chain continues.
+ *
+ * Never throws: a failed commission is logged and must not undo the referee's own reward.
+ *
+ * @returns {Promise<Array<{ referrer_id: number, level: number, amount: number }>>} the credited commissions
+ */
+async function creditReferralCommissions({ refereeId, refByOfReferee, sourceReward, sourceEntryId }) {
+    const credited = [];
+    const visited = new Set([refereeId]);
+    let referrerId = refByOfReferee;
+
+    for (let level = 1; level <= COMMISSION_RATES.length && referrerId; level++) {
+        // Stop on broken or circular chains (A -> B -> A)
+        if (visited.has(referrerId)) break;
+        visited.add(referrerId);
+
+        try {
+            const referrer = await storage.getUser(referrerId);
+            if (!referrer) break;
+
+            const amount = roundAmount(sourceReward * COMMISSION_RATES[level - 1]);
+
+            if (amount > 0 && !await getActiveBan(referrerId)) {
+                const record = await storage.insertCommission({
+                    referrer_id: referrerId,
+                    referee_id: refereeId,
+                    amount,
+                    source_reward: sourceReward,
+                    level,
+                    source_entry_id: sourceEntryId
+                });
+
+                await ledger.credit(referrerId, ledger.ENTRY_TYPES.COMMISSION, amount,
+                    { sourceType: 'commission_history', sourceId: record.id });
+
+                credited.push({ referrer_id: referrerId, level, amount });
+            }
+
+            referrerId = referrer.ref_by;
+        } catch (error) {
+            logger.error('Referral commission failed', { level, referee_id: refereeId, referrer_id: referrerId, error: error.message });
+            break;
+        }
+    }
+
+    return credited;
+}
+
+/**
+ * "Alexander" -> "A******r", "Bo" -> "B*". Referees without a stored name get "User ***" plus
+ * the last two digits of their ID, which is enough to tell them apart but not to look them up.
+ */
+function maskName(firstName, userId) {
+    const letters = Array.from(String(firstName || '').trim());
+    if (letters.length === 0) {
+        return `User ***${String(userId).slice(-2)}`;
+    }
+    if (letters.length <= 2) {
+        return `${letters[0]}*`;
+    }
+    return letters[0] + '*'.repeat(Math.min(letters.length - 2, 6)) + letters[letters.length - 1];
+}
+
+/**
+ * One page of the user's direct referees (newest first) with the commission totals.
+ * `commission` totals cover every referral level; each referee's `commission` is what that
+ * referee's own activity has paid the user.
+ */
+async function getReferralDashboard(userId, { limit, offset = 0 }, now = new Date()) {
+    const [referralsCount, referees, totals] = await Promise.all([
+        storage.countReferrals(userId),
+        storage.listReferrals(userId, { limit: limit + 1, offset }),
+        storage.getReferralCommissionTotals(userId, new Date(now.getTime() - RECENT_COMMISSION_WINDOW_MS).toISOString())
+    ]);
+
+    return {
+        referrals_count: referralsCount,
+        commission: {
+            lifetime: roundAmount(totals.lifetime),
+            last_7_days: roundAmount(totals.since)
+        },
+        referrals: referees.slice(0, limit).map(referee => ({
+            name: maskName(referee.first_name, referee.id),
+            joined_at: referee.created_at,
+            is_active: Boolean(referee.last_activity) &&
+                now.getTime() - new Date(referee.last_activity).getTime() <= ACTIVE_REFEREE_WINDOW_MS,
+            commission: roundAmount(referee.commission)
+        })),
+        limit,
+        offset,
+        has_more: referees.length > limit
+    };
+}
+
+module.exports = { COMMISSION_RATES, creditReferralCommissions, maskName, getReferralDashboard };
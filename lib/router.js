@@ -0,0 +1,159 @@
+// /lib/router.js
+
+/**
+ * Request schemas for the route registry in /api/index.js.
+ *
+ * Each route declares the body fields it accepts. validateInput() checks a request body against
+ * that schema and returns the converted values, so handlers never parse or re-check them:
+ *
+ *   {
+ *       task_id: { type: 'integer', required: true },
+ *       limit:   { type: 'integer', min: 1, max: 100, default: 20 },
+ *       metric:  { type: 'string', enum: ['earned', 'referrals'], default: 'earned' },
+ *       status:  { type: 'array', items: { type: 'string', enum: ['pending', 'paid'] } }
+ *   }
+ *
+ * Types: integer and number (numbers or numeric strings), string (numbers are accepted as text),
+ * boolean, date (any date string, converted to ISO 8601), array (an array or a comma list) and object.
+ * Fields that are absent, null or "" get their default (or stay undefined); fields the schema does
+ * not name are dropped.
+ */
+
+const INTEGER_PATTERN = /^-?\d+$/;
+
+function isAbsent(value) {
+    return value === undefined || value === null || value === '';
+}
+
+/**
+ * Converts one value to its declared type. Returns { value } or { error } (without the field name).
+ */
+function coerce(value, rule) {
+    switch (rule.type) {
+        case 'integer': {
+            const number = typeof value === 'string' && INTEGER_PATTERN.test(value.trim()) ? Number(value) : value;
+            return Number.isSafeInteger(number) ? { value: number } : { error: 'must be an integer' };
+        }
+        case 'number': {
+            const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+            return typeof number === 'number' && Number.isFinite(number) ? { value: number } : { error: 'must be a number' };
+        }
+        case 'string':
+            if (typeof value === 'number' && Number.isFinite(value)) return { value: String(value) };
+            return typeof value === 'string' ? { value } : { error: 'must be a string' };
+        case 'boolean':
+            if (value === true || value === 'true') return { value: true };
+            if (value === false || value === 'false') return { value: false };
+            return { error: 'must be true or false' };
+        case 'date': {
+            const date = typeof value === 'string' || typeof value === 'number' ? new Date(value) : null;
+            return date && !isNaN(date.getTime()) ? { value: date.toISOString() } : { error: 'must be an ISO 8601 date' };
+        }
+        case 'array':
+            if (typeof value === 'string') return { value: value.split(',').map(item => item.trim()).filter(Boolean) };
+            return Array.isArray(value) ? { value } : { error: 'must be an array' };
+        case 'object':
+            return value && typeof value === 'object' && !Array.isArray(value) ? { value } : { error: 'must be an object' };
+        default:
+            throw new Error(`Unknown schema type: ${rule.type}`);
+    }
+}
+
+/**
+ * Range, length, pattern and enum checks on a converted value. Returns an error text or null.
+ */
+function checkConstraints(value, rule) {
+    if (rule.enum && !rule.enum.includes(value)) {
+        return `must be one of: ${rule.enum.join(', ')}`;
+    }
+    if (rule.min !== undefined && value < rule.min) {
+        return `must be at least ${rule.min}`;
+    }
+    if (rule.max !== undefined && value > rule.max) {
+        return `must be at most ${rule.max}`;
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        return `must be at most ${rule.maxLength} characters`;
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+        return 'has an invalid format';
+    }
+    return null;
+}
+
+function validateField(name, value, rule) {
+    const converted = coerce(value, rule);
+    if (converted.error) {
+        return { error: `${name} ${converted.error}` };
+    }
+
+    if (rule.type === 'array' && rule.items) {
+        const items = [];
+        for (let i = 0; i < converted.value.length; i++) {
+            const item = validateField(`${name}[${i}]`, converted.value[i], rule.items);
+            if (item.error) return item;
+            items.push(item.value);
+        }
+        return { value: items };
+    }
+
+    const error = checkConstraints(converted.value, rule);
+    return error ? { error: `${name} ${error}` } : { value: converted.value };
+}
+
+/**
+ * Validates a request body against a route's input schema.
+ *
+ * @returns {{ ok: true, value: object } | { ok: false, errors: string[] }}
+ */
+function validateInput(schema, body) {
+    const value = {};
+    const errors = [];
+
+    for (const [name, rule] of Object.entries(schema)) {
+        const raw = body[name];
+        if (isAbsent(raw)) {
+            if (rule.required) {
+                errors.push(`${name} is required`);
+            } else if (rule.default !== undefined) {
+                value[name] = rule.default;
+            }
+            continue;
+        }
+
+        const field = validateField(name, raw, rule);
+        if (field.error) {
+            errors.push(field.error);
+        } else {
+            value[name] = field.value;
+        }
+    }
+
+    return errors.length > 0 ? { ok: false, errors } : { ok: true, value };
+}
+
+function describeRule(rule) {
+    const described = { ...rule };
+    if (rule.pattern) described.pattern = rule.pattern.source;
+    if (rule.items) described.items = describeRule(rule.items);
+    return described;
+}
+
+/**
+ * The registry as JSON (handlers left out, patterns as strings), for the "describeApi" request.
+ */
+function describeRoutes(routes) {
+    const described = {};
+    for (const [type, route] of Object.entries(routes)) {
+        described[type] = {
+            auth: route.auth,
+            input: Object.fromEntries(Object.entries(route.input).map(([name, rule]) => [name, describeRule(rule)])),
+            rate_limit: route.rateLimit || null,
+            idempotent: Boolean(route.idempotent),
+            returns: route.returns
+        };
+    }
+    return described;
+}
+
+module.exports = { validateInput, describeRoutes };
@@ -0,0 +1,143 @@
+// /lib/stats.js
+
+/**
+ * Admin analytics ("getStats"): is the economy sustainable?
+ *
+ * Figures come from daily rollups (daily_stats, one row per calendar day in the reset timezone of
+ * /lib/limits.js), never from scans of the source tables on read. A day's row is built on first
+ * request, rebuilt every STATS_CACHE_TTL_MS while the day is running, and rebuilt once more after
+ * the day ends; from then on it is final.
+ *
+ *   active_users                      users who made an authenticated request that day
+ *   new_users (referred / organic)    registrations, split by ref_by
+ *   ads_watched, spins                credited ad views and resolved spins
+ *   issued_*                          SHIB credited by source (bonuses: check-ins, tasks, positive adjustments)
+ *   withdrawals_requested(_amount)    requests made that day
+ *   withdrawals_paid(_amount)         requests marked paid that day
+ *   liability                         sum of all balances at the end of the day (now, for today)
+ */
+const storage = require('./storage');
+const { getUsageDate, shiftUsageDate, getUsageDayStart } = require('./limits');
+const { logger } = require('./logger');
+
+const STATS_CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+const STATS_DEFAULT_RANGE_DAYS = 30;
+const STATS_MAX_RANGE_DAYS = 366;
+const ACTIVITY_CACHE_MAX = 50000;
+
+const STATS_COLUMNS = [
+    'day', 'active_users', 'new_users', 'new_users_referred', 'new_users_organic', 'ads_watched', 'spins',
+    'issued_ads', 'issued_spins', 'issued_commissions', 'issued_bonuses',
+    'withdrawals_requested', 'withdrawals_requested_amount', 'withdrawals_paid', 'withdrawals_paid_amount',
+    'liability'
+];
+// Columns that add up over a range (daily active users and the liability do not)
+const ADDITIVE_COLUMNS = STATS_COLUMNS.filter(column => !['day', 'active_users', 'liability'].includes(column));
+
+// Users already recorded as active today by this instance, so each is written once per day
+let activityDate = null;
+const activeUsers = new Set();
+
+/**
+ * Marks the user as active today. Never throws: analytics must not fail a request.
+ */
+async function recordActivity(userId, now = new Date()) {
+    const today = getUsageDate(now);
+    if (today !== activityDate || activeUsers.size >= ACTIVITY_CACHE_MAX) {
+        activityDate = today;
+        activeUsers.clear();
+    }
+    if (activeUsers.has(Number(userId))) return;
+
+    try {
+        await storage.recordUserActivity(userId, today);
+        activeUsers.add(Number(userId));
+    } catch (error) {
+        logger.warn('Recording user activity failed', { error: error.message });
+    }
+}
+
+/**
+ * Validates a "YYYY-MM-DD" range (defaults: the last STATS_DEFAULT_RANGE_DAYS days up to today).
+ * Days after today are cut off.
+ *
+ * @returns {{ ok: true, from: string, to: string } | { ok: false, message: string }}
+ */
+function resolveStatsRange({ from, to }, now = new Date()) {
+    const invalid = [from, to].find(day => day && shiftUsageDate(day, 0) !== day);
+    if (invalid) {
+        return { ok: false, message: `Invalid day: ${invalid}.` };
+    }
+
+    const today = getUsageDate(now);
+    const end = !to || to > today ? today : to;
+    const start = from || shiftUsageDate(end, -(STATS_DEFAULT_RANGE_DAYS - 1));
+
+    if (start > end) {
+        return { ok: false, message: '"from" must not be after "to" (or today).' };
+    }
+    if (shiftUsageDate(start, STATS_MAX_RANGE_DAYS - 1) < end) {
+        return { ok: false, message: `The range can cover at most ${STATS_MAX_RANGE_DAYS} days.` };
+    }
+    return { ok: true, from: start, to: end };
+}
+
+function needsRefresh(row, dayEnd, now) {
+    if (!row) return true;
+    const refreshedAt = new Date(row.refreshed_at).getTime();
+    if (refreshedAt >= dayEnd.getTime()) return false; // built after the day ended: final
+    return now.getTime() >= dayEnd.getTime() || now.getTime() - refreshedAt >= STATS_CACHE_TTL_MS;
+}
+
+function toStatsRow(row) {
+    const stats = { day: String(row.day).slice(0, 10) };
+    STATS_COLUMNS.slice(1).forEach(column => { stats[column] = Number(row[column]) || 0; });
+    return stats;
+}
+
+/**
+ * Daily rows for the range (oldest first), rebuilding missing and stale days, plus range totals.
+ */
+async function getStats({ from, to }, now = new Date()) {
+    // 1. Rollups already built for the range
+    const rows = new Map((await storage.listDailyStats(from, to)).map(row => [String(row.day).slice(0, 10), row]));
+
+    // 2. Build the missing days and rebuild the stale ones, oldest first and one at a time: a day's
+    //    liability is carried forward from the previous day's row
+    const days = [];
+    for (let day = from; day <= to; day = shiftUsageDate(day, 1)) days.push(day);
+    const stale = days.filter(day => needsRefresh(rows.get(day), getUsageDayStart(shiftUsageDate(day, 1)), now));
+
+    for (const day of stale) {
+        const start = getUsageDayStart(day).toISOString();
+        const end = getUsageDayStart(shiftUsageDate(day, 1)).toISOString();
+        rows.set(day, await storage.refreshDailyStats(day, start, end));
+    }
+
+    // 3. Totals over the range
+    const daily = days.map(day => toStatsRow(rows.get(day)));
+    const totals = {};
+    ADDITIVE_COLUMNS.forEach(column => { totals[column] = daily.reduce((sum, row) => sum + row[column], 0); });
+    totals.active_users_avg = Math.round(daily.reduce((sum, row) => sum + row.active_users, 0) / daily.length);
+    totals.liability = daily[daily.length - 1].liability;
+
+    return { from, to, days: daily, totals, refreshed_days: stale.length };
+}
+
+/**
+ * The daily rows as CSV, one line per day.
+ */
+function buildStatsCsv(days) {
+    const lines = [STATS_COLUMNS.join(',')];
+    days.forEach(row => lines.push(STATS_COLUMNS.map(column => row[column]).join(',')));
+    return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    STATS_COLUMNS,
+    STATS_MAX_RANGE_DAYS,
+    recordActivity,
+    resolveStatsRange,
+    getStats,
+    buildStatsCsv
+};
@@ -0,0 +1,51 @@
+// /lib/storage/index.js
+
+/**
+ * Repository layer. Handlers never build queries themselves; they call the typed
+ * methods of the active backend, picked by the STORAGE_BACKEND environment variable:
+ *
+ *   STORAGE_BACKEND=supabase  (default) Supabase REST API, see ./supabase.js
+ *   STORAGE_BACKEND=memory    in-process store for local development, see ./memory.js
+ *                             (set MEMORY_STORE_FILE to persist it to a JSON file)
+ *
+ * Both backends implement the same methods:
+ *
+ *   users            getUser, createUser, updateUser
+ *   temp_actions     getActionId, findActionId, insertActionId, deleteActionIds, consumeActionId
+ *   ad_postbacks     insertAdPostback, getAdPostback, getAdPostbackByAction
+ *   withdrawals      createWithdrawal, getWithdrawal, getWithdrawalByRequestKey, listUserWithdrawals, listWithdrawals,
+ *                    transitionWithdrawal, rejectWithdrawal, getWithdrawalActivity
+ *   spin_sessions    createSpinSession, getSpinSession, getPendingSpinSession, resolveSpinSession, expireSpinSession
+ *   daily_usage      getDailyUsage, incrementDailyUsage, rewardAdView
+ *   check_ins        getLatestCheckIn, claimCheckIn
+ *   tasks            listTasks, getTask, createTask, updateTask, listTaskCompletions, claimTask
+ *   leaderboards     getLeaderboardSnapshot, refreshLeaderboard, listLeaderboardEntries, getLeaderboardEntry
+ *   fraud            recordUserSignals, listUserSignals, listSignalMatches, getUserRisk, saveUserRisk, listUserRisks
+ *   bans             getOpenBan, insertBan, liftBan, insertBanAppeal, getBanAppeal, getBanAppealByBan,
+ *                    listBanAppeals, transitionBanAppeal, insertModerationLog, listModerationLog
+ *   referrals        countReferrals, listReferrals, getReferralCommissionTotals
+ *   history_exports  getLatestHistoryExport, insertHistoryExport
+ *   rate limits      takeRateLimitToken
+ *   idempotency_keys reserveIdempotencyKey, completeIdempotencyKey, releaseIdempotencyKey
+ *   daily_stats      recordUserActivity, listDailyStats, refreshDailyStats
+ *   metrics, health  incrementErrorCounter, listErrorCounters, getMetricTotals, checkHealth
+ *   reward records   listCommissionsByIds, insertCommission
+ *   ledger           applyLedgerEntry, reconcileBalances, listLedgerEntries, getLedgerEntryBySource
+ *
+ * Lookups resolve to the row (or null when missing); lists resolve to arrays.
+ */
+const { createSupabaseStorage } = require('./supabase');
+const { createMemoryStorage } = require('./memory');
+
+function createStorage(backend = 'supabase') {
+    switch (backend) {
+        case 'supabase':
+            return createSupabaseStorage();
+        case 'memory':
+            return createMemoryStorage({ file: process.env.MEMORY_STORE_FILE || null });
+        default:
+            throw new Error(`Unknown STORAGE_BACKEND: ${backend}`);
+    }
+}
+
+module.exports = createStorage(process.env.STORAGE_BACKEND || 'supabase');
@@ -0,0 +1,887 @@
+// /lib/storage/memory.js
+
+/**
+ * Storage backend for local development and offline tests.
+ * Keeps every table in process memory with the same semantics as the Supabase backend
+ * (including the ledger rules of apply_ledger_entry). If a file path is given, the
+ * tables are loaded from and saved to that JSON file so data survives restarts.
+ */
+const fs = require('fs');
+
+const TABLES = ['users', 'temp_actions', 'ad_postbacks', 'withdrawals', 'commission_history', 'spin_sessions', 'spin_results', 'ledger_entries', 'daily_usage', 'check_ins', 'tasks', 'task_completions',
+    'leaderboard_snapshots', 'leaderboard_entries', 'user_signals', 'user_risk', 'bans', 'ban_appeals', 'moderation_log', 'history_exports',
+    'idempotency_keys', 'error_counters', 'user_activity', 'daily_stats'];
+
+// Withdrawals still waiting for a decision or the payout (as in create_withdrawal)
+const OPEN_WITHDRAWAL_STATUSES = ['pending', 'held', 'approved'];
+
+function clone(row) {
+    return row ? JSON.parse(JSON.stringify(row)) : null;
+}
+
+function sumAmounts(rows) {
+    return rows.reduce((total, row) => total + row.amount, 0);
+}
+
+function byCreatedAtDesc(a, b) {
+    return new Date(b.created_at).getTime() - new Date(a.created_at).getTime() || b.id - a.id;
+}
+
+function createMemoryStorage({ file = null } = {}) {
+    let db = { sequences: {} };
+    TABLES.forEach(table => { db[table] = []; });
+
+    if (file && fs.existsSync(file)) {
+        db = { ...db, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+    }
+
+    function save() {
+        if (file) {
+            fs.writeFileSync(file, JSON.stringify(db, null, 2));
+        }
+    }
+
+    // Rate limit buckets change on every request, so they stay in process memory and are never saved to the file
+    const rateLimitBuckets = new Map();
+
+    function insert(table, row) {
+        db.sequences[table] = (db.sequences[table] || 0) + 1;
+        const record = { id: db.sequences[table], created_at: new Date().toISOString(), ...row };
+        db[table].push(record);
+        save();
+        return clone(record);
+    }
+
+    function findUser(userId) {
+        return db.users.find(user => user.id === Number(userId)) || null;
+    }
+
+    // Same rules and error markers as apply_ledger_entry
+    function applyLedgerEntry({ userId, type, amount, sourceType, sourceId, createdBy, note }) {
+        const user = findUser(userId);
+        if (!user) {
+            throw new Error('user_not_found');
+        }
+        if (user.balance + amount < 0) {
+            throw new Error('insufficient_balance');
+        }
+        if (sourceId !== null && db.ledger_entries.some(e =>
+            e.entry_type === type && e.source_type === sourceType && e.source_id === sourceId)) {
+            throw new Error('duplicate_ledger_entry');
+        }
+
+        user.balance += amount;
+        const entry = insert('ledger_entries', {
+            user_id: user.id,
+            entry_type: type,
+            amount,
+            balance_after: user.balance,
+            source_type: sourceType,
+            source_id: sourceId,
+            created_by: createdBy,
+            note
+        });
+        return { entry_id: entry.id, balance: user.balance };
+    }
+
+    function findActionIndex(userId, actionId, actionType) {
+        return db.temp_actions.findIndex(r =>
+            r.user_id === Number(userId) && r.action_id === actionId && r.action_type === actionType);
+    }
+
+    // Same rules as increment_daily_usage: null once the counter has reached max
+    function incrementUsage(userId, usageDate, counter, max) {
+        if (counter !== 'ads_watched' && counter !== 'spins') {
+            throw new Error('unknown_usage_counter');
+        }
+        let usage = db.daily_usage.find(u => u.user_id === Number(userId) && u.usage_date === usageDate);
+        if (!usage) {
+            usage = { user_id: Number(userId), usage_date: usageDate, ads_watched: 0, spins: 0 };
+            db.daily_usage.push(usage);
+        }
+        if (usage[counter] >= max) return null;
+        usage[counter] += 1;
+        usage.updated_at = new Date().toISOString();
+        save();
+        return clone(usage);
+    }
+
+    function hasActiveBan(userId) {
+        const now = new Date();
+        return db.bans.some(b => b.user_id === Number(userId) && !b.lifted_at && (!b.expires_at || new Date(b.expires_at) > now));
+    }
+
+    return {
+        name: 'memory',
+
+        /** Raw access for tests and the dev server (seeding, inspection). */
+        _tables: db,
+
+        // --- users ---
+
+        async getUser(userId) {
+            return clone(findUser(userId));
+        },
+
+        async createUser(user) {
+            if (findUser(user.id)) {
+                throw new Error('duplicate key value violates unique constraint "users_pkey"');
+            }
+            const record = { created_at: new Date().toISOString(), balance: 0, ...user };
+            db.users.push(record);
+            save();
+            return clone(record);
+        },
+
+        async updateUser(userId, patch) {
+            const user = findUser(userId);
+            if (!user) return null;
+            Object.assign(user, patch);
+            save();
+            return clone(user);
+        },
+
+        // --- temp_actions (server-issued action IDs) ---
+
+        async getActionId(userId, actionType) {
+            const records = db.temp_actions
+                .filter(r => r.user_id === Number(userId) && r.action_type === actionType)
+                .sort(byCreatedAtDesc);
+            return clone(records[0] || null);
+        },
+
+        async findActionId(userId, actionId, actionType) {
+            return clone(db.temp_actions.find(r =>
+                r.user_id === Number(userId) && r.action_id === actionId && r.action_type === actionType) || null);
+        },
+
+        async insertActionId(record) {
+            if (db.temp_actions.some(r => r.action_id === record.action_id)) {
+                throw new Error('duplicate key value violates unique constraint "temp_actions_action_id_key"');
+            }
+            return insert('temp_actions', record);
+        },
+
+        async deleteActionIds(userId, actionType) {
+            db.temp_actions = db.temp_actions.filter(r => !(r.user_id === Number(userId) && r.action_type === actionType));
+            save();
+        },
+
+        async consumeActionId(userId, actionId, actionType) {
+            const index = findActionIndex(userId, actionId, actionType);
+            if (index === -1) return null;
+            const [record] = db.temp_actions.splice(index, 1);
+            save();
+            return clone(record);
+        },
+
+        // --- ad_postbacks ---
+
+        async insertAdPostback(postback) {
+            if (db.ad_postbacks.some(p => p.network === postback.network && p.event_id === postback.event_id)) {
+                throw new Error('duplicate key value violates unique constraint "ad_postbacks_network_event_id_key"');
+            }
+            return insert('ad_postbacks', postback);
+        },
+
+        async getAdPostback(network, eventId) {
+            return clone(db.ad_postbacks.find(p => p.network === network && p.event_id === eventId) || null);
+        },
+
+        async getAdPostbackByAction(actionId) {
+            const postbacks = db.ad_postbacks
+                .filter(p => p.action_id === actionId)
+                .sort((a, b) => a.status.localeCompare(b.status) || byCreatedAtDesc(a, b));
+            return clone(postbacks[0] || null);
+        },
+
+        // --- withdrawals ---
+
+        /**
+         * Same rules as create_withdrawal: the ledger checks run before anything is written, so a
+         * failed debit leaves no withdrawal behind.
+         */
+        async createWithdrawal({ userId, amount, method, address, fee, netAmount, status, requestKey, sourceId, limits = {} }) {
+            const existing = db.withdrawals.find(w => w.user_id === Number(userId) && w.request_key === requestKey);
+            if (existing) {
+                return {
+                    withdrawal_id: existing.id,
+                    status: existing.status,
+                    fee: existing.fee,
+                    net_amount: existing.net_amount,
+                    balance: findUser(userId).balance,
+                    created: false
+                };
+            }
+
+            const counted = db.withdrawals.filter(w => w.user_id === Number(userId) && w.status !== 'rejected');
+            const requestedSince = since => sumAmounts(counted.filter(w => w.created_at >= since));
+            if (limits.maxOpenRequests && counted.filter(w => OPEN_WITHDRAWAL_STATUSES.includes(w.status)).length >= limits.maxOpenRequests) {
+                throw new Error('withdrawal_pending');
+            }
+            if (limits.cooldownMs && counted.some(w => Date.now() - new Date(w.created_at).getTime() < limits.cooldownMs)) {
+                throw new Error('withdrawal_cooldown');
+            }
+            if ((limits.dayMaxAmount && requestedSince(limits.dayStart) + amount > limits.dayMaxAmount) ||
+                (limits.weekMaxAmount && requestedSince(limits.weekStart) + amount > limits.weekMaxAmount)) {
+                throw new Error('withdrawal_limit');
+            }
+
+            const entry = applyLedgerEntry({
+                userId, type: 'withdrawal', amount: -amount, sourceType: 'action', sourceId, createdBy: null, note: null
+            });
+            const withdrawal = insert('withdrawals', {
+                user_id: Number(userId),
+                amount,
+                method,
+                address,
+                fee,
+                net_amount: netAmount,
+                status,
+                ledger_entry_id: entry.entry_id,
+                request_key: requestKey
+            });
+            return { withdrawal_id: withdrawal.id, status, fee, net_amount: netAmount, balance: entry.balance, created: true };
+        },
+
+        async getWithdrawalActivity(userId, { dayStart, weekStart, referralMinAds }) {
+            const id = Number(userId);
+            const counted = db.withdrawals.filter(w => w.user_id === id && w.status !== 'rejected');
+            const countAds = user => db.ledger_entries.filter(e => e.user_id === user && e.entry_type === 'ad').length;
+            const latest = counted.map(w => w.created_at).sort().pop() || null;
+            return {
+                open_requests: counted.filter(w => OPEN_WITHDRAWAL_STATUSES.includes(w.status)).length,
+                last_requested_at: latest,
+                day_amount: sumAmounts(counted.filter(w => w.created_at >= dayStart)),
+                week_amount: sumAmounts(counted.filter(w => w.created_at >= weekStart)),
+                ads_watched: countAds(id),
+                verified_referrals: db.users.filter(u => u.ref_by === id && countAds(u.id) >= referralMinAds).length
+            };
+        },
+
+        async getWithdrawalByRequestKey(userId, requestKey) {
+            return clone(db.withdrawals.find(w => w.user_id === Number(userId) && w.request_key === requestKey) || null);
+        },
+
+        async getWithdrawal(withdrawalId) {
+            return clone(db.withdrawals.find(w => w.id === Number(withdrawalId)) || null);
+        },
+
+        async listUserWithdrawals(userId) {
+            return db.withdrawals.filter(w => w.user_id === Number(userId)).sort(byCreatedAtDesc).map(clone);
+        },
+
+        async listWithdrawals({ statuses, userId, from, to, limit, offset = 0 }) {
+            return db.withdrawals
+                .filter(w => !statuses || statuses.length === 0 || statuses.includes(w.status))
+                .filter(w => !userId || w.user_id === Number(userId))
+                .filter(w => !from || new Date(w.created_at) >= new Date(from))
+                .filter(w => !to || new Date(w.created_at) < new Date(to))
+                .sort(byCreatedAtDesc)
+                .slice(offset, offset + limit)
+                .map(clone);
+        },
+
+        async transitionWithdrawal(withdrawalId, fromStatuses, update) {
+            const withdrawal = db.withdrawals.find(w => w.id === Number(withdrawalId));
+            if (!withdrawal || !fromStatuses.includes(withdrawal.status)) return null;
+            Object.assign(withdrawal, update);
+            save();
+            return clone(withdrawal);
+        },
+
+        async rejectWithdrawal(withdrawalId, { admin, reason }) {
+            const withdrawal = db.withdrawals.find(w => w.id === Number(withdrawalId));
+            if (!withdrawal) return null;
+            const refunded = db.ledger_entries.some(e =>
+                e.entry_type === 'refund' && e.source_type === 'withdrawals' && e.source_id === String(withdrawal.id));
+            const rejectable = ['pending', 'held', 'approved'].includes(withdrawal.status);
+            if (!rejectable && !(withdrawal.status === 'rejected' && !refunded)) return null;
+
+            // Refund first: if it throws, the withdrawal is left untouched
+            const entry = applyLedgerEntry({
+                userId: withdrawal.user_id, type: 'refund', amount: withdrawal.amount,
+                sourceType: 'withdrawals', sourceId: String(withdrawal.id), createdBy: admin, note: null
+            });
+            if (rejectable) {
+                Object.assign(withdrawal, {
+                    status: 'rejected', decided_by: admin, decided_at: new Date().toISOString(), decision_note: reason
+                });
+            }
+            save();
+            return { withdrawal: clone(withdrawal), refunded_amount: withdrawal.amount, balance: entry.balance };
+        },
+
+        // --- spin_sessions ---
+
+        async createSpinSession(session) {
+            if (db.spin_sessions.some(s => s.user_id === session.user_id && s.status === 'pending')) {
+                throw new Error('duplicate key value violates unique constraint "spin_sessions_one_pending_idx"');
+            }
+            const record = { created_at: new Date().toISOString(), ...session };
+            db.spin_sessions.push(record);
+            save();
+            return clone(record);
+        },
+
+        async getSpinSession(spinId) {
+            return clone(db.spin_sessions.find(s => s.id === spinId) || null);
+        },
+
+        async getPendingSpinSession(userId) {
+            const sessions = db.spin_sessions
+                .filter(s => s.user_id === Number(userId) && s.status === 'pending')
+                .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+            return clone(sessions[0] || null);
+        },
+
+        /**
+         * Same unit as resolve_spin_session: the prize is credited first, so a failed credit leaves the
+         * session pending.
+         */
+        async resolveSpinSession(spinId, userId, { prize, prizeIndex }) {
+            const session = db.spin_sessions.find(s => s.id === spinId && s.user_id === Number(userId));
+            if (!session || session.status !== 'pending' || new Date(session.expires_at) <= new Date()) return null;
+
+            const entry = applyLedgerEntry({
+                userId, type: 'spin', amount: prize, sourceType: 'spin_sessions', sourceId: String(spinId), createdBy: null, note: null
+            });
+            Object.assign(session, { status: 'resolved', prize, prize_index: prizeIndex, resolved_at: new Date().toISOString() });
+            insert('spin_results', { user_id: Number(userId), prize, spin_session_id: spinId });
+            return { session: clone(session), balance: entry.balance };
+        },
+
+        async expireSpinSession(spinId) {
+            const session = db.spin_sessions.find(s => s.id === spinId);
+            if (session && session.status === 'pending') {
+                session.status = 'expired';
+                save();
+            }
+        },
+
+        // --- daily_usage ---
+
+        async getDailyUsage(userId, usageDate) {
+            return clone(db.daily_usage.find(u => u.user_id === Number(userId) && u.usage_date === usageDate) || null);
+        },
+
+        async incrementDailyUsage(userId, usageDate, counter, max) {
+            return incrementUsage(userId, usageDate, counter, max);
+        },
+
+        // Same unit and statuses as reward_ad_view; the ledger entry is applied before anything else
+        // changes, so a failed credit leaves the action ID and the day's count as they were
+        async rewardAdView({ userId, actionId, usageDate, maxAds, reward }) {
+            const index = findActionIndex(userId, actionId, 'watchAd');
+            if (index === -1) {
+                return { status: 'token_invalid' };
+            }
+            const usage = db.daily_usage.find(u => u.user_id === Number(userId) && u.usage_date === usageDate);
+            if (usage && usage.ads_watched >= maxAds) {
+                db.temp_actions.splice(index, 1);
+                save();
+                return { status: 'daily_limit' };
+            }
+
+            const entry = applyLedgerEntry({
+                userId, type: 'ad', amount: reward, sourceType: 'action', sourceId: actionId, createdBy: null, note: null
+            });
+            db.temp_actions.splice(index, 1);
+            const counted = incrementUsage(userId, usageDate, 'ads_watched', maxAds);
+            return { status: 'credited', ads_watched: counted.ads_watched, entry_id: entry.entry_id, balance: entry.balance };
+        },
+
+        // --- check_ins ---
+
+        async getLatestCheckIn(userId) {
+            const checkIns = db.check_ins
+                .filter(c => c.user_id === Number(userId))
+                .sort((a, b) => b.check_in_date.localeCompare(a.check_in_date));
+            return clone(checkIns[0] || null);
+        },
+
+        // Same unit and statuses as claim_check_in; the ledger entry's source is the id the row is about to get
+        async claimCheckIn({ action_id, ...record }) {
+            const userId = Number(record.user_id);
+            const index = findActionIndex(userId, action_id, 'checkIn');
+            if (index === -1) {
+                return { status: 'token_invalid' };
+            }
+            if (db.check_ins.some(c => c.user_id === userId && c.check_in_date === record.check_in_date)) {
+                db.temp_actions.splice(index, 1);
+                save();
+                return { status: 'already_claimed' };
+            }
+
+            const checkInId = (db.sequences.check_ins || 0) + 1;
+            const entry = applyLedgerEntry({
+                userId, type: 'check_in', amount: record.reward, sourceType: 'check_ins',
+                sourceId: String(checkInId), createdBy: null, note: null
+            });
+            db.temp_actions.splice(index, 1);
+            const checkIn = insert('check_ins', { ...record, user_id: userId });
+            return { status: 'credited', check_in: checkIn, balance: entry.balance };
+        },
+
+        // --- tasks ---
+
+        async listTasks({ activeOnly = false } = {}) {
+            return db.tasks
+                .filter(t => !activeOnly || t.is_active)
+                .sort((a, b) => a.sort_order - b.sort_order || a.id - b.id)
+                .map(clone);
+        },
+
+        async getTask(taskId) {
+            return clone(db.tasks.find(t => t.id === Number(taskId)) || null);
+        },
+
+        async createTask(task) {
+            return insert('tasks', { params: {}, repeat: 'once', is_active: true, sort_order: 0, ...task });
+        },
+
+        async updateTask(taskId, patch) {
+            const task = db.tasks.find(t => t.id === Number(taskId));
+            if (!task) return null;
+            Object.assign(task, patch);
+            save();
+            return clone(task);
+        },
+
+        async listTaskCompletions(userId) {
+            return db.task_completions.filter(c => c.user_id === Number(userId)).map(clone);
+        },
+
+        // Same unit and statuses as claim_task; the ledger entry's source is the id the row is about to get
+        async claimTask({ action_id, ...record }) {
+            const userId = Number(record.user_id);
+            const index = findActionIndex(userId, action_id, 'claimTask');
+            if (index === -1) {
+                return { status: 'token_invalid' };
+            }
+            if (db.task_completions.some(c =>
+                c.task_id === record.task_id && c.user_id === userId && c.period === record.period)) {
+                db.temp_actions.splice(index, 1);
+                save();
+                return { status: 'already_claimed' };
+            }
+
+            const completionId = (db.sequences.task_completions || 0) + 1;
+            const entry = applyLedgerEntry({
+                userId, type: 'task', amount: record.reward, sourceType: 'task_completions',
+                sourceId: String(completionId), createdBy: null, note: null
+            });
+            db.temp_actions.splice(index, 1);
+            const completion = insert('task_completions', { ...record, user_id: userId });
+            return { status: 'credited', completion, balance: entry.balance };
+        },
+
+        // --- leaderboards (same scoring as refresh_leaderboard) ---
+
+        async getLeaderboardSnapshot(metric, period) {
+            return clone(db.leaderboard_snapshots.find(s => s.metric === metric && s.period === period) || null);
+        },
+
+        async refreshLeaderboard(metric, period, periodStart) {
+            const since = row => !periodStart || new Date(row.created_at) >= new Date(periodStart);
+            const scores = new Map();
+            const add = (userId, amount) => scores.set(userId, (scores.get(userId) || 0) + amount);
+
+            if (metric === 'earned') {
+                db.ledger_entries.filter(e => (e.entry_type === 'ad' || e.entry_type === 'spin') && since(e))
+                    .forEach(e => add(e.user_id, e.amount));
+            } else if (metric === 'referrals') {
+                db.users.filter(u => u.ref_by && since(u)).forEach(u => add(u.ref_by, 1));
+            } else if (metric === 'commission') {
+                db.commission_history.filter(since).forEach(c => add(c.referrer_id, c.amount));
+            }
+
+            const ranked = [...scores.entries()]
+                .filter(([userId, score]) => score > 0 && findUser(userId) && !hasActiveBan(userId))
+                .sort((a, b) => b[1] - a[1]);
+
+            db.leaderboard_entries = db.leaderboard_entries.filter(e => !(e.metric === metric && e.period === period));
+            ranked.forEach(([userId, score], i) => {
+                // RANK(): ties share the rank of the first row with that score
+                const rank = i > 0 && ranked[i - 1][1] === score
+                    ? db.leaderboard_entries[db.leaderboard_entries.length - 1].rank
+                    : i + 1;
+                db.leaderboard_entries.push({ metric, period, user_id: userId, score, rank });
+            });
+
+            let snapshot = db.leaderboard_snapshots.find(s => s.metric === metric && s.period === period);
+            if (!snapshot) {
+                snapshot = { metric, period };
+                db.leaderboard_snapshots.push(snapshot);
+            }
+            Object.assign(snapshot, { period_start: periodStart, refreshed_at: new Date().toISOString() });
+            save();
+            return clone(snapshot);
+        },
+
+        async listLeaderboardEntries(metric, period, { limit, offset = 0 }) {
+            return db.leaderboard_entries
+                .filter(e => e.metric === metric && e.period === period)
+                .sort((a, b) => a.rank - b.rank || a.user_id - b.user_id)
+                .slice(offset, offset + limit)
+                .map(({ user_id, score, rank }) => ({ user_id, score, rank }));
+        },
+
+        async getLeaderboardEntry(metric, period, userId) {
+            const entry = db.leaderboard_entries.find(e =>
+                e.metric === metric && e.period === period && e.user_id === Number(userId));
+            return entry ? { user_id: entry.user_id, score: entry.score, rank: entry.rank } : null;
+        },
+
+        // --- fraud (user_signals, user_risk) ---
+
+        async recordUserSignals(userId, signals) {
+            const now = new Date().toISOString();
+            const recorded = signals.map(({ kind, value }) => {
+                const existing = db.user_signals.find(s => s.user_id === Number(userId) && s.kind === kind && s.value === value);
+                if (existing) {
+                    existing.hits += 1;
+                    existing.last_seen_at = now;
+                    return { kind, value, is_new: false };
+                }
+                db.user_signals.push({ user_id: Number(userId), kind, value, hits: 1, first_seen_at: now, last_seen_at: now });
+                return { kind, value, is_new: true };
+            });
+            save();
+            return recorded;
+        },
+
+        async listUserSignals(userId) {
+            return db.user_signals.filter(s => s.user_id === Number(userId)).map(clone);
+        },
+
+        async listSignalMatches(kind, values) {
+            return db.user_signals
+                .filter(s => s.kind === kind && values.includes(s.value))
+                .map(({ user_id, value }) => ({ user_id, kind, value }));
+        },
+
+        async getUserRisk(userId) {
+            return clone(db.user_risk.find(r => r.user_id === Number(userId)) || null);
+        },
+
+        async saveUserRisk(risk) {
+            let record = db.user_risk.find(r => r.user_id === Number(risk.user_id));
+            if (!record) {
+                record = { user_id: Number(risk.user_id) };
+                db.user_risk.push(record);
+            }
+            Object.assign(record, { score: risk.score, status: risk.status, reasons: risk.reasons, assessed_at: new Date().toISOString() });
+            save();
+            return clone(record);
+        },
+
+        async listUserRisks({ statuses, limit, offset = 0 }) {
+            return db.user_risk
+                .filter(r => !statuses || statuses.length === 0 || statuses.includes(r.status))
+                .sort((a, b) => b.score - a.score || a.user_id - b.user_id)
+                .slice(offset, offset + limit)
+                .map(clone);
+        },
+
+        // --- bans (bans, ban_appeals, moderation_log) ---
+
+        async getOpenBan(userId) {
+            return clone(db.bans.find(b => b.user_id === Number(userId) && !b.lifted_at) || null);
+        },
+
+        async insertBan(ban) {
+            if (db.bans.some(b => b.user_id === Number(ban.user_id) && !b.lifted_at)) {
+                throw new Error('duplicate key value violates unique constraint "bans_one_open_idx"');
+            }
+            return insert('bans', { note: null, expires_at: null, lifted_at: null, lifted_by: null, lift_reason: null, ...ban });
+        },
+
+        async liftBan(banId, update) {
+            const ban = db.bans.find(b => b.id === Number(banId));
+            if (!ban || ban.lifted_at) return null;
+            Object.assign(ban, update);
+            save();
+            return clone(ban);
+        },
+
+        async insertBanAppeal(appeal) {
+            if (db.ban_appeals.some(a => a.ban_id === Number(appeal.ban_id))) {
+                throw new Error('duplicate key value violates unique constraint "ban_appeals_ban_id_key"');
+            }
+            return insert('ban_appeals', { resolved_by: null, resolved_at: null, resolution_note: null, ...appeal });
+        },
+
+        async getBanAppeal(appealId) {
+            return clone(db.ban_appeals.find(a => a.id === Number(appealId)) || null);
+        },
+
+        async getBanAppealByBan(banId) {
+            return clone(db.ban_appeals.find(a => a.ban_id === Number(banId)) || null);
+        },
+
+        async listBanAppeals({ statuses, limit, offset = 0 }) {
+            return db.ban_appeals
+                .filter(a => !statuses || statuses.length === 0 || statuses.includes(a.status))
+                .sort((a, b) => new Date(a.created_at) - new Date(b.created_at) || a.id - b.id)
+                .slice(offset, offset + limit)
+                .map(appeal => ({ ...clone(appeal), ban: clone(db.bans.find(b => b.id === appeal.ban_id)) }));
+        },
+
+        async transitionBanAppeal(appealId, fromStatuses, update) {
+            const appeal = db.ban_appeals.find(a => a.id === Number(appealId));
+            if (!appeal || !fromStatuses.includes(appeal.status)) return null;
+            Object.assign(appeal, update);
+            save();
+            return clone(appeal);
+        },
+
+        async insertModerationLog(record) {
+            return insert('moderation_log', record);
+        },
+
+        async listModerationLog({ userId, actions, limit, offset = 0 }) {
+            return db.moderation_log
+                .filter(e => !userId || e.user_id === Number(userId))
+                .filter(e => !actions || actions.length === 0 || actions.includes(e.action))
+                .sort(byCreatedAtDesc)
+                .slice(offset, offset + limit)
+                .map(clone);
+        },
+
+        // --- referrals (same results as count_referrals, list_referrals, get_referral_commission_totals) ---
+
+        async countReferrals(userId) {
+            return db.users.filter(user => user.ref_by === Number(userId)).length;
+        },
+
+        async listReferrals(userId, { limit, offset = 0 }) {
+            const referrerId = Number(userId);
+            return db.users
+                .filter(user => user.ref_by === referrerId)
+                .sort(byCreatedAtDesc)
+                .slice(offset, offset + limit)
+                .map(user => ({
+                    id: user.id,
+                    first_name: user.first_name || null,
+                    created_at: user.created_at,
+                    last_activity: user.last_activity || null,
+                    commission: db.commission_history
+                        .filter(c => c.referrer_id === referrerId && c.referee_id === user.id)
+                        .reduce((sum, c) => sum + c.amount, 0)
+                }));
+        },
+
+        async getReferralCommissionTotals(userId, since) {
+            const commissions = db.commission_history.filter(c => c.referrer_id === Number(userId));
+            const sum = rows => rows.reduce((total, c) => total + c.amount, 0);
+            return {
+                lifetime: sum(commissions),
+                since: sum(commissions.filter(c => new Date(c.created_at) >= new Date(since)))
+            };
+        },
+
+        // --- rate_limit_buckets ---
+
+        async takeRateLimitToken(key, capacity, refillMs) {
+            const now = Date.now();
+            const bucket = rateLimitBuckets.get(key) || { tokens: capacity, updatedAt: now };
+            const tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) / refillMs);
+            const allowed = tokens >= 1;
+            rateLimitBuckets.set(key, { tokens: allowed ? tokens - 1 : tokens, updatedAt: now });
+            return { allowed, retry_after_ms: allowed ? 0 : Math.ceil((1 - tokens) * refillMs) };
+        },
+
+        // --- idempotency_keys ---
+
+        async reserveIdempotencyKey({ scope, key, requestType, requestHash }) {
+            const existing = db.idempotency_keys.find(k => k.scope === scope && k.key === key);
+            if (existing) {
+                return { reserved: false, record: clone(existing) };
+            }
+            const record = {
+                scope,
+                key,
+                request_type: requestType,
+                request_hash: requestHash,
+                status_code: null,
+                response: null,
+                created_at: new Date().toISOString(),
+                completed_at: null
+            };
+            db.idempotency_keys.push(record);
+            save();
+            return { reserved: true, record: clone(record) };
+        },
+
+        async completeIdempotencyKey(scope, key, statusCode, response) {
+            const record = db.idempotency_keys.find(k => k.scope === scope && k.key === key);
+            if (record) {
+                Object.assign(record, { status_code: statusCode, response, completed_at: new Date().toISOString() });
+                save();
+            }
+        },
+
+        async releaseIdempotencyKey(scope, key) {
+            db.idempotency_keys = db.idempotency_keys.filter(k => !(k.scope === scope && k.key === key && !k.completed_at));
+            save();
+        },
+
+        // --- daily_stats (same figures as refresh_daily_stats) ---
+
+        async recordUserActivity(userId, activityDate) {
+            if (!db.user_activity.some(a => a.activity_date === activityDate && a.user_id === Number(userId))) {
+                db.user_activity.push({ activity_date: activityDate, user_id: Number(userId) });
+                save();
+            }
+        },
+
+        async listDailyStats(fromDay, toDay) {
+            return db.daily_stats
+                .filter(row => row.day >= fromDay && row.day <= toDay)
+                .sort((a, b) => a.day.localeCompare(b.day))
+                .map(clone);
+        },
+
+        async refreshDailyStats(day, start, end) {
+            const within = value => value && new Date(value) >= new Date(start) && new Date(value) < new Date(end);
+            const sum = (rows, pick = r => r.amount) => rows.reduce((total, r) => total + pick(r), 0);
+            const registrations = db.users.filter(u => within(u.created_at));
+            const entries = db.ledger_entries.filter(e => within(e.created_at));
+            const ofType = (...types) => entries.filter(e => types.includes(e.entry_type));
+            const requested = db.withdrawals.filter(w => within(w.created_at));
+            const paid = db.withdrawals.filter(w => w.status === 'paid' && within(w.paid_at));
+            // Liability: carried from the previous day's final row, as refresh_daily_stats does
+            const previousDay = new Date(new Date(`${day}T00:00:00Z`).getTime() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+            const previous = db.daily_stats.find(r => r.day === previousDay && new Date(r.refreshed_at) >= new Date(start));
+            const liability = previous
+                ? previous.liability + sum(entries)
+                : sum(db.users, u => u.balance) - sum(db.ledger_entries.filter(e => new Date(e.created_at) >= new Date(end)));
+
+            const row = {
+                day,
+                active_users: db.user_activity.filter(a => a.activity_date === day).length,
+                new_users: registrations.length,
+                new_users_referred: registrations.filter(u => u.ref_by).length,
+                new_users_organic: registrations.filter(u => !u.ref_by).length,
+                ads_watched: ofType('ad').length,
+                spins: ofType('spin').length,
+                issued_ads: sum(ofType('ad')),
+                issued_spins: sum(ofType('spin')),
+                issued_commissions: sum(ofType('commission')),
+                issued_bonuses: sum(ofType('check_in', 'task', 'adjustment').filter(e => e.amount > 0)),
+                withdrawals_requested: requested.length,
+                withdrawals_requested_amount: sum(requested),
+                withdrawals_paid: paid.length,
+                withdrawals_paid_amount: sum(paid),
+                liability,
+                refreshed_at: new Date().toISOString()
+            };
+            db.daily_stats = db.daily_stats.filter(r => r.day !== day).concat(row);
+            save();
+            return clone(row);
+        },
+
+        // --- metrics and health ---
+
+        async incrementErrorCounter({ endpoint, type, code }) {
+            const requestType = type || '';
+            const counter = db.error_counters.find(c => c.endpoint === endpoint && c.request_type === requestType && c.code === code);
+            if (counter) {
+                counter.count++;
+            } else {
+                db.error_counters.push({ endpoint, request_type: requestType, code, count: 1 });
+            }
+            save();
+        },
+
+        async listErrorCounters() {
+            return db.error_counters.map(clone);
+        },
+
+        async getMetricTotals() {
+            const totals = new Map();
+            const add = (metric, label, value) => {
+                const key = `${metric}\u0000${label}`;
+                totals.set(key, { metric, label, value: ((totals.get(key) || {}).value || 0) + value });
+            };
+            db.ledger_entries.forEach(e => {
+                add('ledger_entries', e.entry_type, 1);
+                if (e.amount > 0) add('ledger_credited', e.entry_type, e.amount);
+            });
+            db.withdrawals.forEach(w => {
+                add('withdrawals_requested', w.method, 1);
+                add('withdrawals_amount', w.method, w.amount);
+            });
+            return [...totals.values()];
+        },
+
+        // The store lives in this process, so it is reachable whenever the process answers
+        async checkHealth() {},
+
+        // --- history_exports ---
+
+        async getLatestHistoryExport(userId) {
+            return clone(db.history_exports.filter(e => e.user_id === Number(userId)).sort(byCreatedAtDesc)[0]);
+        },
+
+        async insertHistoryExport(record) {
+            return insert('history_exports', record);
+        },
+
+        // --- reward records ---
+
+        async listCommissionsByIds(ids) {
+            const wanted = ids.map(String);
+            return db.commission_history.filter(c => wanted.includes(String(c.id))).map(clone);
+        },
+
+        async insertCommission(record) {
+            if (record.source_entry_id && db.commission_history.some(c =>
+                c.source_entry_id === record.source_entry_id && c.level === record.level)) {
+                throw new Error('duplicate key value violates unique constraint "commission_history_source_level_idx"');
+            }
+            return insert('commission_history', record);
+        },
+
+        // --- ledger ---
+
+        async applyLedgerEntry(entry) {
+            return applyLedgerEntry(entry);
+        },
+
+        async reconcileBalances() {
+            return db.users
+                .map(user => {
+                    const ledgerBalance = db.ledger_entries
+                        .filter(e => e.user_id === user.id)
+                        .reduce((sum, e) => sum + e.amount, 0);
+                    return {
+                        user_id: user.id,
+                        stored_balance: user.balance,
+                        ledger_balance: ledgerBalance,
+                        difference: user.balance - ledgerBalance
+                    };
+                })
+                .filter(row => row.difference !== 0);
+        },
+
+        async listLedgerEntries(userId, { types, limit, beforeId, from, to }) {
+            return db.ledger_entries
+                .filter(e => e.user_id === Number(userId) && (!types || types.includes(e.entry_type)))
+                .filter(e => (!beforeId || e.id < beforeId) &&
+                    (!from || new Date(e.created_at) >= new Date(from)) &&
+                    (!to || new Date(e.created_at) <= new Date(to)))
+                .sort((a, b) => b.id - a.id)
+                .slice(0, limit)
+                .map(clone);
+        },
+
+        async getLedgerEntryBySource(entryType, sourceType, sourceId) {
+            return clone(db.ledger_entries.find(e => e.entry_type === entryType &&
+                e.source_type === sourceType && e.source_id === String(sourceId)) || null);
+        }
+    };
+}
+
+module.exports = { createMemoryStorage };
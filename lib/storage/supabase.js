@@ -0,0 +1,586 @@
+// /lib/storage/supabase.js
+
+/**
+ * Storage backend for production: Supabase REST API (PostgREST) plus the
+ * Postgres functions in supabase/migrations.
+ */
+const { supabaseFetch, supabaseRpc } = require('../supabase');
+
+function first(rows) {
+    return Array.isArray(rows) && rows.length > 0 ? rows[0] : null;
+}
+
+function list(rows) {
+    return Array.isArray(rows) ? rows : [];
+}
+
+/**
+ * PostgREST "in" list with every value quoted, so IPs and user agents with commas or dots are matched literally.
+ */
+function inList(values) {
+    return `(${values.map(value => encodeURIComponent(`"${String(value).replace(/["\\]/g, '\\$&')}"`)).join(',')})`;
+}
+
+function createSupabaseStorage() {
+    return {
+        name: 'supabase',
+
+        // --- users ---
+
+        async getUser(userId) {
+            return first(await supabaseFetch('users', 'GET', null, `?id=eq.${userId}&select=*`));
+        },
+
+        async createUser(user) {
+            return first(await supabaseFetch('users', 'POST', user, '?select=*'));
+        },
+
+        async updateUser(userId, patch) {
+            return first(await supabaseFetch('users', 'PATCH', patch, `?id=eq.${userId}&select=*`));
+        },
+
+        // --- temp_actions (server-issued action IDs) ---
+
+        async getActionId(userId, actionType) {
+            return first(await supabaseFetch('temp_actions', 'GET', null,
+                `?user_id=eq.${userId}&action_type=eq.${encodeURIComponent(actionType)}&select=action_id,created_at&order=created_at.desc`));
+        },
+
+        async findActionId(userId, actionId, actionType) {
+            return first(await supabaseFetch('temp_actions', 'GET', null,
+                `?user_id=eq.${userId}&action_id=eq.${encodeURIComponent(actionId)}&action_type=eq.${encodeURIComponent(actionType)}&select=*`));
+        },
+
+        async insertActionId(record) {
+            return first(await supabaseFetch('temp_actions', 'POST', record, '?select=*'));
+        },
+
+        async deleteActionIds(userId, actionType) {
+            await supabaseFetch('temp_actions', 'DELETE', null,
+                `?user_id=eq.${userId}&action_type=eq.${encodeURIComponent(actionType)}`);
+        },
+
+        /**
+         * Deletes the matching action ID and returns the deleted record (or null if none matched).
+         * DELETE ... RETURNING is atomic, so two concurrent requests cannot both consume the same ID.
+         */
+        async consumeActionId(userId, actionId, actionType) {
+            return first(await supabaseFetch('temp_actions', 'DELETE', null,
+                `?user_id=eq.${userId}&action_id=eq.${encodeURIComponent(actionId)}&action_type=eq.${encodeURIComponent(actionType)}&select=id,created_at`));
+        },
+
+        // --- ad_postbacks ---
+
+        async insertAdPostback(postback) {
+            return first(await supabaseFetch('ad_postbacks', 'POST', postback, '?select=*'));
+        },
+
+        async getAdPostback(network, eventId) {
+            return first(await supabaseFetch('ad_postbacks', 'GET', null,
+                `?network=eq.${encodeURIComponent(network)}&event_id=eq.${encodeURIComponent(eventId)}&select=*`));
+        },
+
+        /**
+         * A credited postback wins over later rejected deliveries for the same action ID
+         * ("credited" sorts before "rejected").
+         */
+        async getAdPostbackByAction(actionId) {
+            return first(await supabaseFetch('ad_postbacks', 'GET', null,
+                `?action_id=eq.${encodeURIComponent(actionId)}&select=*&order=status.asc,created_at.desc&limit=1`));
+        },
+
+        // --- withdrawals ---
+
+        /**
+         * Debit and withdrawal row in one transaction (create_withdrawal). A request key that already
+         * created a withdrawal resolves to that withdrawal with created = false. The policy limits (see
+         * /lib/withdrawal-policy.js) are checked under the user's row lock; a null limit is off.
+         */
+        async createWithdrawal({ userId, amount, method, address, fee, netAmount, status, requestKey, sourceId, limits = {} }) {
+            const row = first(await supabaseRpc('create_withdrawal', {
+                p_user_id: userId,
+                p_amount: amount,
+                p_method: method,
+                p_address: address,
+                p_fee: fee,
+                p_net_amount: netAmount,
+                p_status: status,
+                p_request_key: requestKey,
+                p_source_id: sourceId,
+                p_max_open_requests: limits.maxOpenRequests || null,
+                p_cooldown_seconds: limits.cooldownMs ? Math.ceil(limits.cooldownMs / 1000) : null,
+                p_day_start: limits.dayStart || null,
+                p_day_max_amount: limits.dayMaxAmount || null,
+                p_week_start: limits.weekStart || null,
+                p_week_max_amount: limits.weekMaxAmount || null
+            }));
+            return {
+                ...row,
+                fee: Number(row.fee),
+                net_amount: Number(row.net_amount),
+                balance: Number(row.balance)
+            };
+        },
+
+        async getWithdrawalActivity(userId, { dayStart, weekStart, referralMinAds }) {
+            const row = first(await supabaseRpc('get_withdrawal_activity', {
+                p_user_id: Number(userId),
+                p_day_start: dayStart,
+                p_week_start: weekStart,
+                p_referral_min_ads: referralMinAds
+            }));
+            return {
+                open_requests: Number(row.open_requests),
+                last_requested_at: row.last_requested_at,
+                day_amount: Number(row.day_amount),
+                week_amount: Number(row.week_amount),
+                ads_watched: Number(row.ads_watched),
+                verified_referrals: Number(row.verified_referrals)
+            };
+        },
+
+        async getWithdrawalByRequestKey(userId, requestKey) {
+            return first(await supabaseFetch('withdrawals', 'GET', null,
+                `?user_id=eq.${userId}&request_key=eq.${encodeURIComponent(requestKey)}&select=*`));
+        },
+
+        async getWithdrawal(withdrawalId) {
+            return first(await supabaseFetch('withdrawals', 'GET', null, `?id=eq.${withdrawalId}&select=*`));
+        },
+
+        async listUserWithdrawals(userId) {
+            return list(await supabaseFetch('withdrawals', 'GET', null,
+                `?user_id=eq.${userId}&select=*&order=created_at.desc`));
+        },
+
+        async listWithdrawals({ statuses, userId, from, to, limit, offset = 0 }) {
+            const filters = [];
+            if (statuses && statuses.length > 0) filters.push(`status=in.(${statuses.join(',')})`);
+            if (userId) filters.push(`user_id=eq.${userId}`);
+            if (from) filters.push(`created_at=gte.${encodeURIComponent(from)}`);
+            if (to) filters.push(`created_at=lt.${encodeURIComponent(to)}`);
+            filters.push('select=*', 'order=created_at.desc', `limit=${limit}`, `offset=${offset}`);
+            return list(await supabaseFetch('withdrawals', 'GET', null, `?${filters.join('&')}`));
+        },
+
+        /**
+         * The status condition is part of the PATCH filter, so only one caller can win a transition.
+         */
+        async transitionWithdrawal(withdrawalId, fromStatuses, update) {
+            return first(await supabaseFetch('withdrawals', 'PATCH', update,
+                `?id=eq.${withdrawalId}&status=in.(${fromStatuses.join(',')})&select=*`));
+        },
+
+        /**
+         * pending/held/approved -> rejected together with the refund (reject_withdrawal); null if no withdrawal matched.
+         */
+        async rejectWithdrawal(withdrawalId, { admin, reason }) {
+            const row = first(await supabaseRpc('reject_withdrawal', {
+                p_withdrawal_id: Number(withdrawalId),
+                p_admin: admin,
+                p_reason: reason
+            }));
+            return row ? { withdrawal: row.withdrawal, refunded_amount: Number(row.refunded_amount), balance: Number(row.balance) } : null;
+        },
+
+        // --- spin_sessions ---
+
+        async createSpinSession(session) {
+            return first(await supabaseFetch('spin_sessions', 'POST', session, '?select=*'));
+        },
+
+        async getSpinSession(spinId) {
+            return first(await supabaseFetch('spin_sessions', 'GET', null, `?id=eq.${encodeURIComponent(spinId)}&select=*`));
+        },
+
+        async getPendingSpinSession(userId) {
+            return first(await supabaseFetch('spin_sessions', 'GET', null,
+                `?user_id=eq.${userId}&status=eq.pending&select=*&order=created_at.desc&limit=1`));
+        },
+
+        /**
+         * pending -> resolved, only while unexpired and owned by the user, together with the spin_results
+         * row and the prize's ledger entry (resolve_spin_session); returns null if no session matched.
+         */
+        async resolveSpinSession(spinId, userId, { prize, prizeIndex }) {
+            const row = first(await supabaseRpc('resolve_spin_session', {
+                p_spin_id: spinId,
+                p_user_id: userId,
+                p_prize: prize,
+                p_prize_index: prizeIndex
+            }));
+            return row ? { session: row.session, balance: Number(row.balance) } : null;
+        },
+
+        async expireSpinSession(spinId) {
+            await supabaseFetch('spin_sessions', 'PATCH', { status: 'expired' },
+                `?id=eq.${encodeURIComponent(spinId)}&status=eq.pending`);
+        },
+
+        // --- daily_usage ---
+
+        async getDailyUsage(userId, usageDate) {
+            return first(await supabaseFetch('daily_usage', 'GET', null,
+                `?user_id=eq.${userId}&usage_date=eq.${usageDate}&select=*`));
+        },
+
+        /**
+         * Counts one ad or spin via increment_daily_usage; null when the counter already reached max.
+         */
+        async incrementDailyUsage(userId, usageDate, counter, max) {
+            return first(await supabaseRpc('increment_daily_usage', {
+                p_user_id: userId,
+                p_usage_date: usageDate,
+                p_counter: counter,
+                p_max: max
+            }));
+        },
+
+        /**
+         * Consumes the watchAd action ID, counts the ad and credits its reward (reward_ad_view).
+         * status is 'credited', 'token_invalid' or 'daily_limit'.
+         */
+        async rewardAdView({ userId, actionId, usageDate, maxAds, reward }) {
+            const row = first(await supabaseRpc('reward_ad_view', {
+                p_user_id: userId,
+                p_action_id: actionId,
+                p_usage_date: usageDate,
+                p_max_ads: maxAds,
+                p_reward: reward
+            }));
+            return row.status === 'credited' ? { ...row, balance: Number(row.balance) } : { status: row.status };
+        },
+
+        // --- check_ins ---
+
+        async getLatestCheckIn(userId) {
+            return first(await supabaseFetch('check_ins', 'GET', null,
+                `?user_id=eq.${userId}&select=*&order=check_in_date.desc&limit=1`));
+        },
+
+        /**
+         * Consumes the checkIn action ID, inserts the check-in and credits its reward (claim_check_in).
+         * status is 'credited', 'token_invalid' or 'already_claimed'.
+         */
+        async claimCheckIn({ user_id, action_id, check_in_date, streak, reward }) {
+            const row = first(await supabaseRpc('claim_check_in', {
+                p_user_id: user_id,
+                p_action_id: action_id,
+                p_check_in_date: check_in_date,
+                p_streak: streak,
+                p_reward: reward
+            }));
+            return row.status === 'credited' ? { ...row, balance: Number(row.balance) } : { status: row.status };
+        },
+
+        // --- tasks ---
+
+        async listTasks({ activeOnly = false } = {}) {
+            const filter = activeOnly ? 'is_active=eq.true&' : '';
+            return list(await supabaseFetch('tasks', 'GET', null, `?${filter}select=*&order=sort_order.asc,id.asc`));
+        },
+
+        async getTask(taskId) {
+            return first(await supabaseFetch('tasks', 'GET', null, `?id=eq.${taskId}&select=*`));
+        },
+
+        async createTask(task) {
+            return first(await supabaseFetch('tasks', 'POST', task, '?select=*'));
+        },
+
+        async updateTask(taskId, patch) {
+            return first(await supabaseFetch('tasks', 'PATCH', patch, `?id=eq.${taskId}&select=*`));
+        },
+
+        async listTaskCompletions(userId) {
+            return list(await supabaseFetch('task_completions', 'GET', null, `?user_id=eq.${userId}&select=*`));
+        },
+
+        /**
+         * Consumes the claimTask action ID, inserts the completion and credits its reward (claim_task).
+         * status is 'credited', 'token_invalid' or 'already_claimed'.
+         */
+        async claimTask({ task_id, user_id, action_id, period, reward }) {
+            const row = first(await supabaseRpc('claim_task', {
+                p_task_id: task_id,
+                p_user_id: user_id,
+                p_action_id: action_id,
+                p_period: period,
+                p_reward: reward
+            }));
+            return row.status === 'credited' ? { ...row, balance: Number(row.balance) } : { status: row.status };
+        },
+
+        // --- leaderboards (cached rankings, see refresh_leaderboard) ---
+
+        async getLeaderboardSnapshot(metric, period) {
+            return first(await supabaseFetch('leaderboard_snapshots', 'GET', null,
+                `?metric=eq.${metric}&period=eq.${period}&select=*`));
+        },
+
+        async refreshLeaderboard(metric, period, periodStart) {
+            return first(await supabaseRpc('refresh_leaderboard', {
+                p_metric: metric,
+                p_period: period,
+                p_period_start: periodStart
+            }));
+        },
+
+        async listLeaderboardEntries(metric, period, { limit, offset = 0 }) {
+            return list(await supabaseFetch('leaderboard_entries', 'GET', null,
+                `?metric=eq.${metric}&period=eq.${period}&select=user_id,score,rank&order=rank.asc,user_id.asc&limit=${limit}&offset=${offset}`));
+        },
+
+        async getLeaderboardEntry(metric, period, userId) {
+            return first(await supabaseFetch('leaderboard_entries', 'GET', null,
+                `?metric=eq.${metric}&period=eq.${period}&user_id=eq.${userId}&select=user_id,score,rank`));
+        },
+
+        // --- fraud (user_signals, user_risk) ---
+
+        /**
+         * Upserts the request's signals via record_user_signals; is_new marks values first seen for this user.
+         */
+        async recordUserSignals(userId, signals) {
+            return list(await supabaseRpc('record_user_signals', { p_user_id: userId, p_signals: signals }));
+        },
+
+        async listUserSignals(userId) {
+            return list(await supabaseFetch('user_signals', 'GET', null, `?user_id=eq.${userId}&select=*`));
+        },
+
+        async listSignalMatches(kind, values) {
+            return list(await supabaseFetch('user_signals', 'GET', null,
+                `?kind=eq.${kind}&value=in.${inList(values)}&select=user_id,kind,value`));
+        },
+
+        async getUserRisk(userId) {
+            return first(await supabaseFetch('user_risk', 'GET', null, `?user_id=eq.${userId}&select=*`));
+        },
+
+        async saveUserRisk(risk) {
+            return first(await supabaseRpc('save_user_risk', {
+                p_user_id: risk.user_id,
+                p_score: risk.score,
+                p_status: risk.status,
+                p_reasons: risk.reasons
+            }));
+        },
+
+        async listUserRisks({ statuses, limit, offset = 0 }) {
+            const filter = statuses && statuses.length > 0 ? `status=in.(${statuses.join(',')})&` : '';
+            return list(await supabaseFetch('user_risk', 'GET', null,
+                `?${filter}select=*&order=score.desc,user_id.asc&limit=${limit}&offset=${offset}`));
+        },
+
+        // --- bans (bans, ban_appeals, moderation_log) ---
+
+        /**
+         * The user's ban that has not been lifted (it may have expired; see lib/bans.js getActiveBan).
+         */
+        async getOpenBan(userId) {
+            return first(await supabaseFetch('bans', 'GET', null, `?user_id=eq.${userId}&lifted_at=is.null&select=*`));
+        },
+
+        async insertBan(ban) {
+            return first(await supabaseFetch('bans', 'POST', ban, '?select=*'));
+        },
+
+        /**
+         * Lifts a ban only while it is still open, so an expiry, an unban and an accepted appeal cannot all apply.
+         */
+        async liftBan(banId, update) {
+            return first(await supabaseFetch('bans', 'PATCH', update, `?id=eq.${banId}&lifted_at=is.null&select=*`));
+        },
+
+        async insertBanAppeal(appeal) {
+            return first(await supabaseFetch('ban_appeals', 'POST', appeal, '?select=*'));
+        },
+
+        async getBanAppeal(appealId) {
+            return first(await supabaseFetch('ban_appeals', 'GET', null, `?id=eq.${appealId}&select=*`));
+        },
+
+        async getBanAppealByBan(banId) {
+            return first(await supabaseFetch('ban_appeals', 'GET', null, `?ban_id=eq.${banId}&select=*`));
+        },
+
+        /**
+         * Oldest first, each with its ban embedded (PostgREST resource embedding over ban_id).
+         */
+        async listBanAppeals({ statuses, limit, offset = 0 }) {
+            const filter = statuses && statuses.length > 0 ? `status=in.(${statuses.join(',')})&` : '';
+            return list(await supabaseFetch('ban_appeals', 'GET', null,
+                `?${filter}select=*,ban:bans(*)&order=created_at.asc,id.asc&limit=${limit}&offset=${offset}`));
+        },
+
+        async transitionBanAppeal(appealId, fromStatuses, update) {
+            return first(await supabaseFetch('ban_appeals', 'PATCH', update,
+                `?id=eq.${appealId}&status=in.(${fromStatuses.join(',')})&select=*`));
+        },
+
+        async insertModerationLog(record) {
+            return first(await supabaseFetch('moderation_log', 'POST', record, '?select=*'));
+        },
+
+        async listModerationLog({ userId, actions, limit, offset = 0 }) {
+            const filters = [];
+            if (userId) filters.push(`user_id=eq.${userId}`);
+            if (actions && actions.length > 0) filters.push(`action=in.(${actions.join(',')})`);
+            filters.push('select=*', 'order=created_at.desc,id.desc', `limit=${limit}`, `offset=${offset}`);
+            return list(await supabaseFetch('moderation_log', 'GET', null, `?${filters.join('&')}`));
+        },
+
+        // --- referrals (count_referrals, list_referrals, get_referral_commission_totals) ---
+
+        async countReferrals(userId) {
+            const row = first(await supabaseRpc('count_referrals', { p_referrer_id: Number(userId) }));
+            return row ? Number(row.referrals_count) : 0;
+        },
+
+        async listReferrals(userId, { limit, offset = 0 }) {
+            return list(await supabaseRpc('list_referrals', {
+                p_referrer_id: Number(userId),
+                p_limit: limit,
+                p_offset: offset
+            })).map(row => ({ ...row, commission: Number(row.commission) }));
+        },
+
+        async getReferralCommissionTotals(userId, since) {
+            const row = first(await supabaseRpc('get_referral_commission_totals', { p_referrer_id: Number(userId), p_since: since }));
+            return { lifetime: row ? Number(row.lifetime) : 0, since: row ? Number(row.since) : 0 };
+        },
+
+        // --- rate_limit_buckets ---
+
+        async takeRateLimitToken(key, capacity, refillMs) {
+            return first(await supabaseRpc('take_rate_limit_token', {
+                p_key: key,
+                p_capacity: capacity,
+                p_refill_ms: refillMs
+            }));
+        },
+
+        // --- idempotency_keys ---
+
+        async reserveIdempotencyKey({ scope, key, requestType, requestHash }) {
+            const row = first(await supabaseRpc('reserve_idempotency_key', {
+                p_scope: scope,
+                p_key: key,
+                p_request_type: requestType,
+                p_request_hash: requestHash
+            }));
+            const { reserved, ...record } = row;
+            return { reserved, record };
+        },
+
+        async completeIdempotencyKey(scope, key, statusCode, response) {
+            await supabaseFetch('idempotency_keys', 'PATCH',
+                { status_code: statusCode, response, completed_at: new Date().toISOString() },
+                `?scope=eq.${encodeURIComponent(scope)}&key=eq.${encodeURIComponent(key)}`);
+        },
+
+        async releaseIdempotencyKey(scope, key) {
+            await supabaseFetch('idempotency_keys', 'DELETE', null,
+                `?scope=eq.${encodeURIComponent(scope)}&key=eq.${encodeURIComponent(key)}&completed_at=is.null`);
+        },
+
+        // --- daily_stats ---
+
+        async recordUserActivity(userId, activityDate) {
+            await supabaseRpc('record_user_activity', { p_user_id: Number(userId), p_activity_date: activityDate });
+        },
+
+        async listDailyStats(fromDay, toDay) {
+            return list(await supabaseFetch('daily_stats', 'GET', null,
+                `?day=gte.${fromDay}&day=lte.${toDay}&select=*&order=day.asc`));
+        },
+
+        async refreshDailyStats(day, start, end) {
+            return first(await supabaseRpc('refresh_daily_stats', { p_day: day, p_start: start, p_end: end }));
+        },
+
+        // --- metrics and health ---
+
+        async incrementErrorCounter({ endpoint, type, code }) {
+            await supabaseRpc('increment_error_counter', { p_endpoint: endpoint, p_request_type: type || '', p_code: code });
+        },
+
+        async listErrorCounters() {
+            return list(await supabaseFetch('error_counters', 'GET', null, '?select=endpoint,request_type,code,count'))
+                .map(row => ({ ...row, count: Number(row.count) }));
+        },
+
+        async getMetricTotals() {
+            return list(await supabaseRpc('get_metric_totals')).map(row => ({ ...row, value: Number(row.value) }));
+        },
+
+        /**
+         * Cheapest round trip that proves the database answers and the key can read.
+         */
+        async checkHealth() {
+            await supabaseFetch('users', 'GET', null, '?select=id&limit=1');
+        },
+
+        // --- history_exports ---
+
+        async getLatestHistoryExport(userId) {
+            return first(await supabaseFetch('history_exports', 'GET', null,
+                `?user_id=eq.${userId}&select=*&order=created_at.desc&limit=1`));
+        },
+
+        async insertHistoryExport(record) {
+            return first(await supabaseFetch('history_exports', 'POST', record, '?select=*'));
+        },
+
+        // --- reward records ---
+
+        async listCommissionsByIds(ids) {
+            return list(await supabaseFetch('commission_history', 'GET', null,
+                `?id=in.(${ids.map(Number).join(',')})&select=*`));
+        },
+
+        async insertCommission(record) {
+            return first(await supabaseFetch('commission_history', 'POST', record, '?select=*'));
+        },
+
+        // --- ledger ---
+
+        async applyLedgerEntry({ userId, type, amount, sourceType, sourceId, createdBy, note }) {
+            return first(await supabaseRpc('apply_ledger_entry', {
+                p_user_id: userId,
+                p_entry_type: type,
+                p_amount: amount,
+                p_source_type: sourceType,
+                p_source_id: sourceId,
+                p_created_by: createdBy,
+                p_note: note
+            }));
+        },
+
+        async reconcileBalances() {
+            return list(await supabaseRpc('reconcile_balances'));
+        },
+
+        async listLedgerEntries(userId, { types, limit, beforeId, from, to }) {
+            const filters = [`user_id=eq.${userId}`];
+            if (types) filters.push(`entry_type=in.(${types.join(',')})`);
+            if (beforeId) filters.push(`id=lt.${Number(beforeId)}`);
+            if (from) filters.push(`created_at=gte.${encodeURIComponent(from)}`);
+            if (to) filters.push(`created_at=lte.${encodeURIComponent(to)}`);
+            filters.push('select=*', 'order=id.desc', `limit=${limit}`);
+            return list(await supabaseFetch('ledger_entries', 'GET', null, `?${filters.join('&')}`));
+        },
+
+        /**
+         * The entry a source produced (unique per entry type, see ledger_entries_source_idx).
+         */
+        async getLedgerEntryBySource(entryType, sourceType, sourceId) {
+            return first(await supabaseFetch('ledger_entries', 'GET', null,
+                `?entry_type=eq.${encodeURIComponent(entryType)}&source_type=eq.${encodeURIComponent(sourceType)}` +
+                `&source_id=eq.${encodeURIComponent(sourceId)}&select=*`));
+        }
+    };
+}
+
+module.exports = { createSupabaseStorage };
@@ -0,0 +1,73 @@
+// /lib/supabase.js
+
+/**
+ * Thin client for the Supabase REST API (PostgREST).
+ * Shared by the API handlers and the subsystems under /lib.
+ * Every call is timed into the current request's log context (see /lib/logger.js).
+ */
+const { recordDbCall } = require('./logger');
+
+// Load environment variables for Supabase connection. The server uses the service-role key: the
+// database functions are not executable with the anon key (see migration 0024_function_grants).
+const SUPABASE_URL = process.env.NEXT_PUBLIC_SUPABASE_URL;
+const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+async function supabaseFetch(tableName, method, body = null, queryParams = '?select=*') {
+  if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
+    throw new Error('Supabase environment variables are not configured.');
+  }
+
+  const url = `${SUPABASE_URL}/rest/v1/${tableName}${queryParams}`;
+
+  const headers = {
+    'apikey': SUPABASE_SERVICE_ROLE_KEY,
+    'Authorization': `Bearer ${SUPABASE_SERVICE_ROLE_KEY}`,
+    'Content-Type': 'application/json',
+    'Prefer': 'return=representation'
+  };
+
+  const options = {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : null,
+  };
+
+  const startedAt = Date.now();
+  let response;
+  try {
+    response = await fetch(url, options);
+  } finally {
+    recordDbCall({ target: tableName, method, status: response ? response.status : 0, ms: Date.now() - startedAt });
+  }
+
+  if (response.ok) {
+      const responseText = await response.text();
+      try {
+          const jsonResponse = JSON.parse(responseText);
+          return Array.isArray(jsonResponse) ? jsonResponse : { success: true };
+      } catch (e) {
+          return { success: true };
+      }
+  }
+
+  let data;
+  try {
+      data = await response.json();
+  } catch (e) {
+      const errorMsg = `Supabase error: ${response.status} ${response.statusText}`;
+      throw new Error(errorMsg);
+  }
+
+  const errorMsg = data.message || `Supabase error: ${response.status} ${response.statusText}`;
+  throw new Error(errorMsg);
+}
+
+/**
+ * Calls a Postgres function exposed by PostgREST (POST /rest/v1/rpc/<name>).
+ * Functions should be declared "RETURNS TABLE (...)" so the result comes back as an array of rows.
+ */
+async function supabaseRpc(functionName, args = {}) {
+  return supabaseFetch(`rpc/${functionName}`, 'POST', args, '');
+}
+
+module.exports = { supabaseFetch, supabaseRpc };
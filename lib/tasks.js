@@ -0,0 +1,156 @@
+// /lib/tasks.js
+
+/**
+ * Tasks (quests): admin-defined ways to earn besides ads and spins.
+ *
+ *   join_channel    params.chat_id (e.g. "@channel"), params.url; verified with the Bot API getChatMember
+ *   open_link       params.url; opening a link cannot be verified, so keep these rewards small
+ *   invite_friends  params.count; verified by counting users whose ref_by is the claimant
+ *
+ * A "once" task pays a single time; a "daily" task can be claimed again every calendar day
+ * (same day boundary as the daily limits). Each claim is a task_completions row keyed by period.
+ */
+const storage = require('./storage');
+const { getUsageDate } = require('./limits');
+const { getBotApi } = require('./telegram');
+const { logger } = require('./logger');
+
+const TASK_KINDS = ['join_channel', 'open_link', 'invite_friends'];
+const TASK_REPEATS = ['once', 'daily'];
+const MEMBER_STATUSES = ['creator', 'administrator', 'member'];
+
+/**
+ * Checks an admin-supplied task definition. Returns an error message, or null if it is valid.
+ */
+function validateTaskDefinition({ title, kind, params = {}, reward, repeat = 'once' }) {
+    if (!title || typeof title !== 'string') return 'Missing task title.';
+    if (!TASK_KINDS.includes(kind)) return `Invalid task kind. Use one of: ${TASK_KINDS.join(', ')}.`;
+    if (!TASK_REPEATS.includes(repeat)) return `Invalid repeat. Use one of: ${TASK_REPEATS.join(', ')}.`;
+    if (typeof reward !== 'number' || !isFinite(reward) || reward <= 0) return 'Reward must be a positive number.';
+
+    if (kind === 'join_channel' && !params.chat_id) return 'join_channel tasks need params.chat_id.';
+    if ((kind === 'join_channel' || kind === 'open_link') && !params.url) return `${kind} tasks need params.url.`;
+    if (kind === 'invite_friends' && !(Number.isInteger(params.count) && params.count > 0)) {
+        return 'invite_friends tasks need a positive integer params.count.';
+    }
+    return null;
+}
+
+/**
+ * The claim period a completion is recorded under: "once", or today's date for daily tasks.
+ */
+function getTaskPeriod(task, now = new Date()) {
+    return task.repeat === 'daily' ? getUsageDate(now) : 'once';
+}
+
+/**
+ * Checks on the server that the user really completed the task.
+ *
+ * @returns {Promise<{ ok: true } | { ok: false, status: number, code: string, message: string }>}
+ */
+async function verifyTaskCompletion(task, userId) {
+    const reject = (status, code, message) => ({ ok: false, status, code, message });
+
+    switch (task.kind) {
+        case 'join_channel': {
+            let member;
+            try {
+                member = await getBotApi().getChatMember(task.params.chat_id, userId);
+            } catch (error) {
+                logger.error('getChatMember failed', { task_id: task.id, error: error.message });
+                return reject(502, 'UPSTREAM_ERROR', 'Could not verify channel membership right now. Please try again later.');
+            }
+            const isMember = MEMBER_STATUSES.includes(member.status) || (member.status === 'restricted' && member.is_member);
+            return isMember ? { ok: true } : reject(403, 'TASK_NOT_COMPLETED', 'Join the channel first, then claim the reward.');
+        }
+        case 'invite_friends': {
+            const referrals = await storage.countReferrals(userId);
+            return referrals >= task.params.count
+                ? { ok: true }
+                : reject(403, 'TASK_NOT_COMPLETED', `Invite ${task.params.count} friends first (${referrals} so far).`);
+        }
+        case 'open_link':
+            return { ok: true };
+        default:
+            return reject(400, 'INVALID_REQUEST', 'Unknown task kind.');
+    }
+}
+
+/**
+ * Active tasks as shown to a user, with whether the current period is already claimed.
+ */
+async function listTasksForUser(userId, now = new Date()) {
+    const [tasks, completions] = await Promise.all([
+        storage.listTasks({ activeOnly: true }),
+        storage.listTaskCompletions(userId)
+    ]);
+    const needsReferrals = tasks.some(task => task.kind === 'invite_friends');
+    const referrals = needsReferrals ? await storage.countReferrals(userId) : 0;
+
+    return tasks.map(task => {
+        const period = getTaskPeriod(task, now);
+        return {
+            id: task.id,
+            title: task.title,
+            kind: task.kind,
+            reward: task.reward,
+            repeat: task.repeat,
+            url: task.params.url || null,
+            target: task.kind === 'invite_friends' ? task.params.count : null,
+            progress: task.kind === 'invite_friends' ? Math.min(referrals, task.params.count) : null,
+            completed: completions.some(c => c.task_id === task.id && c.period === period)
+        };
+    });
+}
+
+/**
+ * Verifies a task, records the completion for the current period and credits the reward. The claimTask
+ * action ID is consumed in the same transaction as the completion and the credit.
+ *
+ * @returns {Promise<{ ok: true, reward: number, balance: number }
+ *          | { ok: false, status: number, code: string, message: string }>}
+ */
+async function claimTask(userId, taskId, actionId, now = new Date()) {
+    const reject = (status, code, message) => ({ ok: false, status, code, message });
+
+    // 1. The task must exist and be active
+    const task = await storage.getTask(taskId);
+    if (!task || !task.is_active) {
+        return reject(404, 'NOT_FOUND', 'Task not found.');
+    }
+
+    // 2. Completion is checked by the server, never trusted from the client
+    const verification = await verifyTaskCompletion(task, userId);
+    if (!verification.ok) {
+        return verification;
+    }
+
+    // 3. In one unit: consume the action ID, record the completion and credit its reward (the completion
+    //    row is the ledger entry's source); the (task_id, user_id, period) unique key allows one claim per period
+    const claimed = await storage.claimTask({
+        task_id: task.id,
+        user_id: userId,
+        action_id: actionId,
+        period: getTaskPeriod(task, now),
+        reward: task.reward
+    });
+    if (claimed.status === 'token_invalid') {
+        return reject(409, 'TOKEN_INVALID', 'Invalid or previously used Server Token (Action ID).');
+    }
+    if (claimed.status === 'already_claimed') {
+        return reject(409, 'ALREADY_CLAIMED', task.repeat === 'daily'
+            ? 'Task already claimed today.'
+            : 'Task already claimed.');
+    }
+
+    return { ok: true, reward: task.reward, balance: claimed.balance };
+}
+
+module.exports = {
+    TASK_KINDS,
+    TASK_REPEATS,
+    validateTaskDefinition,
+    verifyTaskCompletion,
+    listTasksForUser,
+    claimTask
+};
@@ -0,0 +1,98 @@
+// /lib/telegram.js
+
+/**
+ * Thin client for the Telegram Bot API, authenticated with BOT_TOKEN.
+ *
+ * Every outgoing Bot API call (task verification, bot replies, notifications) goes through
+ * getBotApi(), so the client can be replaced with setBotApi() — e.g. a local fake in tests
+ * or the dev server:
+ *
+ *   setBotApi({
+ *       getChatMember: async (chatId, userId) => ({ status: 'member' }),
+ *       sendMessage: async (chatId, text) => console.log(chatId, text),
+ *       sendDocument: async (chatId, file) => console.log(chatId, file.filename)
+ *   });
+ */
+
+const TELEGRAM_API_URL = 'https://api.telegram.org';
+
+class TelegramApiError extends Error {
+    constructor(errorCode, description) {
+        super(description || `Telegram API error ${errorCode}`);
+        this.name = 'TelegramApiError';
+        this.errorCode = errorCode;
+    }
+}
+
+/**
+ * Creates a Bot API client. `fetchImpl` defaults to the global fetch.
+ */
+function createBotApi({ token = process.env.BOT_TOKEN, fetchImpl = (...args) => fetch(...args) } = {}) {
+    /**
+     * `files` ({ field: { filename, content, contentType } }) switches the request to multipart/form-data.
+     */
+    async function call(method, params = {}, files = null) {
+        if (!token) {
+            throw new Error('BOT_TOKEN is not configured.');
+        }
+
+        let request = {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(params)
+        };
+        if (files) {
+            const form = new FormData();
+            Object.entries(params).forEach(([name, value]) =>
+                form.append(name, typeof value === 'object' ? JSON.stringify(value) : String(value)));
+            Object.entries(files).forEach(([name, file]) =>
+                form.append(name, new Blob([file.content], { type: file.contentType || 'application/octet-stream' }), file.filename));
+            request = { method: 'POST', body: form };
+        }
+
+        const response = await fetchImpl(`${TELEGRAM_API_URL}/bot${token}/${method}`, request);
+
+        let data;
+        try {
+            data = await response.json();
+        } catch (e) {
+            throw new TelegramApiError(response.status, `Telegram API error: ${response.status} ${response.statusText}`);
+        }
+
+        if (!data.ok) {
+            throw new TelegramApiError(data.error_code, data.description);
+        }
+        return data.result;
+    }
+
+    return {
+        call,
+
+        /** https://core.telegram.org/bots/api#getchatmember (the bot must be an admin of the channel) */
+        async getChatMember(chatId, userId) {
+            return call('getChatMember', { chat_id: chatId, user_id: userId });
+        },
+
+        /** https://core.telegram.org/bots/api#sendmessage (`options` e.g. { parse_mode, reply_markup }) */
+        async sendMessage(chatId, text, options = {}) {
+            return call('sendMessage', { chat_id: chatId, text, ...options });
+        },
+
+        /** https://core.telegram.org/bots/api#senddocument (`file` is { filename, content, contentType }; `options` e.g. { caption }) */
+        async sendDocument(chatId, file, options = {}) {
+            return call('sendDocument', { chat_id: chatId, ...options }, { document: file });
+        }
+    };
+}
+
+let botApi = createBotApi();
+
+function getBotApi() {
+    return botApi;
+}
+
+function setBotApi(client) {
+    botApi = client;
+}
+
+module.exports = { TelegramApiError, createBotApi, getBotApi, setBotApi };
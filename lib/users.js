@@ -0,0 +1,69 @@
+// /lib/users.js
+
+/**
+ * User registration, shared by the Mini App ("register" request) and the bot's /start command.
+ */
+const storage = require('./storage');
+const fraud = require('./fraud');
+const { getActiveBan, describeBan } = require('./bans');
+const { logger } = require('./logger');
+
+const MAX_FIRST_NAME_LENGTH = 64;
+
+/**
+ * Creates the user on first contact. A referrer is only recorded at creation time;
+ * self-referrals and malformed referral codes are ignored (they would earn commission
+ * on the user's own ads).
+ *
+ * firstName (from Telegram) is stored, and refreshed when it changes, so the referrer's
+ * dashboard can show it masked (see /lib/referrals.js).
+ *
+ * A new account is scored by /lib/fraud.js right away (its referrer and any signals recorded
+ * before it existed); a failed assessment does not fail the registration.
+ *
+ * @returns {Promise<{ ok: true, created: boolean, user: object }
+ *          | { ok: false, status: number, code: string, message: string, ban: object }>}
+ */
+async function registerUser(userId, refBy, { firstName = null } = {}) {
+    const referrerId = parseInt(refBy);
+    const name = typeof firstName === 'string' && firstName.trim()
+        ? firstName.trim().slice(0, MAX_FIRST_NAME_LENGTH)
+        : null;
+
+    // 1. Check if user exists
+    const user = await storage.getUser(userId);
+
+    if (user) {
+        // ⚠️ Check if existing user is banned
+        const ban = await getActiveBan(userId);
+        if (ban) {
+            return { ok: false, status: 403, code: 'BANNED', message: describeBan(ban), ban };
+        }
+        if (name && user.first_name !== name) {
+            return { ok: true, created: false, user: await storage.updateUser(userId, { first_name: name }) };
+        }
+        return { ok: true, created: false, user };
+    }
+
+    // 2. User does not exist, create new user
+    try {
+        const newUser = await storage.createUser({
+            id: userId,
+            balance: 0,
+            ref_by: !isNaN(referrerId) && referrerId !== userId ? referrerId : null,
+            first_name: name,
+            last_activity: new Date().toISOString()
+        });
+        await fraud.assessUserRisk(userId).catch(error =>
+            logger.error('Risk assessment of new user failed', { user_id: userId, error: error.message }));
+        return { ok: true, created: true, user: newUser };
+    } catch (error) {
+        // The Mini App and the bot's /start can register the same user at the same moment
+        if (error.message && error.message.includes('duplicate key')) {
+            return { ok: true, created: false, user: await storage.getUser(userId) };
+        }
+        throw error;
+    }
+}
+
+module.exports = { registerUser };
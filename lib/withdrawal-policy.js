@@ -0,0 +1,223 @@
+// /lib/withdrawal-policy.js
+
+/**
+ * Withdrawal policy: who may withdraw, how often and how much. The rules come from
+ * withdrawals.policy in the economy config; a rule set to 0 is off.
+ *
+ *   min_account_age_days        days since registration                          ACCOUNT_TOO_NEW
+ *   min_ads_watched             ad views credited, in total                      NOT_ENOUGH_ADS
+ *   min_verified_referrals      direct referees with at least                    REFERRALS_REQUIRED
+ *                               verified_referral_min_ads credited ad views
+ *   max_open_requests           requests still pending, under review or approved WITHDRAWAL_PENDING
+ *   cooldown_hours              time since the last request                      COOLDOWN
+ *   daily_max_amount            SHIB requested per calendar day                  WITHDRAWAL_LIMIT
+ *   weekly_max_amount           SHIB requested per calendar week (Monday-Sunday) WITHDRAWAL_LIMIT
+ *
+ * Days and weeks follow the reset timezone of /lib/limits.js. Rejected (refunded) requests count
+ * for none of the rules.
+ *
+ * Rollout: the account requirements (age, ads, verified referrals) ship off. They apply to existing
+ * users too, so before turning one on, check how many active users it would block (ads watched and
+ * referees per user are in ledger_entries and users.ref_by) and announce it in the bot first. The
+ * withdraw screen lists every active requirement, so users see what is missing before they submit.
+ *
+ * getWithdrawalStatus() lists the requirements for the withdraw screen; checkWithdrawal() finds the
+ * first rule a request breaks. The open-request, cooldown and cap rules are enforced once more by
+ * ledger.createWithdrawal() under the user's row lock (see getWithdrawalLimits), so parallel
+ * requests cannot pass them together.
+ *
+ * A "withdraw" retry whose request key already created a withdrawal is answered with that withdrawal
+ * before any rule is checked (see handleWithdraw): that withdrawal is the open request and the start
+ * of the cooldown, so the rules would refuse the retry.
+ */
+const storage = require('./storage');
+const { ECONOMY } = require('./config');
+const { getUsageDate, shiftUsageDate, getUsageDayStart } = require('./limits');
+const { getMinimumWithdrawal } = require('./payouts');
+
+const POLICY = ECONOMY.withdrawals.policy;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+function formatUtc(date) {
+    return `${date.toISOString().replace('T', ' ').slice(0, 16)} UTC`;
+}
+
+/**
+ * Start and end of the current day and week (Monday to Sunday) in the reset timezone.
+ */
+function getPolicyWindows(now) {
+    const today = getUsageDate(now);
+    const weekday = new Date(`${today}T00:00:00Z`).getUTCDay(); // 0 = Sunday
+    const monday = shiftUsageDate(today, -((weekday + 6) % 7));
+    return {
+        dayStart: getUsageDayStart(today),
+        dayEnd: getUsageDayStart(shiftUsageDate(today, 1)),
+        weekStart: getUsageDayStart(monday),
+        weekEnd: getUsageDayStart(shiftUsageDate(monday, 7))
+    };
+}
+
+/**
+ * The rules ledger.createWithdrawal() checks under the row lock (null: off).
+ */
+function getWithdrawalLimits(now = new Date()) {
+    const windows = getPolicyWindows(now);
+    return {
+        maxOpenRequests: POLICY.max_open_requests || null,
+        cooldownMs: POLICY.cooldown_hours ? POLICY.cooldown_hours * HOUR_MS : null,
+        dayStart: windows.dayStart.toISOString(),
+        dayMaxAmount: POLICY.daily_max_amount || null,
+        weekStart: windows.weekStart.toISOString(),
+        weekMaxAmount: POLICY.weekly_max_amount || null
+    };
+}
+
+function describeCap(max, used, resetsAt) {
+    if (!max) return null;
+    return { max, used, remaining: Math.max(max - used, 0), resets_at: resetsAt.toISOString() };
+}
+
+/**
+ * The user's standing against every active rule, for the withdraw screen and checkWithdrawal().
+ *
+ * @returns {Promise<{
+ *   eligible: boolean,
+ *   requirements: Array<{ id: string, code: string, met: boolean, required: number, current?: number, available_at?: string|null }>,
+ *   limits: { daily: object|null, weekly: object|null },
+ *   remaining_amount: number|null
+ * }>} remaining_amount: the most the user can request now under the caps (null: no cap)
+ */
+async function getWithdrawalStatus(user, now = new Date()) {
+    const windows = getPolicyWindows(now);
+    const activity = await storage.getWithdrawalActivity(user.id, {
+        dayStart: windows.dayStart.toISOString(),
+        weekStart: windows.weekStart.toISOString(),
+        referralMinAds: POLICY.verified_referral_min_ads
+    });
+
+    // 1. Requirements: each active rule, met or not
+    const requirements = [];
+    if (POLICY.min_account_age_days) {
+        const createdAt = new Date(user.created_at);
+        const availableAt = new Date(createdAt.getTime() + POLICY.min_account_age_days * DAY_MS);
+        requirements.push({
+            id: 'account_age',
+            code: 'ACCOUNT_TOO_NEW',
+            met: now >= availableAt,
+            required: POLICY.min_account_age_days,
+            current: Math.floor((now - createdAt) / DAY_MS),
+            available_at: availableAt.toISOString()
+        });
+    }
+    if (POLICY.min_ads_watched) {
+        requirements.push({
+            id: 'ads_watched',
+            code: 'NOT_ENOUGH_ADS',
+            met: activity.ads_watched >= POLICY.min_ads_watched,
+            required: POLICY.min_ads_watched,
+            current: activity.ads_watched
+        });
+    }
+    if (POLICY.min_verified_referrals) {
+        requirements.push({
+            id: 'verified_referrals',
+            code: 'REFERRALS_REQUIRED',
+            met: activity.verified_referrals >= POLICY.min_verified_referrals,
+            required: POLICY.min_verified_referrals,
+            current: activity.verified_referrals,
+            referral_min_ads: POLICY.verified_referral_min_ads
+        });
+    }
+    if (POLICY.max_open_requests) {
+        requirements.push({
+            id: 'open_requests',
+            code: 'WITHDRAWAL_PENDING',
+            met: activity.open_requests < POLICY.max_open_requests,
+            required: POLICY.max_open_requests,
+            current: activity.open_requests
+        });
+    }
+    if (POLICY.cooldown_hours) {
+        const availableAt = activity.last_requested_at
+            ? new Date(new Date(activity.last_requested_at).getTime() + POLICY.cooldown_hours * HOUR_MS)
+            : null;
+        requirements.push({
+            id: 'cooldown',
+            code: 'COOLDOWN',
+            met: !availableAt || now >= availableAt,
+            required: POLICY.cooldown_hours,
+            available_at: availableAt ? availableAt.toISOString() : null
+        });
+    }
+
+    // 2. Caps: what is left of today's and this week's allowance
+    const limits = {
+        daily: describeCap(POLICY.daily_max_amount, activity.day_amount, windows.dayEnd),
+        weekly: describeCap(POLICY.weekly_max_amount, activity.week_amount, windows.weekEnd)
+    };
+    const caps = [limits.daily, limits.weekly].filter(Boolean);
+    const remainingAmount = caps.length > 0 ? Math.min(...caps.map(cap => cap.remaining)) : null;
+
+    return {
+        eligible: requirements.every(requirement => requirement.met) &&
+            (remainingAmount === null || remainingAmount >= getMinimumWithdrawal()),
+        requirements,
+        limits,
+        remaining_amount: remainingAmount
+    };
+}
+
+function describeUnmetRequirement(requirement) {
+    switch (requirement.id) {
+        case 'account_age':
+            return { status: 403, message: `Withdrawals open ${requirement.required} days after registration, on ${formatUtc(new Date(requirement.available_at))}.` };
+        case 'ads_watched':
+            return { status: 403, message: `Watch at least ${requirement.required} ads before withdrawing (${requirement.current} so far).` };
+        case 'verified_referrals':
+            return { status: 403, message: `Invite at least ${requirement.required} friends who each watch ${requirement.referral_min_ads} ads before withdrawing (${requirement.current} so far).` };
+        case 'open_requests':
+            return { status: 409, message: 'You already have an open withdrawal request. Please wait until it is processed.' };
+        case 'cooldown': {
+            const availableAt = new Date(requirement.available_at);
+            return {
+                status: 429,
+                message: `You can request another withdrawal after ${formatUtc(availableAt)}.`,
+                retryAfterMs: availableAt.getTime() - Date.now()
+            };
+        }
+        default:
+            return { status: 403, message: 'Withdrawal requirements are not met.' };
+    }
+}
+
+/**
+ * Checks a withdrawal of `amount` against the status from getWithdrawalStatus().
+ *
+ * @returns {{ ok: true } | { ok: false, status: number, code: string, message: string, retryAfterMs?: number }}
+ */
+function checkWithdrawal(status, amount) {
+    // 1. The first unmet requirement, in the order they are listed
+    const unmet = status.requirements.find(requirement => !requirement.met);
+    if (unmet) {
+        return { ok: false, code: unmet.code, ...describeUnmetRequirement(unmet) };
+    }
+
+    // 2. The caps: the whole amount must fit
+    const { daily, weekly } = status.limits;
+    if (daily && amount > daily.remaining) {
+        return {
+            ok: false, status: 403, code: 'WITHDRAWAL_LIMIT',
+            message: `The daily withdrawal limit is ${daily.max} SHIB; you can request up to ${daily.remaining} SHIB more today.`
+        };
+    }
+    if (weekly && amount > weekly.remaining) {
+        return {
+            ok: false, status: 403, code: 'WITHDRAWAL_LIMIT',
+            message: `The weekly withdrawal limit is ${weekly.max} SHIB; you can request up to ${weekly.remaining} SHIB more this week.`
+        };
+    }
+    return { ok: true };
+}
+
+module.exports = { getWithdrawalStatus, checkWithdrawal, getWithdrawalLimits };
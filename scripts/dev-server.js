@@ -0,0 +1,310 @@
+#!/usr/bin/env node
+// /scripts/dev-server.js
+
+/**
+ * Local dev server: the whole Mini App on a laptop, with no Telegram, ad network or Supabase.
+ *
+ *   GET  /                    index.html, with the Telegram SDK and the GigaPub ad script replaced by a local stub
+ *   GET  /admin               admin.html, the admin stats page (key: see below)
+ *   GET  /img.png             static asset
+ *   POST /api                 the API (api/index.js), also at /api/index
+ *   ANY  /api/ad-callback     ad network postbacks (api/ad-callback.js)
+ *   POST /api/bot-webhook     bot updates (api/bot-webhook.js)
+ *   GET  /api/health          health check (api/health.js)
+ *   GET  /api/metrics         Prometheus metrics (api/metrics.js, "Authorization: Bearer <METRICS_TOKEN>")
+ *   GET  /__dev/init-data     freshly signed initData for ?user=...&start_param=..., e.g. for curl
+ *
+ * The stub signs initData with a local test bot token (never the real BOT_TOKEN) and replaces
+ * window.showGiga: "success" sends a signed postback for the ad's action ID through
+ * scripts/simulate-ad-postback.js, "fail" rejects as a dismissed ad would. Bot API calls (task
+ * checks, notifications, history exports) go to an offline fake that logs them.
+ *
+ * Usage:
+ *   npm start -- [--user 1001] [--first-name Dev] [--lang en] [--start-param ref_42] [--ads success|fail]
+ *                [--ad-delay 1500] [--chat-member member] [--port 3000] [--host 127.0.0.1]
+ *
+ * The page accepts the same options as query parameters, so one server can play several users:
+ *   http://localhost:3000/?user=1002&start_param=ref_1001&lang=ar&ads=fail
+ *
+ * Data lives in the in-memory store; set MEMORY_STORE_FILE to keep it between restarts.
+ * Admin requests use "Authorization: Bearer dev-admin-key" unless ADMIN_API_KEYS is set, and
+ * /api/metrics "Authorization: Bearer dev-metrics-token" unless METRICS_TOKEN is set.
+ */
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROOT = path.join(__dirname, '..');
+const DEFAULT_DEV_BOT_TOKEN = '123456789:dev-local-test-token';
+const DEV_AD_SECRET = 'dev-ad-secret';
+const INIT_DATA_REFRESH_MS = 10 * 60 * 1000; // initData is accepted for 20 minutes (see validateInitData)
+const POSTBACK_RETRY_MS = 1000;
+const POSTBACK_MAX_ATTEMPTS = 5;
+
+// ⚠️ The environment must be set before the API modules are loaded: they read it at require time
+process.env.STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'memory';
+process.env.BOT_TOKEN = process.env.DEV_BOT_TOKEN || DEFAULT_DEV_BOT_TOKEN;
+process.env.ADMIN_API_KEYS = process.env.ADMIN_API_KEYS || 'dev:dev-admin-key';
+process.env.METRICS_TOKEN = process.env.METRICS_TOKEN || 'dev-metrics-token';
+if (!/(^|,)\s*generic:/.test(process.env.AD_CALLBACK_SECRETS || '')) {
+    process.env.AD_CALLBACK_SECRETS = [process.env.AD_CALLBACK_SECRETS, `generic:${DEV_AD_SECRET}`].filter(Boolean).join(',');
+}
+
+const { setBotApi } = require('../lib/telegram');
+const { readJsonBody } = require('../lib/http');
+const { simulateAdPostback } = require('./simulate-ad-postback');
+
+const STATIC_FILES = {
+    '/admin': { file: 'admin.html', contentType: 'text/html; charset=utf-8' },
+    '/admin.html': { file: 'admin.html', contentType: 'text/html; charset=utf-8' },
+    '/img.png': { file: 'img.png', contentType: 'image/png' }
+};
+
+const API_ROUTES = {
+    '/api': () => require('../api/index'),
+    '/api/index': () => require('../api/index'),
+    '/api/ad-callback': () => require('../api/ad-callback'),
+    '/api/bot-webhook': () => require('../api/bot-webhook'),
+    '/api/health': () => require('../api/health'),
+    '/api/metrics': () => require('../api/metrics')
+};
+
+/**
+ * Signs initData exactly like Telegram does for a Mini App launch (see validateInitData in /api/index.js).
+ */
+function signInitData({ user, startParam = null, botToken = process.env.BOT_TOKEN, authDate = Math.floor(Date.now() / 1000) }) {
+    const params = new URLSearchParams({
+        auth_date: String(authDate),
+        query_id: `dev-${crypto.randomBytes(6).toString('hex')}`,
+        user: JSON.stringify(user)
+    });
+    if (startParam) {
+        params.set('start_param', startParam);
+    }
+
+    const dataCheckString = Array.from(params.entries())
+        .map(([key, value]) => `${key}=${value}`)
+        .sort()
+        .join('\n');
+    const secretKey = crypto.createHmac('sha256', 'WebAppData').update(botToken).digest();
+    params.set('hash', crypto.createHmac('sha256', secretKey).update(dataCheckString).digest('hex'));
+    return params.toString();
+}
+
+/**
+ * Offline Bot API: every call is logged instead of sent.
+ */
+function createDevBotApi({ chatMemberStatus }) {
+    return {
+        async call(method, params) {
+            console.log(`[bot] ${method}`, JSON.stringify(params));
+            return true;
+        },
+        async getChatMember(chatId, userId) {
+            console.log(`[bot] getChatMember ${chatId} ${userId} -> ${chatMemberStatus}`);
+            return { status: chatMemberStatus };
+        },
+        async sendMessage(chatId, text) {
+            console.log(`[bot] message to ${chatId}:\n${text}`);
+            return { message_id: Date.now() };
+        },
+        async sendDocument(chatId, file, options = {}) {
+            console.log(`[bot] document to ${chatId}: ${file.filename} (${Buffer.byteLength(file.content)} bytes) ${options.caption || ''}`);
+            return { message_id: Date.now() };
+        }
+    };
+}
+
+/**
+ * Stub options: page query parameters win over the command line.
+ */
+function resolveStubOptions(defaults, query) {
+    const userId = parseInt(query.get('user') || defaults.user);
+    if (!Number.isSafeInteger(userId) || userId <= 0) {
+        throw Object.assign(new Error('user must be a positive integer.'), { statusCode: 400 });
+    }
+    return {
+        user: {
+            id: userId,
+            first_name: query.get('first_name') || defaults['first-name'] || `Dev ${userId}`,
+            username: `dev${userId}`,
+            language_code: query.get('lang') || defaults.lang || 'en'
+        },
+        startParam: query.get('start_param') || defaults['start-param'] || null,
+        ads: (query.get('ads') || defaults.ads || 'success') === 'fail' ? 'fail' : 'success',
+        adDelayMs: Math.max(parseInt(query.get('ad_delay') || defaults['ad-delay']) || 1500, 0)
+    };
+}
+
+/**
+ * window.Telegram.WebApp (the parts index.html uses) and window.showGiga, for one simulated user.
+ */
+function buildTelegramStub(options) {
+    const launch = {
+        initData: signInitData(options),
+        user: options.user,
+        startParam: options.startParam,
+        ads: options.ads,
+        adDelayMs: options.adDelayMs,
+        refreshUrl: `/__dev/init-data?${new URLSearchParams({
+            user: options.user.id, first_name: options.user.first_name, lang: options.user.language_code,
+            ...(options.startParam ? { start_param: options.startParam } : {})
+        })}`,
+        refreshMs: INIT_DATA_REFRESH_MS
+    };
+
+    return `// Dev stub of the Telegram WebApp SDK and the GigaPub ad SDK (scripts/dev-server.js)
+(function () {
+    const launch = ${JSON.stringify(launch).replace(/</g, '\\u003c')};
+    let initData = launch.initData;
+
+    // Re-sign before the server's 20 minute initData limit runs out
+    setInterval(() => {
+        fetch(launch.refreshUrl).then(r => r.json()).then(data => { initData = data.initData; })
+            .catch(e => console.warn('[dev] initData refresh failed:', e.message));
+    }, launch.refreshMs);
+
+    window.Telegram = {
+        WebApp: {
+            get initData() { return initData; },
+            initDataUnsafe: {
+                user: launch.user,
+                start_param: launch.startParam || undefined,
+                auth_date: Math.floor(Date.now() / 1000)
+            },
+            ready() {},
+            expand() {},
+            showAlert(message, callback) { alert(message); if (callback) callback(); },
+            showProgress() {},
+            hideProgress() {},
+            openLink(url) { window.open(url, '_blank'); },
+            openTelegramLink(url) { console.log('[dev] openTelegramLink', url); window.open(url, '_blank'); },
+            HapticFeedback: {
+                notificationOccurred(type) { console.log('[dev] haptic', type); },
+                impactOccurred() {}
+            }
+        }
+    };
+
+    window.showGiga = function (options = {}) {
+        console.log('[dev] showGiga', options, '->', launch.ads);
+        return new Promise((resolve, reject) => setTimeout(() => {
+            if (launch.ads === 'fail') {
+                return reject(new Error('Ad dismissed (dev stub).'));
+            }
+            if (!options.subid) {
+                return resolve();
+            }
+            // The network confirms the view to the server, as GigaPub would
+            fetch('/__dev/ad-postback', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ user_id: launch.user.id, action_id: options.subid })
+            }).then(() => resolve(), reject);
+        }, launch.adDelayMs));
+    };
+
+    console.log('[dev] Telegram stub for user', launch.user.id, launch.startParam ? 'start_param=' + launch.startParam : '');
+})();
+`;
+}
+
+/**
+ * index.html with the external SDK scripts swapped for the stub.
+ */
+function renderIndex(options) {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const stub = `<script>\n${buildTelegramStub(options)}</script>`;
+    return html
+        .replace(/<script src="https:\/\/telegram\.org\/js\/telegram-web-app\.js"><\/script>/, () => stub)
+        .replace(/<script src="https:\/\/ad\.gigapub\.tech\/[^"]*"><\/script>\s*/, '');
+}
+
+function send(res, status, contentType, body) {
+    res.writeHead(status, { 'Content-Type': contentType, 'Cache-Control': 'no-store' });
+    res.end(body);
+}
+
+/**
+ * Signed postback to this server's /api/ad-callback. Like a real network, a rate-limited (429)
+ * postback is retried a little later.
+ */
+async function sendDevPostback(port, userId, actionId) {
+    const eventId = crypto.randomUUID();
+    let result;
+    for (let attempt = 1; attempt <= POSTBACK_MAX_ATTEMPTS; attempt++) {
+        result = await simulateAdPostback({ userId, actionId, eventId, url: `http://127.0.0.1:${port}/api/ad-callback` });
+        if (result.status !== 429) break;
+        await new Promise(resolve => setTimeout(resolve, POSTBACK_RETRY_MS));
+    }
+    return result;
+}
+
+function createDevServer(defaults) {
+    const port = parseInt(defaults.port) || 3000;
+
+    return http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const pathname = url.pathname.replace(/\/+$/, '') || '/';
+
+        try {
+            // 1. API functions, mounted like on Vercel
+            if (API_ROUTES[pathname]) {
+                return await API_ROUTES[pathname]()(req, res);
+            }
+
+            // 2. The app and its assets
+            if (req.method === 'GET' && (pathname === '/' || pathname === '/index.html')) {
+                return send(res, 200, 'text/html; charset=utf-8', renderIndex(resolveStubOptions(defaults, url.searchParams)));
+            }
+            if (req.method === 'GET' && STATIC_FILES[pathname]) {
+                const asset = STATIC_FILES[pathname];
+                return send(res, 200, asset.contentType, fs.readFileSync(path.join(ROOT, asset.file)));
+            }
+
+            // 3. Simulator endpoints
+            if (req.method === 'GET' && pathname === '/__dev/init-data') {
+                const options = resolveStubOptions(defaults, url.searchParams);
+                return send(res, 200, 'application/json', JSON.stringify({ initData: signInitData(options), user: options.user }));
+            }
+            if (req.method === 'POST' && pathname === '/__dev/ad-postback') {
+                const { user_id, action_id } = await readJsonBody(req);
+                const result = await sendDevPostback(port, user_id, action_id);
+                console.log(`[ads] postback for user ${user_id}: ${result.status}`, JSON.stringify(result.body));
+                return send(res, 200, 'application/json', JSON.stringify(result));
+            }
+
+            send(res, 404, 'text/plain', 'Not found');
+        } catch (error) {
+            console.error(`${req.method} ${pathname} failed:`, error.message);
+            if (!res.headersSent) {
+                send(res, error.statusCode || 500, 'text/plain', error.message);
+            }
+        }
+    });
+}
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i += 2) {
+        args[argv[i].replace(/^--/, '')] = argv[i + 1];
+    }
+    return args;
+}
+
+if (require.main === module) {
+    const args = parseArgs(process.argv.slice(2));
+    const defaults = { user: '1001', ...args };
+    const port = parseInt(defaults.port) || 3000;
+    const host = defaults.host || '127.0.0.1';
+
+    setBotApi(createDevBotApi({ chatMemberStatus: defaults['chat-member'] || 'member' }));
+
+    createDevServer(defaults).listen(port, host, () => {
+        console.log(`Dev server on http://${host === '0.0.0.0' ? 'localhost' : host}:${port}/ (storage: ${process.env.STORAGE_BACKEND}, user ${defaults.user}, ads: ${defaults.ads || 'success'})`);
+        console.log('Admin API: Authorization: Bearer <key from ADMIN_API_KEYS> (default "dev-admin-key")');
+    });
+}
+
+module.exports = { signInitData, buildTelegramStub, createDevBotApi, createDevServer };
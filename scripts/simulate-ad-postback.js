@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+// /scripts/simulate-ad-postback.js
+
+/**
+ * Local stub of an ad network: sends a signed reward postback to /api/ad-callback,
+ * as the network would once the user has watched the ad. Lets the ad flow run offline.
+ *
+ * Usage:
+ *   AD_CALLBACK_SECRETS=generic:devsecret node scripts/simulate-ad-postback.js \
+ *       --user 123 --action <watchAd action_id> [--network generic] [--event <id>] [--url http://localhost:3000/api/ad-callback]
+ */
+const crypto = require('crypto');
+const { AD_NETWORKS, getNetworkSecret, buildPostbackParams } = require('../lib/ad-networks');
+
+const DEFAULT_CALLBACK_URL = 'http://localhost:3000/api/ad-callback';
+
+/**
+ * Sends one signed postback and resolves with the endpoint's status and JSON body.
+ */
+async function simulateAdPostback({ userId, actionId, network = 'generic', eventId = crypto.randomUUID(), url = DEFAULT_CALLBACK_URL }) {
+    if (!AD_NETWORKS[network]) {
+        throw new Error(`Unknown ad network: ${network}`);
+    }
+    const secret = getNetworkSecret(network);
+    if (!secret) {
+        throw new Error(`No secret for network "${network}" in AD_CALLBACK_SECRETS.`);
+    }
+
+    const params = buildPostbackParams(network, { actionId, userId, eventId }, secret);
+    const target = new URL(url);
+    target.searchParams.set('network', network);
+    Object.entries(params).forEach(([key, value]) => target.searchParams.set(key, value));
+
+    const response = await fetch(target);
+    return { status: response.status, body: await response.json() };
+}
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i += 2) {
+        args[argv[i].replace(/^--/, '')] = argv[i + 1];
+    }
+    return args;
+}
+
+if (require.main === module) {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args.user || !args.action) {
+        console.error('Usage: node scripts/simulate-ad-postback.js --user <id> --action <action_id> [--network generic] [--event <id>] [--url <callback url>]');
+        process.exit(1);
+    }
+
+    simulateAdPostback({ userId: args.user, actionId: args.action, network: args.network, eventId: args.event, url: args.url })
+        .then(({ status, body }) => console.log(status, JSON.stringify(body)))
+        .catch(error => {
+            console.error('Postback failed:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { simulateAdPostback };
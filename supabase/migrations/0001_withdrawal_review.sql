@@ -0,0 +1,16 @@
+-- Withdrawal review by admins (adminApproveWithdrawal / adminRejectWithdrawal / adminMarkWithdrawalPaid)
+-- Status flow: pending -> approved -> paid, or pending/approved -> rejected (amount refunded)
+
+ALTER TABLE withdrawals
+    ADD COLUMN IF NOT EXISTS decided_by text,
+    ADD COLUMN IF NOT EXISTS decided_at timestamptz,
+    ADD COLUMN IF NOT EXISTS decision_note text,
+    ADD COLUMN IF NOT EXISTS paid_by text,
+    ADD COLUMN IF NOT EXISTS paid_at timestamptz,
+    ADD COLUMN IF NOT EXISTS payout_reference text;
+
+ALTER TABLE withdrawals DROP CONSTRAINT IF EXISTS withdrawals_status_check;
+ALTER TABLE withdrawals
+    ADD CONSTRAINT withdrawals_status_check CHECK (status IN ('pending', 'approved', 'rejected', 'paid'));
+
+CREATE INDEX IF NOT EXISTS withdrawals_status_created_at_idx ON withdrawals (status, created_at DESC);
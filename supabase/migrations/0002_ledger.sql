@@ -0,0 +1,95 @@
+-- Append-only balance ledger (lib/ledger.js)
+-- users.balance is a cached sum of ledger_entries.amount and must only change through apply_ledger_entry().
+
+CREATE TABLE IF NOT EXISTS ledger_entries (
+    id bigserial PRIMARY KEY,
+    user_id bigint NOT NULL REFERENCES users (id),
+    entry_type text NOT NULL CHECK (entry_type IN ('ad', 'spin', 'commission', 'withdrawal', 'refund', 'adjustment')),
+    amount numeric NOT NULL CHECK (amount <> 0),
+    balance_after numeric NOT NULL,
+    source_type text,
+    source_id text,
+    created_by text,
+    note text,
+    created_at timestamptz NOT NULL DEFAULT now()
+);
+
+-- The same source (an ad action, a spin result, a withdrawal...) can only be applied once per entry type
+CREATE UNIQUE INDEX IF NOT EXISTS ledger_entries_source_idx
+    ON ledger_entries (entry_type, source_type, source_id)
+    WHERE source_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS ledger_entries_user_created_idx ON ledger_entries (user_id, created_at DESC);
+
+-- Entries are immutable: corrections are new "adjustment" entries
+CREATE OR REPLACE FUNCTION ledger_entries_immutable() RETURNS trigger AS $$
+BEGIN
+    RAISE EXCEPTION 'ledger_entries are append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS ledger_entries_no_update ON ledger_entries;
+CREATE TRIGGER ledger_entries_no_update
+    BEFORE UPDATE OR DELETE ON ledger_entries
+    FOR EACH ROW EXECUTE FUNCTION ledger_entries_immutable();
+
+ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS ledger_entry_id bigint REFERENCES ledger_entries (id);
+
+-- Inserts one entry and moves users.balance in the same transaction.
+-- The row lock taken by UPDATE serialises concurrent entries for the same user.
+CREATE OR REPLACE FUNCTION apply_ledger_entry(
+    p_user_id bigint,
+    p_entry_type text,
+    p_amount numeric,
+    p_source_type text DEFAULT NULL,
+    p_source_id text DEFAULT NULL,
+    p_created_by text DEFAULT NULL,
+    p_note text DEFAULT NULL
+) RETURNS TABLE (entry_id bigint, balance numeric) AS $$
+DECLARE
+    v_balance numeric;
+    v_entry_id bigint;
+BEGIN
+    UPDATE users
+       SET balance = users.balance + p_amount
+     WHERE id = p_user_id
+       AND users.balance + p_amount >= 0
+    RETURNING users.balance INTO v_balance;
+
+    IF NOT FOUND THEN
+        IF EXISTS (SELECT 1 FROM users WHERE id = p_user_id) THEN
+            RAISE EXCEPTION 'insufficient_balance';
+        END IF;
+        RAISE EXCEPTION 'user_not_found';
+    END IF;
+
+    BEGIN
+        INSERT INTO ledger_entries (user_id, entry_type, amount, balance_after, source_type, source_id, created_by, note)
+        VALUES (p_user_id, p_entry_type, p_amount, v_balance, p_source_type, p_source_id, p_created_by, p_note)
+        RETURNING id INTO v_entry_id;
+    EXCEPTION WHEN unique_violation THEN
+        RAISE EXCEPTION 'duplicate_ledger_entry';
+    END;
+
+    RETURN QUERY SELECT v_entry_id, v_balance;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Users whose stored balance differs from the sum of their ledger entries
+CREATE OR REPLACE FUNCTION reconcile_balances()
+RETURNS TABLE (user_id bigint, stored_balance numeric, ledger_balance numeric, difference numeric) AS $$
+    SELECT u.id,
+           u.balance,
+           COALESCE(l.total, 0),
+           u.balance - COALESCE(l.total, 0)
+      FROM users u
+      LEFT JOIN (SELECT le.user_id, SUM(le.amount) AS total FROM ledger_entries le GROUP BY le.user_id) l
+             ON l.user_id = u.id
+     WHERE u.balance <> COALESCE(l.total, 0);
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Opening balances: one adjustment per existing user so the ledger matches today's balances
+INSERT INTO ledger_entries (user_id, entry_type, amount, balance_after, source_type, source_id, created_by)
+SELECT id, 'adjustment', balance, balance, 'opening_balance', id::text, 'migration'
+  FROM users
+ WHERE balance <> 0
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,12 @@
+-- Server-side referral commissions (lib/referrals.js)
+-- Each commission is linked to the ledger entry of the ad reward that triggered it, per referral level.
+
+ALTER TABLE commission_history
+    ADD COLUMN IF NOT EXISTS level smallint NOT NULL DEFAULT 1,
+    ADD COLUMN IF NOT EXISTS source_entry_id bigint REFERENCES ledger_entries (id);
+
+CREATE UNIQUE INDEX IF NOT EXISTS commission_history_source_level_idx
+    ON commission_history (source_entry_id, level)
+    WHERE source_entry_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS users_ref_by_idx ON users (ref_by);
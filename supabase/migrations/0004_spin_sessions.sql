@@ -0,0 +1,17 @@
+-- Spin sessions: "spin" opens a pending session, "spinResult" resolves it exactly once before expires_at.
+
+CREATE TABLE IF NOT EXISTS spin_sessions (
+    id uuid PRIMARY KEY,
+    user_id bigint NOT NULL REFERENCES users (id),
+    status text NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'resolved', 'expired')),
+    prize numeric,
+    prize_index smallint,
+    expires_at timestamptz NOT NULL,
+    resolved_at timestamptz,
+    created_at timestamptz NOT NULL DEFAULT now()
+);
+
+-- At most one open session per user
+CREATE UNIQUE INDEX IF NOT EXISTS spin_sessions_one_pending_idx ON spin_sessions (user_id) WHERE status = 'pending';
+
+ALTER TABLE spin_results ADD COLUMN IF NOT EXISTS spin_session_id uuid REFERENCES spin_sessions (id);
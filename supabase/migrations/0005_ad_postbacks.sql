@@ -0,0 +1,18 @@
+-- Server-to-server ad reward postbacks (api/ad-callback.js)
+-- One row per network event; the client's "watchAd" request reads the outcome by action_id.
+
+CREATE TABLE IF NOT EXISTS ad_postbacks (
+    id bigserial PRIMARY KEY,
+    network text NOT NULL,
+    event_id text NOT NULL,
+    action_id text NOT NULL,
+    user_id bigint NOT NULL REFERENCES users (id),
+    status text NOT NULL CHECK (status IN ('credited', 'rejected')),
+    reward numeric,
+    reject_status smallint,
+    reject_reason text,
+    created_at timestamptz NOT NULL DEFAULT now(),
+    UNIQUE (network, event_id)
+);
+
+CREATE INDEX IF NOT EXISTS ad_postbacks_action_id_idx ON ad_postbacks (action_id);
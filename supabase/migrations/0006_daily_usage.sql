@@ -0,0 +1,54 @@
+-- Calendar-based daily limits (lib/limits.js)
+-- One row per user per calendar day in the configured reset timezone (economy config daily_reset.timezone).
+-- Replaces users.ads_watched_today / users.spins_today, which were reset 24h after last_activity and
+-- therefore never reset for active users.
+
+CREATE TABLE IF NOT EXISTS daily_usage (
+    user_id bigint NOT NULL REFERENCES users (id),
+    usage_date date NOT NULL,
+    ads_watched integer NOT NULL DEFAULT 0 CHECK (ads_watched >= 0),
+    spins integer NOT NULL DEFAULT 0 CHECK (spins >= 0),
+    updated_at timestamptz NOT NULL DEFAULT now(),
+    PRIMARY KEY (user_id, usage_date)
+);
+
+-- Counts one ad or spin for the day, only while the counter is below p_max.
+-- Returns the updated row, or no row when the daily limit is already reached.
+-- The upsert's row lock serialises concurrent increments for the same user and day.
+CREATE OR REPLACE FUNCTION increment_daily_usage(
+    p_user_id bigint,
+    p_usage_date date,
+    p_counter text,
+    p_max integer
+) RETURNS SETOF daily_usage AS $$
+BEGIN
+    IF p_counter NOT IN ('ads_watched', 'spins') THEN
+        RAISE EXCEPTION 'unknown_usage_counter';
+    END IF;
+
+    INSERT INTO daily_usage (user_id, usage_date)
+    VALUES (p_user_id, p_usage_date)
+    ON CONFLICT (user_id, usage_date) DO NOTHING;
+
+    IF p_counter = 'ads_watched' THEN
+        RETURN QUERY
+        UPDATE daily_usage
+           SET ads_watched = ads_watched + 1, updated_at = now()
+         WHERE user_id = p_user_id AND usage_date = p_usage_date AND ads_watched < p_max
+        RETURNING *;
+    ELSE
+        RETURN QUERY
+        UPDATE daily_usage
+           SET spins = spins + 1, updated_at = now()
+         WHERE user_id = p_user_id AND usage_date = p_usage_date AND spins < p_max
+        RETURNING *;
+    END IF;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Carry today's counters over so nobody gets a fresh allowance mid-day when this ships
+INSERT INTO daily_usage (user_id, usage_date, ads_watched, spins)
+SELECT id, (now() AT TIME ZONE 'UTC')::date, COALESCE(ads_watched_today, 0), COALESCE(spins_today, 0)
+  FROM users
+ WHERE COALESCE(ads_watched_today, 0) > 0 OR COALESCE(spins_today, 0) > 0
+ON CONFLICT DO NOTHING;
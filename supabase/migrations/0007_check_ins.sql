@@ -0,0 +1,16 @@
+-- Daily check-ins (lib/check-in.js)
+-- One row per user per calendar day (same day boundary as daily_usage); streak counts consecutive days.
+
+CREATE TABLE IF NOT EXISTS check_ins (
+    id bigserial PRIMARY KEY,
+    user_id bigint NOT NULL REFERENCES users (id),
+    check_in_date date NOT NULL,
+    streak integer NOT NULL CHECK (streak > 0),
+    reward numeric NOT NULL,
+    created_at timestamptz NOT NULL DEFAULT now(),
+    UNIQUE (user_id, check_in_date)
+);
+
+ALTER TABLE ledger_entries DROP CONSTRAINT IF EXISTS ledger_entries_entry_type_check;
+ALTER TABLE ledger_entries ADD CONSTRAINT ledger_entries_entry_type_check
+    CHECK (entry_type IN ('ad', 'spin', 'commission', 'withdrawal', 'refund', 'adjustment', 'check_in'));
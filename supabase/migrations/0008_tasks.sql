@@ -0,0 +1,34 @@
+-- Admin-defined tasks (lib/tasks.js)
+-- kind: join_channel (params.chat_id, params.url), open_link (params.url), invite_friends (params.count)
+-- repeat: "once" can be claimed a single time, "daily" once per calendar day (same day boundary as daily_usage).
+
+CREATE TABLE IF NOT EXISTS tasks (
+    id bigserial PRIMARY KEY,
+    title text NOT NULL,
+    kind text NOT NULL CHECK (kind IN ('join_channel', 'open_link', 'invite_friends')),
+    params jsonb NOT NULL DEFAULT '{}'::jsonb,
+    reward numeric NOT NULL CHECK (reward > 0),
+    repeat text NOT NULL DEFAULT 'once' CHECK (repeat IN ('once', 'daily')),
+    is_active boolean NOT NULL DEFAULT true,
+    sort_order integer NOT NULL DEFAULT 0,
+    created_by text,
+    created_at timestamptz NOT NULL DEFAULT now()
+);
+
+-- period is "once" for one-time tasks and the calendar day for daily tasks,
+-- so the unique key allows exactly one claim per period.
+CREATE TABLE IF NOT EXISTS task_completions (
+    id bigserial PRIMARY KEY,
+    task_id bigint NOT NULL REFERENCES tasks (id),
+    user_id bigint NOT NULL REFERENCES users (id),
+    period text NOT NULL,
+    reward numeric NOT NULL,
+    created_at timestamptz NOT NULL DEFAULT now(),
+    UNIQUE (task_id, user_id, period)
+);
+
+CREATE INDEX IF NOT EXISTS task_completions_user_idx ON task_completions (user_id);
+
+ALTER TABLE ledger_entries DROP CONSTRAINT IF EXISTS ledger_entries_entry_type_check;
+ALTER TABLE ledger_entries ADD CONSTRAINT ledger_entries_entry_type_check
+    CHECK (entry_type IN ('ad', 'spin', 'commission', 'withdrawal', 'refund', 'adjustment', 'check_in', 'task'));
@@ -0,0 +1,76 @@
+-- Cached leaderboards (lib/leaderboard.js)
+-- refresh_leaderboard() ranks every user for one metric and period into leaderboard_entries;
+-- reads only touch the cache, which is rebuilt when it is older than the TTL or the period rolled over.
+--
+-- Metrics:
+--   earned      SHIB earned from ads and spins (ledger_entries of type "ad" and "spin")
+--   referrals   users whose ref_by is the ranked user, by the referee's sign-up time
+--   commission  SHIB earned from referral commissions (commission_history)
+
+CREATE TABLE IF NOT EXISTS leaderboard_snapshots (
+    metric text NOT NULL CHECK (metric IN ('earned', 'referrals', 'commission')),
+    period text NOT NULL CHECK (period IN ('daily', 'weekly', 'all_time')),
+    period_start timestamptz,
+    refreshed_at timestamptz NOT NULL DEFAULT now(),
+    PRIMARY KEY (metric, period)
+);
+
+CREATE TABLE IF NOT EXISTS leaderboard_entries (
+    metric text NOT NULL,
+    period text NOT NULL,
+    user_id bigint NOT NULL REFERENCES users (id),
+    score numeric NOT NULL,
+    rank integer NOT NULL,
+    PRIMARY KEY (metric, period, user_id),
+    FOREIGN KEY (metric, period) REFERENCES leaderboard_snapshots (metric, period)
+);
+
+CREATE INDEX IF NOT EXISTS leaderboard_entries_rank_idx ON leaderboard_entries (metric, period, rank, user_id);
+CREATE INDEX IF NOT EXISTS ledger_entries_type_created_idx ON ledger_entries (entry_type, created_at);
+
+-- Rebuilds one leaderboard. p_period_start is NULL for all-time.
+-- Ties share a rank (RANK()); banned users are left out.
+CREATE OR REPLACE FUNCTION refresh_leaderboard(p_metric text, p_period text, p_period_start timestamptz)
+RETURNS TABLE (metric text, period text, period_start timestamptz, refreshed_at timestamptz) AS $$
+#variable_conflict use_column
+BEGIN
+    -- Upserting the snapshot row locks it, so concurrent refreshes of the same board run one after another
+    INSERT INTO leaderboard_snapshots AS s (metric, period, period_start, refreshed_at)
+    VALUES (p_metric, p_period, p_period_start, now())
+    ON CONFLICT (metric, period) DO UPDATE
+        SET period_start = EXCLUDED.period_start, refreshed_at = EXCLUDED.refreshed_at;
+
+    DELETE FROM leaderboard_entries le WHERE le.metric = p_metric AND le.period = p_period;
+
+    INSERT INTO leaderboard_entries (metric, period, user_id, score, rank)
+    SELECT p_metric, p_period, scores.user_id, scores.score, RANK() OVER (ORDER BY scores.score DESC)
+      FROM (
+            SELECT le.user_id, SUM(le.amount) AS score
+              FROM ledger_entries le
+             WHERE p_metric = 'earned'
+               AND le.entry_type IN ('ad', 'spin')
+               AND (p_period_start IS NULL OR le.created_at >= p_period_start)
+             GROUP BY le.user_id
+            UNION ALL
+            SELECT u.ref_by, COUNT(*)
+              FROM users u
+             WHERE p_metric = 'referrals'
+               AND u.ref_by IS NOT NULL
+               AND (p_period_start IS NULL OR u.created_at >= p_period_start)
+             GROUP BY u.ref_by
+            UNION ALL
+            SELECT ch.referrer_id, SUM(ch.amount)
+              FROM commission_history ch
+             WHERE p_metric = 'commission'
+               AND (p_period_start IS NULL OR ch.created_at >= p_period_start)
+             GROUP BY ch.referrer_id
+           ) scores
+      JOIN users ranked ON ranked.id = scores.user_id
+     WHERE NOT ranked.is_banned AND scores.score > 0;
+
+    RETURN QUERY
+    SELECT s.metric, s.period, s.period_start, s.refreshed_at
+      FROM leaderboard_snapshots s
+     WHERE s.metric = p_metric AND s.period = p_period;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
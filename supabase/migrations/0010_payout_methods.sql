@@ -0,0 +1,16 @@
+-- Payout methods (lib/payouts.js)
+-- A withdrawal records the method, the destination address and the fee taken from the amount;
+-- the user receives net_amount = amount - fee. binance_id is kept for requests made before methods existed.
+
+ALTER TABLE withdrawals
+    ADD COLUMN IF NOT EXISTS method text,
+    ADD COLUMN IF NOT EXISTS address text,
+    ADD COLUMN IF NOT EXISTS fee numeric NOT NULL DEFAULT 0 CHECK (fee >= 0),
+    ADD COLUMN IF NOT EXISTS net_amount numeric;
+
+UPDATE withdrawals
+   SET method = 'binance_pay', address = binance_id, net_amount = amount
+ WHERE method IS NULL;
+
+ALTER TABLE withdrawals ALTER COLUMN method SET NOT NULL;
+ALTER TABLE withdrawals ALTER COLUMN net_amount SET NOT NULL;
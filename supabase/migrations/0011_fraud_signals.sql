@@ -0,0 +1,60 @@
+-- Fraud detection (lib/fraud.js)
+-- user_signals keeps one row per distinct IP, user agent and client fingerprint seen for a user;
+-- accounts sharing an IP or fingerprint are linked. user_risk holds each user's latest risk score:
+-- "hold" puts new withdrawals in the "held" status for review, "flagged" also lists the account
+-- in adminListFraudClusters.
+
+CREATE TABLE IF NOT EXISTS user_signals (
+    user_id bigint NOT NULL,
+    kind text NOT NULL CHECK (kind IN ('ip', 'user_agent', 'fingerprint')),
+    value text NOT NULL,
+    hits integer NOT NULL DEFAULT 1,
+    first_seen_at timestamptz NOT NULL DEFAULT now(),
+    last_seen_at timestamptz NOT NULL DEFAULT now(),
+    PRIMARY KEY (user_id, kind, value)
+);
+
+CREATE INDEX IF NOT EXISTS user_signals_kind_value_idx ON user_signals (kind, value);
+
+CREATE TABLE IF NOT EXISTS user_risk (
+    user_id bigint PRIMARY KEY,
+    score integer NOT NULL CHECK (score BETWEEN 0 AND 100),
+    status text NOT NULL CHECK (status IN ('ok', 'hold', 'flagged')),
+    reasons jsonb NOT NULL DEFAULT '[]',
+    assessed_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS user_risk_status_score_idx ON user_risk (status, score DESC);
+CREATE INDEX IF NOT EXISTS ledger_entries_user_type_created_idx ON ledger_entries (user_id, entry_type, created_at DESC);
+
+-- Records a batch of signals (p_signals = [{ "kind": ..., "value": ... }]) seen on one request.
+-- Returns every signal with is_new = true the first time this user showed that value.
+CREATE OR REPLACE FUNCTION record_user_signals(p_user_id bigint, p_signals jsonb)
+RETURNS TABLE (kind text, value text, is_new boolean) AS $$
+#variable_conflict use_column
+BEGIN
+    RETURN QUERY
+    INSERT INTO user_signals AS s (user_id, kind, value)
+    SELECT DISTINCT p_user_id, sig->>'kind', sig->>'value'
+      FROM jsonb_array_elements(p_signals) sig
+    ON CONFLICT (user_id, kind, value) DO UPDATE
+        SET hits = s.hits + 1, last_seen_at = now()
+    RETURNING s.kind, s.value, (s.xmax::text = '0');
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Inserts or replaces a user's risk assessment.
+CREATE OR REPLACE FUNCTION save_user_risk(p_user_id bigint, p_score integer, p_status text, p_reasons jsonb)
+RETURNS SETOF user_risk AS $$
+    INSERT INTO user_risk (user_id, score, status, reasons, assessed_at)
+    VALUES (p_user_id, p_score, p_status, p_reasons, now())
+    ON CONFLICT (user_id) DO UPDATE
+        SET score = EXCLUDED.score, status = EXCLUDED.status,
+            reasons = EXCLUDED.reasons, assessed_at = EXCLUDED.assessed_at
+    RETURNING *;
+$$ LANGUAGE sql SECURITY DEFINER;
+
+-- Withdrawals of users at or above the hold threshold wait in "held" until an admin approves or rejects them
+ALTER TABLE withdrawals DROP CONSTRAINT IF EXISTS withdrawals_status_check;
+ALTER TABLE withdrawals
+    ADD CONSTRAINT withdrawals_status_check CHECK (status IN ('pending', 'held', 'approved', 'rejected', 'paid'));
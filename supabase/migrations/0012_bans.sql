@@ -0,0 +1,116 @@
+-- Ban records, appeals and the moderation audit log (lib/bans.js)
+-- A ban is active while lifted_at is NULL and expires_at (NULL = permanent) is in the future.
+-- Expired bans are lifted by the application the first time they are looked up (lifted_by = 'system').
+-- users.is_banned is superseded by this table and no longer read or written.
+
+CREATE TABLE IF NOT EXISTS bans (
+    id bigserial PRIMARY KEY,
+    user_id bigint NOT NULL REFERENCES users (id),
+    reason text NOT NULL CHECK (reason IN ('multi_accounting', 'automation', 'referral_abuse', 'ad_fraud', 'payment_fraud', 'abuse', 'other')),
+    note text,
+    expires_at timestamptz,
+    issued_by text NOT NULL,
+    created_at timestamptz NOT NULL DEFAULT now(),
+    lifted_at timestamptz,
+    lifted_by text,
+    lift_reason text
+);
+
+-- At most one open (not lifted) ban per user
+CREATE UNIQUE INDEX IF NOT EXISTS bans_one_open_idx ON bans (user_id) WHERE lifted_at IS NULL;
+
+-- One appeal per ban
+CREATE TABLE IF NOT EXISTS ban_appeals (
+    id bigserial PRIMARY KEY,
+    ban_id bigint NOT NULL UNIQUE REFERENCES bans (id),
+    user_id bigint NOT NULL REFERENCES users (id),
+    message text NOT NULL,
+    status text NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'rejected')),
+    created_at timestamptz NOT NULL DEFAULT now(),
+    resolved_by text,
+    resolved_at timestamptz,
+    resolution_note text
+);
+
+CREATE INDEX IF NOT EXISTS ban_appeals_status_created_at_idx ON ban_appeals (status, created_at);
+
+-- Append-only: every ban, unban, expiry, appeal and appeal decision
+CREATE TABLE IF NOT EXISTS moderation_log (
+    id bigserial PRIMARY KEY,
+    action text NOT NULL CHECK (action IN ('ban', 'unban', 'ban_expired', 'appeal', 'appeal_accepted', 'appeal_rejected')),
+    user_id bigint NOT NULL,
+    actor text NOT NULL,
+    ban_id bigint REFERENCES bans (id),
+    appeal_id bigint REFERENCES ban_appeals (id),
+    details jsonb NOT NULL DEFAULT '{}'::jsonb,
+    created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS moderation_log_user_created_at_idx ON moderation_log (user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS moderation_log_created_at_idx ON moderation_log (created_at DESC);
+
+-- Existing boolean bans become permanent ban records
+INSERT INTO bans (user_id, reason, note, issued_by)
+SELECT id, 'other', 'Migrated from users.is_banned', 'migration'
+  FROM users
+ WHERE is_banned
+ON CONFLICT DO NOTHING;
+
+INSERT INTO moderation_log (action, user_id, actor, ban_id, details)
+SELECT 'ban', b.user_id, 'migration', b.id, jsonb_build_object('reason', b.reason, 'note', b.note)
+  FROM bans b
+ WHERE b.issued_by = 'migration';
+
+ALTER TABLE users ALTER COLUMN is_banned SET DEFAULT false;
+
+-- Leaderboards leave out users with an active ban (previously users.is_banned)
+CREATE OR REPLACE FUNCTION refresh_leaderboard(p_metric text, p_period text, p_period_start timestamptz)
+RETURNS TABLE (metric text, period text, period_start timestamptz, refreshed_at timestamptz) AS $$
+#variable_conflict use_column
+BEGIN
+    -- Upserting the snapshot row locks it, so concurrent refreshes of the same board run one after another
+    INSERT INTO leaderboard_snapshots AS s (metric, period, period_start, refreshed_at)
+    VALUES (p_metric, p_period, p_period_start, now())
+    ON CONFLICT (metric, period) DO UPDATE
+        SET period_start = EXCLUDED.period_start, refreshed_at = EXCLUDED.refreshed_at;
+
+    DELETE FROM leaderboard_entries le WHERE le.metric = p_metric AND le.period = p_period;
+
+    INSERT INTO leaderboard_entries (metric, period, user_id, score, rank)
+    SELECT p_metric, p_period, scores.user_id, scores.score, RANK() OVER (ORDER BY scores.score DESC)
+      FROM (
+            SELECT le.user_id, SUM(le.amount) AS score
+              FROM ledger_entries le
+             WHERE p_metric = 'earned'
+               AND le.entry_type IN ('ad', 'spin')
+               AND (p_period_start IS NULL OR le.created_at >= p_period_start)
+             GROUP BY le.user_id
+            UNION ALL
+            SELECT u.ref_by, COUNT(*)
+              FROM users u
+             WHERE p_metric = 'referrals'
+               AND u.ref_by IS NOT NULL
+               AND (p_period_start IS NULL OR u.created_at >= p_period_start)
+             GROUP BY u.ref_by
+            UNION ALL
+            SELECT ch.referrer_id, SUM(ch.amount)
+              FROM commission_history ch
+             WHERE p_metric = 'commission'
+               AND (p_period_start IS NULL OR ch.created_at >= p_period_start)
+             GROUP BY ch.referrer_id
+           ) scores
+      JOIN users ranked ON ranked.id = scores.user_id
+     WHERE scores.score > 0
+       AND NOT EXISTS (
+            SELECT 1 FROM bans b
+             WHERE b.user_id = ranked.id
+               AND b.lifted_at IS NULL
+               AND (b.expires_at IS NULL OR b.expires_at > now())
+           );
+
+    RETURN QUERY
+    SELECT s.metric, s.period, s.period_start, s.refreshed_at
+      FROM leaderboard_snapshots s
+     WHERE s.metric = p_metric AND s.period = p_period;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
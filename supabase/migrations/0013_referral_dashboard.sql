@@ -0,0 +1,37 @@
+-- Referral dashboard ("getReferrals", lib/referrals.js)
+-- users.first_name is saved at registration so referrers can recognise their referees (shown masked).
+-- The functions below count and page a referrer's direct referees in the database instead of
+-- loading every referee row into the API.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS first_name text;
+
+CREATE INDEX IF NOT EXISTS users_ref_by_created_at_idx ON users (ref_by, created_at DESC);
+CREATE INDEX IF NOT EXISTS commission_history_referrer_referee_idx ON commission_history (referrer_id, referee_id);
+CREATE INDEX IF NOT EXISTS commission_history_referrer_created_at_idx ON commission_history (referrer_id, created_at);
+
+CREATE OR REPLACE FUNCTION count_referrals(p_referrer_id bigint)
+RETURNS TABLE (referrals_count bigint) AS $$
+    SELECT COUNT(*) FROM users WHERE ref_by = p_referrer_id;
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- One page of direct referees, newest first, with the commission each one has earned the referrer
+CREATE OR REPLACE FUNCTION list_referrals(p_referrer_id bigint, p_limit integer, p_offset integer)
+RETURNS TABLE (id bigint, first_name text, created_at timestamptz, last_activity timestamptz, commission numeric) AS $$
+    SELECT u.id, u.first_name, u.created_at, u.last_activity,
+           COALESCE((SELECT SUM(ch.amount)
+                       FROM commission_history ch
+                      WHERE ch.referrer_id = p_referrer_id AND ch.referee_id = u.id), 0)
+      FROM users u
+     WHERE u.ref_by = p_referrer_id
+     ORDER BY u.created_at DESC, u.id DESC
+     LIMIT p_limit OFFSET p_offset;
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- All commission the referrer has earned (every level), and the part earned since p_since
+CREATE OR REPLACE FUNCTION get_referral_commission_totals(p_referrer_id bigint, p_since timestamptz)
+RETURNS TABLE (lifetime numeric, since numeric) AS $$
+    SELECT COALESCE(SUM(amount), 0),
+           COALESCE(SUM(amount) FILTER (WHERE created_at >= p_since), 0)
+      FROM commission_history
+     WHERE referrer_id = p_referrer_id;
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
@@ -0,0 +1,15 @@
+-- Earnings history ("getHistory" / "exportHistory", lib/history.js)
+-- History pages walk a user's ledger entries newest first by ID (the cursor is the last ID of a page).
+-- history_exports records every CSV sent to a user's chat; it enforces the export cooldown.
+
+CREATE INDEX IF NOT EXISTS ledger_entries_user_id_idx ON ledger_entries (user_id, id DESC);
+
+CREATE TABLE IF NOT EXISTS history_exports (
+    id bigserial PRIMARY KEY,
+    user_id bigint NOT NULL REFERENCES users (id),
+    row_count integer NOT NULL,
+    filters jsonb,
+    created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS history_exports_user_created_idx ON history_exports (user_id, created_at DESC);
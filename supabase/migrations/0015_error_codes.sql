@@ -0,0 +1,5 @@
+-- Stable API error codes (lib/errors.js)
+-- A rejected ad postback keeps the error code of its rejection, so the client's "watchAd" poll
+-- reports the same code (e.g. DAILY_LIMIT, BANNED) as a direct request would.
+
+ALTER TABLE ad_postbacks ADD COLUMN IF NOT EXISTS reject_code text;
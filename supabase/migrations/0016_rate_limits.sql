@@ -0,0 +1,45 @@
+-- Token-bucket rate limits (lib/rate-limit.js)
+-- One row per bucket key, e.g. "user:42:spin" or "ip:203.0.113.7:generateActionId". Replaces the
+-- check against users.last_activity, which every screen refresh updated.
+
+CREATE TABLE IF NOT EXISTS rate_limit_buckets (
+    key text PRIMARY KEY,
+    tokens double precision NOT NULL,
+    updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS rate_limit_buckets_updated_idx ON rate_limit_buckets (updated_at);
+
+-- Refills the bucket (one token per p_refill_ms, up to p_capacity) and takes one token when available.
+-- Returns allowed, and when not allowed the milliseconds until the next token.
+-- The row lock serialises concurrent requests for the same key.
+CREATE OR REPLACE FUNCTION take_rate_limit_token(p_key text, p_capacity integer, p_refill_ms integer)
+RETURNS TABLE (allowed boolean, retry_after_ms integer) AS $$
+DECLARE
+    v_now timestamptz := clock_timestamp();
+    v_bucket rate_limit_buckets%ROWTYPE;
+    v_tokens double precision;
+BEGIN
+    INSERT INTO rate_limit_buckets (key, tokens, updated_at)
+    VALUES (p_key, p_capacity, v_now)
+    ON CONFLICT (key) DO NOTHING;
+
+    SELECT * INTO v_bucket FROM rate_limit_buckets WHERE key = p_key FOR UPDATE;
+
+    v_tokens := LEAST(p_capacity,
+        v_bucket.tokens + EXTRACT(EPOCH FROM (v_now - v_bucket.updated_at)) * 1000 / p_refill_ms);
+
+    IF v_tokens >= 1 THEN
+        UPDATE rate_limit_buckets SET tokens = v_tokens - 1, updated_at = v_now WHERE key = p_key;
+        RETURN QUERY SELECT true, 0;
+    ELSE
+        UPDATE rate_limit_buckets SET tokens = v_tokens, updated_at = v_now WHERE key = p_key;
+        RETURN QUERY SELECT false, CEIL((1 - v_tokens) * p_refill_ms)::integer;
+    END IF;
+
+    -- Buckets idle for a day are full again and carry no state: prune them now and then
+    IF random() < 0.001 THEN
+        DELETE FROM rate_limit_buckets WHERE updated_at < v_now - interval '1 day';
+    END IF;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
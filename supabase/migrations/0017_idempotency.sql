@@ -0,0 +1,87 @@
+-- Idempotent money-moving requests (lib/idempotency.js)
+-- The client sends an idempotency_key with withdraw and the other money-moving requests; the first
+-- response for a key is stored, and a retry with the same key gets that response back instead of
+-- running the request again. scope is "user:<id>" or "admin:<name>".
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    scope text NOT NULL,
+    key text NOT NULL,
+    request_type text NOT NULL,
+    request_hash text NOT NULL,
+    status_code integer,
+    response text,
+    created_at timestamptz NOT NULL DEFAULT now(),
+    completed_at timestamptz,
+    PRIMARY KEY (scope, key)
+);
+
+CREATE INDEX IF NOT EXISTS idempotency_keys_created_idx ON idempotency_keys (created_at);
+
+-- Claims a key for a new request. Returns the row with reserved = true when this call inserted it,
+-- or the existing row (completed or still processing) with reserved = false.
+CREATE OR REPLACE FUNCTION reserve_idempotency_key(p_scope text, p_key text, p_request_type text, p_request_hash text)
+RETURNS TABLE (
+    reserved boolean, scope text, key text, request_type text, request_hash text,
+    status_code integer, response text, created_at timestamptz, completed_at timestamptz
+) AS $$
+    WITH inserted AS (
+        INSERT INTO idempotency_keys (scope, key, request_type, request_hash)
+        VALUES (p_scope, p_key, p_request_type, p_request_hash)
+        ON CONFLICT DO NOTHING
+        RETURNING *
+    )
+    SELECT true, i.scope, i.key, i.request_type, i.request_hash, i.status_code, i.response, i.created_at, i.completed_at
+      FROM inserted i
+    UNION ALL
+    SELECT false, k.scope, k.key, k.request_type, k.request_hash, k.status_code, k.response, k.created_at, k.completed_at
+      FROM idempotency_keys k
+     WHERE k.scope = p_scope AND k.key = p_key AND NOT EXISTS (SELECT 1 FROM inserted);
+$$ LANGUAGE sql SECURITY DEFINER;
+
+-- Withdrawals remember the request that created them, so a replay can never create a second one
+ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS request_key text;
+CREATE UNIQUE INDEX IF NOT EXISTS withdrawals_request_key_idx ON withdrawals (user_id, request_key)
+    WHERE request_key IS NOT NULL;
+
+-- Debits the balance and inserts the withdrawal in one transaction: both are written or neither is.
+-- A request key that already created a withdrawal returns that withdrawal with created = false.
+CREATE OR REPLACE FUNCTION create_withdrawal(
+    p_user_id bigint,
+    p_amount numeric,
+    p_method text,
+    p_address text,
+    p_fee numeric,
+    p_net_amount numeric,
+    p_status text,
+    p_request_key text,
+    p_source_id text
+) RETURNS TABLE (withdrawal_id bigint, status text, fee numeric, net_amount numeric, balance numeric, created boolean) AS $$
+#variable_conflict use_column
+DECLARE
+    v_existing withdrawals%ROWTYPE;
+    v_entry_id bigint;
+    v_balance numeric;
+    v_withdrawal_id bigint;
+BEGIN
+    SELECT * INTO v_existing FROM withdrawals w WHERE w.user_id = p_user_id AND w.request_key = p_request_key;
+    IF FOUND THEN
+        RETURN QUERY SELECT v_existing.id, v_existing.status, v_existing.fee, v_existing.net_amount,
+            (SELECT u.balance FROM users u WHERE u.id = p_user_id), false;
+        RETURN;
+    END IF;
+
+    SELECT l.entry_id, l.balance INTO v_entry_id, v_balance
+      FROM apply_ledger_entry(p_user_id, 'withdrawal', -p_amount, 'action', p_source_id) l;
+
+    BEGIN
+        INSERT INTO withdrawals (user_id, amount, method, address, fee, net_amount, status, ledger_entry_id, request_key)
+        VALUES (p_user_id, p_amount, p_method, p_address, p_fee, p_net_amount, p_status, v_entry_id, p_request_key)
+        RETURNING id INTO v_withdrawal_id;
+    EXCEPTION WHEN unique_violation THEN
+        -- A concurrent request with the same key won; this transaction (and its debit) is rolled back
+        RAISE EXCEPTION 'duplicate_withdrawal_request';
+    END;
+
+    RETURN QUERY SELECT v_withdrawal_id, p_status, p_fee, p_net_amount, v_balance, true;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
@@ -0,0 +1,37 @@
+-- Metrics endpoint (api/metrics.js, lib/metrics.js)
+-- Business counters are computed from the ledger and the withdrawals table when scraped, so every
+-- serverless instance reports the same totals. Error responses have no table of their own and are
+-- counted here, per endpoint, request type and error code.
+
+CREATE TABLE IF NOT EXISTS error_counters (
+    endpoint text NOT NULL,
+    request_type text NOT NULL DEFAULT '',
+    code text NOT NULL,
+    count bigint NOT NULL DEFAULT 0,
+    updated_at timestamptz NOT NULL DEFAULT now(),
+    PRIMARY KEY (endpoint, request_type, code)
+);
+
+CREATE OR REPLACE FUNCTION increment_error_counter(p_endpoint text, p_request_type text, p_code text)
+RETURNS void AS $$
+    INSERT INTO error_counters (endpoint, request_type, code, count)
+    VALUES (p_endpoint, COALESCE(p_request_type, ''), p_code, 1)
+    ON CONFLICT (endpoint, request_type, code)
+    DO UPDATE SET count = error_counters.count + 1, updated_at = now();
+$$ LANGUAGE sql SECURITY DEFINER;
+
+-- Totals per ledger entry type and per payout method:
+--   ledger_entries         entry_type  number of entries
+--   ledger_credited        entry_type  sum of the credits (positive amounts)
+--   withdrawals_requested  method      number of withdrawal requests
+--   withdrawals_amount     method      sum of the requested amounts
+CREATE OR REPLACE FUNCTION get_metric_totals()
+RETURNS TABLE (metric text, label text, value numeric) AS $$
+    SELECT 'ledger_entries', entry_type, count(*)::numeric FROM ledger_entries GROUP BY entry_type
+    UNION ALL
+    SELECT 'ledger_credited', entry_type, sum(amount) FROM ledger_entries WHERE amount > 0 GROUP BY entry_type
+    UNION ALL
+    SELECT 'withdrawals_requested', method, count(*)::numeric FROM withdrawals GROUP BY method
+    UNION ALL
+    SELECT 'withdrawals_amount', method, sum(amount) FROM withdrawals GROUP BY method;
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
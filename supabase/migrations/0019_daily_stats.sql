@@ -0,0 +1,116 @@
+-- Admin analytics (lib/stats.js, "getStats")
+-- daily_stats holds one pre-aggregated row per calendar day in the reset timezone (economy config
+-- daily_reset.timezone). refresh_daily_stats() rebuilds one day from range scans over that day
+-- only; a day is rebuilt once after it ends and is final from then on (ledger entries are never
+-- back-dated), while today's row is rebuilt when it is older than the cache TTL.
+--
+-- user_activity records which users made an authenticated request on which day (the source of
+-- daily active users); the API writes each user at most once per day and instance.
+
+CREATE TABLE IF NOT EXISTS user_activity (
+    activity_date date NOT NULL,
+    user_id bigint NOT NULL,
+    PRIMARY KEY (activity_date, user_id)
+);
+
+CREATE TABLE IF NOT EXISTS daily_stats (
+    day date PRIMARY KEY,
+    active_users integer NOT NULL DEFAULT 0,
+    new_users integer NOT NULL DEFAULT 0,
+    new_users_referred integer NOT NULL DEFAULT 0,
+    new_users_organic integer NOT NULL DEFAULT 0,
+    ads_watched integer NOT NULL DEFAULT 0,
+    spins integer NOT NULL DEFAULT 0,
+    issued_ads numeric NOT NULL DEFAULT 0,
+    issued_spins numeric NOT NULL DEFAULT 0,
+    issued_commissions numeric NOT NULL DEFAULT 0,
+    issued_bonuses numeric NOT NULL DEFAULT 0,
+    withdrawals_requested integer NOT NULL DEFAULT 0,
+    withdrawals_requested_amount numeric NOT NULL DEFAULT 0,
+    withdrawals_paid integer NOT NULL DEFAULT 0,
+    withdrawals_paid_amount numeric NOT NULL DEFAULT 0,
+    liability numeric NOT NULL DEFAULT 0,
+    refreshed_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS users_created_at_idx ON users (created_at);
+CREATE INDEX IF NOT EXISTS withdrawals_created_at_idx ON withdrawals (created_at);
+CREATE INDEX IF NOT EXISTS withdrawals_paid_at_idx ON withdrawals (paid_at) WHERE paid_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS ledger_entries_created_idx ON ledger_entries (created_at);
+
+CREATE OR REPLACE FUNCTION record_user_activity(p_user_id bigint, p_activity_date date)
+RETURNS void AS $$
+    INSERT INTO user_activity (activity_date, user_id) VALUES (p_activity_date, p_user_id)
+    ON CONFLICT DO NOTHING;
+$$ LANGUAGE sql SECURITY DEFINER;
+
+-- Rebuilds the row of p_day, which runs from p_start to p_end (its midnights in the reset timezone).
+-- Bonuses are check-in and task rewards plus positive admin adjustments. The liability is the sum of
+-- all balances at p_end: today's balances minus every ledger entry made since (balances only move
+-- through the ledger, see reconcile_balances).
+CREATE OR REPLACE FUNCTION refresh_daily_stats(p_day date, p_start timestamptz, p_end timestamptz)
+RETURNS SETOF daily_stats AS $$
+BEGIN
+    RETURN QUERY
+    INSERT INTO daily_stats AS ds (
+        day, active_users, new_users, new_users_referred, new_users_organic, ads_watched, spins,
+        issued_ads, issued_spins, issued_commissions, issued_bonuses,
+        withdrawals_requested, withdrawals_requested_amount, withdrawals_paid, withdrawals_paid_amount,
+        liability, refreshed_at
+    )
+    SELECT
+        p_day,
+        (SELECT count(*) FROM user_activity a WHERE a.activity_date = p_day),
+        registrations.total, registrations.referred, registrations.total - registrations.referred,
+        ledger.ads, ledger.spins,
+        ledger.issued_ads, ledger.issued_spins, ledger.issued_commissions, ledger.issued_bonuses,
+        requested.count, requested.amount, paid.count, paid.amount,
+        (SELECT COALESCE(sum(u.balance), 0) FROM users u)
+            - (SELECT COALESCE(sum(le.amount), 0) FROM ledger_entries le WHERE le.created_at >= p_end),
+        now()
+      FROM (
+            SELECT count(*)::integer AS total, count(u.ref_by)::integer AS referred
+              FROM users u
+             WHERE u.created_at >= p_start AND u.created_at < p_end
+           ) registrations,
+           (
+            SELECT count(*) FILTER (WHERE le.entry_type = 'ad')::integer AS ads,
+                   count(*) FILTER (WHERE le.entry_type = 'spin')::integer AS spins,
+                   COALESCE(sum(le.amount) FILTER (WHERE le.entry_type = 'ad'), 0) AS issued_ads,
+                   COALESCE(sum(le.amount) FILTER (WHERE le.entry_type = 'spin'), 0) AS issued_spins,
+                   COALESCE(sum(le.amount) FILTER (WHERE le.entry_type = 'commission'), 0) AS issued_commissions,
+                   COALESCE(sum(le.amount) FILTER (WHERE le.entry_type IN ('check_in', 'task', 'adjustment') AND le.amount > 0), 0)
+                       AS issued_bonuses
+              FROM ledger_entries le
+             WHERE le.created_at >= p_start AND le.created_at < p_end
+           ) ledger,
+           (
+            SELECT count(*)::integer AS count, COALESCE(sum(w.amount), 0) AS amount
+              FROM withdrawals w
+             WHERE w.created_at >= p_start AND w.created_at < p_end
+           ) requested,
+           (
+            SELECT count(*)::integer AS count, COALESCE(sum(w.amount), 0) AS amount
+              FROM withdrawals w
+             WHERE w.status = 'paid' AND w.paid_at >= p_start AND w.paid_at < p_end
+           ) paid
+    ON CONFLICT (day) DO UPDATE SET
+        active_users = EXCLUDED.active_users,
+        new_users = EXCLUDED.new_users,
+        new_users_referred = EXCLUDED.new_users_referred,
+        new_users_organic = EXCLUDED.new_users_organic,
+        ads_watched = EXCLUDED.ads_watched,
+        spins = EXCLUDED.spins,
+        issued_ads = EXCLUDED.issued_ads,
+        issued_spins = EXCLUDED.issued_spins,
+        issued_commissions = EXCLUDED.issued_commissions,
+        issued_bonuses = EXCLUDED.issued_bonuses,
+        withdrawals_requested = EXCLUDED.withdrawals_requested,
+        withdrawals_requested_amount = EXCLUDED.withdrawals_requested_amount,
+        withdrawals_paid = EXCLUDED.withdrawals_paid,
+        withdrawals_paid_amount = EXCLUDED.withdrawals_paid_amount,
+        liability = EXCLUDED.liability,
+        refreshed_at = EXCLUDED.refreshed_at
+    RETURNING ds.*;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
@@ -0,0 +1,114 @@
+-- Withdrawal policy (lib/withdrawal-policy.js, withdrawals.policy in the economy config)
+-- Account age, ads watched and verified referrals only ever grow, so they are checked before
+-- create_withdrawal is called. The rules that parallel requests could race past together (open
+-- requests, cooldown, daily and weekly caps) are checked again inside create_withdrawal, under the
+-- user's row lock. Rejected (refunded) requests count for none of them.
+
+CREATE INDEX IF NOT EXISTS withdrawals_user_created_at_idx ON withdrawals (user_id, created_at DESC);
+
+-- Everything the withdraw screen needs to show which requirements are met
+CREATE OR REPLACE FUNCTION get_withdrawal_activity(
+    p_user_id bigint,
+    p_day_start timestamptz,
+    p_week_start timestamptz,
+    p_referral_min_ads integer
+) RETURNS TABLE (
+    open_requests bigint, last_requested_at timestamptz, day_amount numeric, week_amount numeric,
+    ads_watched bigint, verified_referrals bigint
+) AS $$
+    SELECT
+        (SELECT COUNT(*) FROM withdrawals w
+          WHERE w.user_id = p_user_id AND w.status IN ('pending', 'held', 'approved')),
+        (SELECT MAX(w.created_at) FROM withdrawals w
+          WHERE w.user_id = p_user_id AND w.status <> 'rejected'),
+        (SELECT COALESCE(SUM(w.amount), 0) FROM withdrawals w
+          WHERE w.user_id = p_user_id AND w.status <> 'rejected' AND w.created_at >= p_day_start),
+        (SELECT COALESCE(SUM(w.amount), 0) FROM withdrawals w
+          WHERE w.user_id = p_user_id AND w.status <> 'rejected' AND w.created_at >= p_week_start),
+        (SELECT COUNT(*) FROM ledger_entries e
+          WHERE e.user_id = p_user_id AND e.entry_type = 'ad'),
+        -- Direct referees with at least p_referral_min_ads credited ad views
+        (SELECT COUNT(*) FROM users r
+          WHERE r.ref_by = p_user_id
+            AND (SELECT COUNT(*) FROM ledger_entries e
+                  WHERE e.user_id = r.id AND e.entry_type = 'ad') >= p_referral_min_ads);
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- create_withdrawal gains the policy limits (NULL: rule off)
+DROP FUNCTION IF EXISTS create_withdrawal(bigint, numeric, text, text, numeric, numeric, text, text, text);
+
+CREATE OR REPLACE FUNCTION create_withdrawal(
+    p_user_id bigint,
+    p_amount numeric,
+    p_method text,
+    p_address text,
+    p_fee numeric,
+    p_net_amount numeric,
+    p_status text,
+    p_request_key text,
+    p_source_id text,
+    p_max_open_requests integer DEFAULT NULL,
+    p_cooldown_seconds integer DEFAULT NULL,
+    p_day_start timestamptz DEFAULT NULL,
+    p_day_max_amount numeric DEFAULT NULL,
+    p_week_start timestamptz DEFAULT NULL,
+    p_week_max_amount numeric DEFAULT NULL
+) RETURNS TABLE (withdrawal_id bigint, status text, fee numeric, net_amount numeric, balance numeric, created boolean) AS $$
+#variable_conflict use_column
+DECLARE
+    v_existing withdrawals%ROWTYPE;
+    v_entry_id bigint;
+    v_balance numeric;
+    v_withdrawal_id bigint;
+BEGIN
+    -- Serialise the user's withdrawals: the checks below see every earlier request
+    PERFORM 1 FROM users u WHERE u.id = p_user_id FOR UPDATE;
+
+    SELECT * INTO v_existing FROM withdrawals w WHERE w.user_id = p_user_id AND w.request_key = p_request_key;
+    IF FOUND THEN
+        RETURN QUERY SELECT v_existing.id, v_existing.status, v_existing.fee, v_existing.net_amount,
+            (SELECT u.balance FROM users u WHERE u.id = p_user_id), false;
+        RETURN;
+    END IF;
+
+    IF p_max_open_requests IS NOT NULL AND (
+        SELECT COUNT(*) FROM withdrawals w
+         WHERE w.user_id = p_user_id AND w.status IN ('pending', 'held', 'approved')
+    ) >= p_max_open_requests THEN
+        RAISE EXCEPTION 'withdrawal_pending';
+    END IF;
+
+    IF p_cooldown_seconds IS NOT NULL AND EXISTS (
+        SELECT 1 FROM withdrawals w
+         WHERE w.user_id = p_user_id AND w.status <> 'rejected'
+           AND w.created_at > now() - make_interval(secs => p_cooldown_seconds)
+    ) THEN
+        RAISE EXCEPTION 'withdrawal_cooldown';
+    END IF;
+
+    IF (p_day_max_amount IS NOT NULL AND (
+            SELECT COALESCE(SUM(w.amount), 0) FROM withdrawals w
+             WHERE w.user_id = p_user_id AND w.status <> 'rejected' AND w.created_at >= p_day_start
+        ) + p_amount > p_day_max_amount)
+       OR (p_week_max_amount IS NOT NULL AND (
+            SELECT COALESCE(SUM(w.amount), 0) FROM withdrawals w
+             WHERE w.user_id = p_user_id AND w.status <> 'rejected' AND w.created_at >= p_week_start
+        ) + p_amount > p_week_max_amount) THEN
+        RAISE EXCEPTION 'withdrawal_limit';
+    END IF;
+
+    SELECT l.entry_id, l.balance INTO v_entry_id, v_balance
+      FROM apply_ledger_entry(p_user_id, 'withdrawal', -p_amount, 'action', p_source_id) l;
+
+    BEGIN
+        INSERT INTO withdrawals (user_id, amount, method, address, fee, net_amount, status, ledger_entry_id, request_key)
+        VALUES (p_user_id, p_amount, p_method, p_address, p_fee, p_net_amount, p_status, v_entry_id, p_request_key)
+        RETURNING id INTO v_withdrawal_id;
+    EXCEPTION WHEN unique_violation THEN
+        -- A concurrent request with the same key won; this transaction (and its debit) is rolled back
+        RAISE EXCEPTION 'duplicate_withdrawal_request';
+    END;
+
+    RETURN QUERY SELECT v_withdrawal_id, p_status, p_fee, p_net_amount, v_balance, true;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
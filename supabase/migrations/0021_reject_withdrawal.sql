@@ -0,0 +1,40 @@
+-- Rejecting a withdrawal and refunding it in one transaction (adminRejectWithdrawal)
+-- Before this, the status change and the refund were two separate writes: a refund that failed after
+-- the status change left the withdrawal rejected but unrefunded, and a retry got 409.
+
+-- pending/held/approved -> rejected, plus the refund of the withdrawn amount. Returns no row when the
+-- withdrawal does not exist or is in another status. A withdrawal already rejected without its refund
+-- (left behind by the old two-step rejection) is refunded now, without changing its decision fields.
+CREATE OR REPLACE FUNCTION reject_withdrawal(p_withdrawal_id bigint, p_admin text, p_reason text)
+RETURNS TABLE (withdrawal jsonb, refunded_amount numeric, balance numeric) AS $$
+DECLARE
+    v_withdrawal withdrawals%ROWTYPE;
+    v_balance numeric;
+BEGIN
+    SELECT * INTO v_withdrawal FROM withdrawals w WHERE w.id = p_withdrawal_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RETURN;
+    END IF;
+
+    IF v_withdrawal.status = 'rejected' THEN
+        IF EXISTS (SELECT 1 FROM ledger_entries e
+                    WHERE e.entry_type = 'refund' AND e.source_type = 'withdrawals'
+                      AND e.source_id = p_withdrawal_id::text) THEN
+            RETURN;
+        END IF;
+    ELSIF v_withdrawal.status IN ('pending', 'held', 'approved') THEN
+        UPDATE withdrawals w
+           SET status = 'rejected', decided_by = p_admin, decided_at = now(), decision_note = p_reason
+         WHERE w.id = p_withdrawal_id
+        RETURNING * INTO v_withdrawal;
+    ELSE
+        RETURN;
+    END IF;
+
+    SELECT l.balance INTO v_balance
+      FROM apply_ledger_entry(v_withdrawal.user_id, 'refund', v_withdrawal.amount, 'withdrawals',
+                              p_withdrawal_id::text, p_admin) l;
+
+    RETURN QUERY SELECT to_jsonb(v_withdrawal), v_withdrawal.amount, v_balance;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
@@ -0,0 +1,87 @@
+-- Daily liability carried forward (lib/stats.js, "getStats")
+-- refresh_daily_stats summed every balance and every ledger entry made since the day, once per day
+-- rebuilt. The liability at the end of a day is now the previous day's liability plus that day's net
+-- ledger movement (balances only move through the ledger, see reconcile_balances), a range scan over
+-- the one day. The full computation is left for a day whose previous row is missing or was built
+-- before that day ended; getStats rebuilds days oldest first, so it runs at most once per range.
+
+CREATE OR REPLACE FUNCTION refresh_daily_stats(p_day date, p_start timestamptz, p_end timestamptz)
+RETURNS SETOF daily_stats AS $$
+DECLARE
+    v_liability numeric;
+BEGIN
+    -- The previous day's liability, if its row was built after that day ended (final)
+    SELECT ds.liability INTO v_liability
+      FROM daily_stats ds
+     WHERE ds.day = p_day - 1 AND ds.refreshed_at >= p_start;
+
+    IF FOUND THEN
+        v_liability := v_liability + (SELECT COALESCE(sum(le.amount), 0) FROM ledger_entries le
+                                       WHERE le.created_at >= p_start AND le.created_at < p_end);
+    ELSE
+        v_liability := (SELECT COALESCE(sum(u.balance), 0) FROM users u)
+            - (SELECT COALESCE(sum(le.amount), 0) FROM ledger_entries le WHERE le.created_at >= p_end);
+    END IF;
+
+    RETURN QUERY
+    INSERT INTO daily_stats AS ds (
+        day, active_users, new_users, new_users_referred, new_users_organic, ads_watched, spins,
+        issued_ads, issued_spins, issued_commissions, issued_bonuses,
+        withdrawals_requested, withdrawals_requested_amount, withdrawals_paid, withdrawals_paid_amount,
+        liability, refreshed_at
+    )
+    SELECT
+        p_day,
+        (SELECT count(*) FROM user_activity a WHERE a.activity_date = p_day),
+        registrations.total, registrations.referred, registrations.total - registrations.referred,
+        ledger.ads, ledger.spins,
+        ledger.issued_ads, ledger.issued_spins, ledger.issued_commissions, ledger.issued_bonuses,
+        requested.count, requested.amount, paid.count, paid.amount,
+        v_liability,
+        now()
+      FROM (
+            SELECT count(*)::integer AS total, count(u.ref_by)::integer AS referred
+              FROM users u
+             WHERE u.created_at >= p_start AND u.created_at < p_end
+           ) registrations,
+           (
+            SELECT count(*) FILTER (WHERE le.entry_type = 'ad')::integer AS ads,
+                   count(*) FILTER (WHERE le.entry_type = 'spin')::integer AS spins,
+                   COALESCE(sum(le.amount) FILTER (WHERE le.entry_type = 'ad'), 0) AS issued_ads,
+                   COALESCE(sum(le.amount) FILTER (WHERE le.entry_type = 'spin'), 0) AS issued_spins,
+                   COALESCE(sum(le.amount) FILTER (WHERE le.entry_type = 'commission'), 0) AS issued_commissions,
+                   COALESCE(sum(le.amount) FILTER (WHERE le.entry_type IN ('check_in', 'task', 'adjustment') AND le.amount > 0), 0)
+                       AS issued_bonuses
+              FROM ledger_entries le
+             WHERE le.created_at >= p_start AND le.created_at < p_end
+           ) ledger,
+           (
+            SELECT count(*)::integer AS count, COALESCE(sum(w.amount), 0) AS amount
+              FROM withdrawals w
+             WHERE w.created_at >= p_start AND w.created_at < p_end
+           ) requested,
+           (
+            SELECT count(*)::integer AS count, COALESCE(sum(w.amount), 0) AS amount
+              FROM withdrawals w
+             WHERE w.status = 'paid' AND w.paid_at >= p_start AND w.paid_at < p_end
+           ) paid
+    ON CONFLICT (day) DO UPDATE SET
+        active_users = EXCLUDED.active_users,
+        new_users = EXCLUDED.new_users,
+        new_users_referred = EXCLUDED.new_users_referred,
+        new_users_organic = EXCLUDED.new_users_organic,
+        ads_watched = EXCLUDED.ads_watched,
+        spins = EXCLUDED.spins,
+        issued_ads = EXCLUDED.issued_ads,
+        issued_spins = EXCLUDED.issued_spins,
+        issued_commissions = EXCLUDED.issued_commissions,
+        issued_bonuses = EXCLUDED.issued_bonuses,
+        withdrawals_requested = EXCLUDED.withdrawals_requested,
+        withdrawals_requested_amount = EXCLUDED.withdrawals_requested_amount,
+        withdrawals_paid = EXCLUDED.withdrawals_paid,
+        withdrawals_paid_amount = EXCLUDED.withdrawals_paid_amount,
+        liability = EXCLUDED.liability,
+        refreshed_at = EXCLUDED.refreshed_at
+    RETURNING ds.*;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
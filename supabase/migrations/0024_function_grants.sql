@@ -0,0 +1,53 @@
+-- Function privileges
+-- Postgres grants EXECUTE on every new function to PUBLIC, and Supabase exposes the public schema
+-- through PostgREST, so anyone holding the anon key could call the SECURITY DEFINER functions below
+-- as /rest/v1/rpc/<name> and move balances, bypassing the API. They are now callable only by
+-- service_role, the key the server uses (SUPABASE_SERVICE_ROLE_KEY, see /lib/supabase.js).
+--
+-- A SECURITY DEFINER function added later needs the same REVOKE and GRANT in its own migration; the
+-- default privileges below keep functions created by this role closed until then.
+
+REVOKE EXECUTE ON FUNCTION apply_ledger_entry(bigint, text, numeric, text, text, text, text) FROM public, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION reconcile_balances() FROM public, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION increment_daily_usage(bigint, date, text, integer) FROM public, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION refresh_leaderboard(text, text, timestamptz) FROM public, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION record_user_signals(bigint, jsonb) FROM public, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION save_user_risk(bigint, integer, text, jsonb) FROM public, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION count_referrals(bigint) FROM public, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION list_referrals(bigint, integer, integer) FROM public, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION get_referral_commission_totals(bigint, timestamptz) FROM public, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION take_rate_limit_token(text, integer, integer) FROM public, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION reserve_idempotency_key(text, text, text, text) FROM public, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION increment_error_counter(text, text, text) FROM public, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION get_metric_totals() FROM public, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION record_user_activity(bigint, date) FROM public, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION refresh_daily_stats(date, timestamptz, timestamptz) FROM public, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION get_withdrawal_activity(bigint, timestamptz, timestamptz, integer) FROM public, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION create_withdrawal(bigint, numeric, text, text, numeric, numeric, text, text, text,
+    integer, integer, timestamptz, numeric, timestamptz, numeric) FROM public, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION reject_withdrawal(bigint, text, text) FROM public, anon, authenticated;
+-- Not SECURITY DEFINER, but only meant for the metric triggers
+REVOKE EXECUTE ON FUNCTION bump_metric_counter(text, text, numeric) FROM public, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION apply_ledger_entry(bigint, text, numeric, text, text, text, text) TO service_role;
+GRANT EXECUTE ON FUNCTION reconcile_balances() TO service_role;
+GRANT EXECUTE ON FUNCTION increment_daily_usage(bigint, date, text, integer) TO service_role;
+GRANT EXECUTE ON FUNCTION refresh_leaderboard(text, text, timestamptz) TO service_role;
+GRANT EXECUTE ON FUNCTION record_user_signals(bigint, jsonb) TO service_role;
+GRANT EXECUTE ON FUNCTION save_user_risk(bigint, integer, text, jsonb) TO service_role;
+GRANT EXECUTE ON FUNCTION count_referrals(bigint) TO service_role;
+GRANT EXECUTE ON FUNCTION list_referrals(bigint, integer, integer) TO service_role;
+GRANT EXECUTE ON FUNCTION get_referral_commission_totals(bigint, timestamptz) TO service_role;
+GRANT EXECUTE ON FUNCTION take_rate_limit_token(text, integer, integer) TO service_role;
+GRANT EXECUTE ON FUNCTION reserve_idempotency_key(text, text, text, text) TO service_role;
+GRANT EXECUTE ON FUNCTION increment_error_counter(text, text, text) TO service_role;
+GRANT EXECUTE ON FUNCTION get_metric_totals() TO service_role;
+GRANT EXECUTE ON FUNCTION record_user_activity(bigint, date) TO service_role;
+GRANT EXECUTE ON FUNCTION refresh_daily_stats(date, timestamptz, timestamptz) TO service_role;
+GRANT EXECUTE ON FUNCTION get_withdrawal_activity(bigint, timestamptz, timestamptz, integer) TO service_role;
+GRANT EXECUTE ON FUNCTION create_withdrawal(bigint, numeric, text, text, numeric, numeric, text, text, text,
+    integer, integer, timestamptz, numeric, timestamptz, numeric) TO service_role;
+GRANT EXECUTE ON FUNCTION reject_withdrawal(bigint, text, text) TO service_role;
+
+ALTER DEFAULT PRIVILEGES IN SCHEMA public REVOKE EXECUTE ON FUNCTIONS FROM public, anon, authenticated;
+ALTER DEFAULT PRIVILEGES IN SCHEMA public GRANT EXECUTE ON FUNCTIONS TO service_role;
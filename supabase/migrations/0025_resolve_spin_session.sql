@@ -0,0 +1,32 @@
+-- Resolving a spin and paying its prize in one transaction (spinResult)
+-- Before this, the session was marked resolved, the spin_results row inserted and the prize credited in three
+-- separate writes: a credit that failed left the session resolved and the prize unpaid, and a retry
+-- got "already resolved".
+
+-- pending -> resolved, only while unexpired and owned by the user, plus the spin_results row and the
+-- prize's ledger entry. Returns no row when no session matched (nothing is written then).
+CREATE OR REPLACE FUNCTION resolve_spin_session(p_spin_id uuid, p_user_id bigint, p_prize numeric, p_prize_index smallint)
+RETURNS TABLE (session jsonb, balance numeric) AS $$
+DECLARE
+    v_session spin_sessions%ROWTYPE;
+    v_balance numeric;
+BEGIN
+    UPDATE spin_sessions s
+       SET status = 'resolved', prize = p_prize, prize_index = p_prize_index, resolved_at = now()
+     WHERE s.id = p_spin_id AND s.user_id = p_user_id AND s.status = 'pending' AND s.expires_at > now()
+    RETURNING * INTO v_session;
+    IF NOT FOUND THEN
+        RETURN;
+    END IF;
+
+    INSERT INTO spin_results (user_id, prize, spin_session_id) VALUES (p_user_id, p_prize, p_spin_id);
+
+    SELECT l.balance INTO v_balance
+      FROM apply_ledger_entry(p_user_id, 'spin', p_prize, 'spin_sessions', p_spin_id::text) l;
+
+    RETURN QUERY SELECT to_jsonb(v_session), v_balance;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION resolve_spin_session(uuid, bigint, numeric, smallint) FROM public, anon, authenticated;
+GRANT EXECUTE ON FUNCTION resolve_spin_session(uuid, bigint, numeric, smallint) TO service_role;
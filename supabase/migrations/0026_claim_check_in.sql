@@ -0,0 +1,38 @@
+-- Consuming a check-in's action ID, recording it and crediting its reward in one transaction (checkIn)
+-- Before this, the action ID was consumed, the check_ins row inserted and the reward credited in separate
+-- writes: a credit that failed left the day claimed but unpaid, and a retry got 409.
+
+-- status is 'credited' (with the check-in and the new balance), 'token_invalid' when the action ID is
+-- unknown or already used (nothing is written), or 'already_claimed' when the user already checked in on
+-- that day (the action ID is still consumed). The check-in row is the source of the reward's ledger entry.
+CREATE OR REPLACE FUNCTION claim_check_in(p_user_id bigint, p_action_id text, p_check_in_date date, p_streak integer, p_reward numeric)
+RETURNS TABLE (status text, check_in jsonb, balance numeric) AS $$
+DECLARE
+    v_check_in check_ins%ROWTYPE;
+    v_balance numeric;
+BEGIN
+    DELETE FROM temp_actions t
+     WHERE t.user_id = p_user_id AND t.action_id = p_action_id AND t.action_type = 'checkIn';
+    IF NOT FOUND THEN
+        RETURN QUERY SELECT 'token_invalid'::text, NULL::jsonb, NULL::numeric;
+        RETURN;
+    END IF;
+
+    INSERT INTO check_ins (user_id, check_in_date, streak, reward)
+    VALUES (p_user_id, p_check_in_date, p_streak, p_reward)
+    ON CONFLICT (user_id, check_in_date) DO NOTHING
+    RETURNING * INTO v_check_in;
+    IF NOT FOUND THEN
+        RETURN QUERY SELECT 'already_claimed'::text, NULL::jsonb, NULL::numeric;
+        RETURN;
+    END IF;
+
+    SELECT l.balance INTO v_balance
+      FROM apply_ledger_entry(p_user_id, 'check_in', p_reward, 'check_ins', v_check_in.id::text) l;
+
+    RETURN QUERY SELECT 'credited'::text, to_jsonb(v_check_in), v_balance;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION claim_check_in(bigint, text, date, integer, numeric) FROM public, anon, authenticated;
+GRANT EXECUTE ON FUNCTION claim_check_in(bigint, text, date, integer, numeric) TO service_role;
@@ -0,0 +1,38 @@
+-- Consuming a task claim's action ID, recording the completion and crediting its reward in one transaction (claimTask)
+-- Before this, the action ID was consumed, the task_completions row inserted and the reward credited in
+-- separate writes: a credit that failed left the task claimed but unpaid, and a retry got 409.
+
+-- status is 'credited' (with the completion and the new balance), 'token_invalid' when the action ID is
+-- unknown or already used (nothing is written), or 'already_claimed' when the task is already claimed for
+-- that period (the action ID is still consumed). The completion row is the source of the reward's ledger entry.
+CREATE OR REPLACE FUNCTION claim_task(p_task_id bigint, p_user_id bigint, p_action_id text, p_period text, p_reward numeric)
+RETURNS TABLE (status text, completion jsonb, balance numeric) AS $$
+DECLARE
+    v_completion task_completions%ROWTYPE;
+    v_balance numeric;
+BEGIN
+    DELETE FROM temp_actions t
+     WHERE t.user_id = p_user_id AND t.action_id = p_action_id AND t.action_type = 'claimTask';
+    IF NOT FOUND THEN
+        RETURN QUERY SELECT 'token_invalid'::text, NULL::jsonb, NULL::numeric;
+        RETURN;
+    END IF;
+
+    INSERT INTO task_completions (task_id, user_id, period, reward)
+    VALUES (p_task_id, p_user_id, p_period, p_reward)
+    ON CONFLICT (task_id, user_id, period) DO NOTHING
+    RETURNING * INTO v_completion;
+    IF NOT FOUND THEN
+        RETURN QUERY SELECT 'already_claimed'::text, NULL::jsonb, NULL::numeric;
+        RETURN;
+    END IF;
+
+    SELECT l.balance INTO v_balance
+      FROM apply_ledger_entry(p_user_id, 'task', p_reward, 'task_completions', v_completion.id::text) l;
+
+    RETURN QUERY SELECT 'credited'::text, to_jsonb(v_completion), v_balance;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION claim_task(bigint, bigint, text, text, numeric) FROM public, anon, authenticated;
+GRANT EXECUTE ON FUNCTION claim_task(bigint, bigint, text, text, numeric) TO service_role;
@@ -0,0 +1,37 @@
+-- Consuming an ad's action ID, counting the ad and crediting its reward in one transaction (/api/ad-callback)
+-- Before this, the three were separate writes: a credit that failed left the action ID consumed and the
+-- ad counted but unpaid, and the network's retry was turned away with TOKEN_INVALID.
+
+-- status is 'credited' (with the ad count, the ledger entry and the new balance), 'token_invalid' when
+-- the action ID is unknown or already used (nothing is written), or 'daily_limit' when the day's ads
+-- are used up (the action ID is still consumed, so it can never pay later).
+CREATE OR REPLACE FUNCTION reward_ad_view(p_user_id bigint, p_action_id text, p_usage_date date, p_max_ads integer, p_reward numeric)
+RETURNS TABLE (status text, ads_watched integer, entry_id bigint, balance numeric) AS $$
+DECLARE
+    v_ads_watched integer;
+    v_entry_id bigint;
+    v_balance numeric;
+BEGIN
+    DELETE FROM temp_actions t
+     WHERE t.user_id = p_user_id AND t.action_id = p_action_id AND t.action_type = 'watchAd';
+    IF NOT FOUND THEN
+        RETURN QUERY SELECT 'token_invalid'::text, NULL::integer, NULL::bigint, NULL::numeric;
+        RETURN;
+    END IF;
+
+    SELECT u.ads_watched INTO v_ads_watched
+      FROM increment_daily_usage(p_user_id, p_usage_date, 'ads_watched', p_max_ads) u;
+    IF NOT FOUND THEN
+        RETURN QUERY SELECT 'daily_limit'::text, NULL::integer, NULL::bigint, NULL::numeric;
+        RETURN;
+    END IF;
+
+    SELECT l.entry_id, l.balance INTO v_entry_id, v_balance
+      FROM apply_ledger_entry(p_user_id, 'ad', p_reward, 'action', p_action_id) l;
+
+    RETURN QUERY SELECT 'credited'::text, v_ads_watched, v_entry_id, v_balance;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION reward_ad_view(bigint, text, date, integer, numeric) FROM public, anon, authenticated;
+GRANT EXECUTE ON FUNCTION reward_ad_view(bigint, text, date, integer, numeric) TO service_role;
@@ -0,0 +1,131 @@
+// /test/ad-rewards.test.js
+process.env.AD_CALLBACK_SECRETS = 'generic:postback-secret';
+const { callHandler, callAsUser } = require('./helpers');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const storage = require('../lib/storage');
+const { buildPostbackParams, verifyPostback } = require('../lib/ad-networks');
+const { getUsageDate } = require('../lib/limits');
+const { ECONOMY } = require('../lib/config');
+
+const SECRET = 'postback-secret';
+
+let nextUserId = 5000;
+let nextEvent = 0;
+
+async function createUser(fields = {}) {
+    const id = ++nextUserId;
+    await storage.createUser({ id, ...fields });
+    return id;
+}
+
+async function generateAdActionId(userId) {
+    const response = await callAsUser(userId, { type: 'generateActionId', action_type: 'watchAd' });
+    return response.body.data.action_id;
+}
+
+function signedParams(userId, actionId, fields = {}) {
+    return { network: 'generic', ...buildPostbackParams('generic', { actionId, userId, eventId: `event-${++nextEvent}`, ...fields }, SECRET) };
+}
+
+function postback(params) {
+    return callHandler(require('../api/ad-callback.js'), { method: 'GET', url: `/api/ad-callback?${new URLSearchParams(params)}` });
+}
+
+describe('verifyPostback', () => {
+    it('accepts a postback signed with the network secret', () => {
+        const result = verifyPostback('generic', signedParams(42, 'action-1'));
+        assert.equal(result.ok, true);
+        assert.equal(result.postback.userId, 42);
+        assert.equal(result.postback.actionId, 'action-1');
+    });
+
+    it('rejects a wrong signature with 401', () => {
+        const params = signedParams(42, 'action-1');
+        assert.equal(verifyPostback('generic', { ...params, user_id: '43' }).status, 401);
+        assert.equal(verifyPostback('generic', { ...params, signature: params.signature.slice(1) }).status, 401);
+    });
+
+    it('rejects a multibyte signature of the right length with 401', () => {
+        const params = signedParams(42, 'action-1');
+        assert.equal(verifyPostback('generic', { ...params, signature: 'é'.repeat(params.signature.length) }).status, 401);
+    });
+
+    it('rejects a stale postback, missing parameters and unknown networks', () => {
+        const stale = signedParams(42, 'action-1', { timestamp: Math.floor(Date.now() / 1000) - 3600 });
+        assert.equal(verifyPostback('generic', stale).status, 401);
+
+        const { event_id, ...missing } = signedParams(42, 'action-1');
+        assert.equal(verifyPostback('generic', missing).status, 400);
+        assert.equal(verifyPostback('unknown', signedParams(42, 'action-1')).status, 404);
+    });
+});
+
+describe('ad callback', () => {
+    it('credits the ad once and reports it to watchAd', async () => {
+        const userId = await createUser();
+        const actionId = await generateAdActionId(userId);
+        assert.equal((await callAsUser(userId, { type: 'watchAd', action_id: actionId })).body.data.status, 'pending');
+
+        const params = signedParams(userId, actionId);
+        const response = await postback(params);
+        assert.equal(response.status, 200);
+        assert.equal(response.body.data.credited, true);
+
+        const duplicate = await postback(params);
+        assert.equal(duplicate.body.data.duplicate, true);
+
+        const watched = await callAsUser(userId, { type: 'watchAd', action_id: actionId });
+        assert.equal(watched.body.data.status, 'credited');
+        assert.equal(watched.body.data.new_balance, ECONOMY.ads.reward);
+        assert.equal(watched.body.data.new_ads_count, 1);
+    });
+
+    it('pays an action ID only once across different events', async () => {
+        const userId = await createUser();
+        const actionId = await generateAdActionId(userId);
+        await postback(signedParams(userId, actionId));
+
+        const replay = await postback(signedParams(userId, actionId));
+        assert.equal(replay.body.data.credited, false);
+        assert.equal((await storage.getUser(userId)).balance, ECONOMY.ads.reward);
+    });
+
+    it('rejects a forged postback without crediting', async () => {
+        const userId = await createUser();
+        const actionId = await generateAdActionId(userId);
+
+        const forged = await postback({ ...signedParams(userId, actionId), signature: 'f'.repeat(64) });
+        assert.equal(forged.status, 401);
+        assert.equal((await storage.getUser(userId)).balance, 0);
+        assert.ok(await storage.findActionId(userId, actionId, 'watchAd'));
+    });
+
+    it('credits the referrer a commission from the ad reward', async () => {
+        const referrerId = await createUser();
+        const userId = await createUser({ ref_by: referrerId });
+        await postback(signedParams(userId, await generateAdActionId(userId)));
+
+        const [commission] = storage._tables.ledger_entries.filter(entry => entry.user_id === referrerId);
+        assert.equal(commission.entry_type, 'commission');
+        assert.equal(commission.amount, Math.round(ECONOMY.ads.reward * ECONOMY.referrals.commission_rates[0] * 1e8) / 1e8);
+    });
+
+    it('writes nothing when the credit fails, so the network retry is paid', async () => {
+        const userId = await createUser();
+        const actionId = await generateAdActionId(userId);
+        // Another entry already holds this action ID as its source, so the credit is refused
+        storage._tables.ledger_entries.push({ id: 0, user_id: userId, entry_type: 'ad', amount: 0, source_type: 'action', source_id: actionId });
+
+        const failed = await postback(signedParams(userId, actionId));
+        assert.equal(failed.status, 500);
+        assert.ok(await storage.findActionId(userId, actionId, 'watchAd'));
+        assert.equal(await storage.getDailyUsage(userId, getUsageDate()), null);
+
+        storage._tables.ledger_entries.pop();
+        const retry = await postback(signedParams(userId, actionId));
+        assert.equal(retry.body.data.credited, true);
+        assert.equal((await storage.getUser(userId)).balance, ECONOMY.ads.reward);
+    });
+});
@@ -0,0 +1,88 @@
+// /test/bot-webhook.test.js
+process.env.BOT_WEBHOOK_SECRET = 'webhook-secret';
+const { callHandler } = require('./helpers');
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const storage = require('../lib/storage');
+const { setBotApi } = require('../lib/telegram');
+const ledger = require('../lib/ledger');
+
+let sent = [];
+const fakeBotApi = {
+    sendMessage: async (chatId, text) => {
+        sent.push({ chatId, text });
+        return { message_id: sent.length };
+    }
+};
+setBotApi(fakeBotApi);
+
+let nextUpdate = 0;
+
+function sendUpdate(message, secret = 'webhook-secret') {
+    return callHandler(require('../api/bot-webhook.js'), {
+        headers: { 'x-telegram-bot-api-secret-token': secret },
+        body: { update_id: ++nextUpdate, message }
+    });
+}
+
+function command(userId, text, chatType = 'private') {
+    return sendUpdate({ message_id: nextUpdate, from: { id: userId, first_name: `User ${userId}` }, chat: { id: userId, type: chatType }, text });
+}
+
+describe('bot webhook', () => {
+    beforeEach(() => {
+        sent = [];
+    });
+
+    it('rejects updates without the secret token', async () => {
+        const response = await sendUpdate({ text: '/help' }, 'wrong-secret');
+        assert.equal(response.status, 401);
+        assert.deepEqual(sent, []);
+    });
+
+    it('registers the user on /start with the referrer from the start parameter', async () => {
+        await storage.createUser({ id: 8001 });
+
+        const response = await command(8002, '/start ref_8001');
+        assert.equal(response.status, 200);
+        assert.equal(response.body.data.handled, true);
+        assert.equal((await storage.getUser(8002)).ref_by, 8001);
+        assert.match(sent[0].text, /Welcome! Your account is ready/);
+
+        await command(8002, '/start');
+        assert.match(sent[1].text, /Welcome back/);
+    });
+
+    it('answers /balance with the balance and today\'s progress', async () => {
+        await storage.createUser({ id: 8003 });
+        await ledger.credit(8003, ledger.ENTRY_TYPES.ADJUSTMENT, 1250);
+
+        await command(8003, '/balance');
+        assert.equal(sent[0].chatId, 8003);
+        assert.match(sent[0].text, /Balance: 1,250/);
+        assert.match(sent[0].text, /Ads today: 0/);
+    });
+
+    it('asks unknown users to /start first', async () => {
+        await command(8004, '/balance');
+        assert.match(sent[0].text, /Send \/start/);
+        assert.equal(await storage.getUser(8004), null);
+    });
+
+    it('ignores messages outside private chats', async () => {
+        const response = await command(8005, '/start', 'group');
+        assert.equal(response.body.data.handled, false);
+        assert.deepEqual(sent, []);
+        assert.equal(await storage.getUser(8005), null);
+    });
+
+    it('answers 500 when the reply fails, so Telegram redelivers the update', async () => {
+        setBotApi({ sendMessage: async () => { throw new Error('Bad Gateway'); } });
+        try {
+            assert.equal((await command(8006, '/help')).status, 500);
+        } finally {
+            setBotApi(fakeBotApi);
+        }
+    });
+});
@@ -0,0 +1,176 @@
+// /test/claims.test.js
+const { callAsUser } = require('./helpers');
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const storage = require('../lib/storage');
+const { getUsageDate, shiftUsageDate } = require('../lib/limits');
+const { getBotApi, setBotApi } = require('../lib/telegram');
+const { ECONOMY } = require('../lib/config');
+
+let nextUserId = 6000;
+
+async function createUser() {
+    const id = ++nextUserId;
+    await storage.createUser({ id });
+    return id;
+}
+
+async function generateActionId(userId, actionType) {
+    const response = await callAsUser(userId, { type: 'generateActionId', action_type: actionType });
+    return response.body.data.action_id;
+}
+
+async function call(userId, type, fields = {}) {
+    return callAsUser(userId, { type, action_id: await generateActionId(userId, type), ...fields });
+}
+
+function listEntries(userId) {
+    return storage._tables.ledger_entries.filter(entry => entry.user_id === userId);
+}
+
+describe('checkIn', () => {
+    it('credits the first day once per day', async () => {
+        const userId = await createUser();
+
+        const first = await call(userId, 'checkIn');
+        assert.equal(first.status, 200);
+        assert.equal(first.body.data.reward, ECONOMY.check_in.rewards[0]);
+        assert.equal(first.body.data.new_balance, ECONOMY.check_in.rewards[0]);
+
+        const second = await call(userId, 'checkIn');
+        assert.equal(second.status, 409);
+        assert.equal(second.body.code, 'ALREADY_CLAIMED');
+        assert.equal(listEntries(userId).length, 1);
+    });
+
+    it('extends a streak from yesterday', async () => {
+        const userId = await createUser();
+        storage._tables.check_ins.push({ id: 0, user_id: userId, check_in_date: shiftUsageDate(getUsageDate(), -1), streak: 2, reward: 3 });
+
+        const response = await call(userId, 'checkIn');
+        assert.equal(response.body.data.reward, ECONOMY.check_in.rewards[2]);
+        assert.equal(response.body.data.check_in.streak, 3);
+    });
+
+    it('uses an action ID once', async () => {
+        const userId = await createUser();
+        const request = { type: 'checkIn', action_id: await generateActionId(userId, 'checkIn') };
+        await callAsUser(userId, request);
+
+        const reused = await callAsUser(userId, request);
+        assert.equal(reused.status, 409);
+        assert.equal(reused.body.code, 'TOKEN_INVALID');
+    });
+
+    it('writes nothing when the credit fails', async () => {
+        const userId = await createUser();
+        const actionId = await generateActionId(userId, 'checkIn');
+        // The next check-in's ledger source is already taken, so the credit is refused
+        const nextId = String((storage._tables.sequences.check_ins || 0) + 1);
+        storage._tables.ledger_entries.push({ id: 0, user_id: userId, entry_type: 'check_in', amount: 0, source_type: 'check_ins', source_id: nextId });
+
+        const failed = await callAsUser(userId, { type: 'checkIn', action_id: actionId });
+        storage._tables.ledger_entries.pop();
+        assert.equal(failed.status, 500);
+        assert.equal(await storage.getLatestCheckIn(userId), null);
+        assert.ok(await storage.findActionId(userId, actionId, 'checkIn'));
+    });
+});
+
+describe('claimTask', () => {
+    const botApi = getBotApi();
+    after(() => setBotApi(botApi));
+
+    it('credits a task once', async () => {
+        const userId = await createUser();
+        const task = await storage.createTask({ title: 'Visit', kind: 'open_link', params: { url: 'https://example.com' }, reward: 7 });
+
+        const first = await call(userId, 'claimTask', { task_id: task.id });
+        assert.equal(first.status, 200);
+        assert.equal(first.body.data.new_balance, 7);
+
+        const second = await call(userId, 'claimTask', { task_id: task.id });
+        assert.equal(second.status, 409);
+        assert.equal(second.body.code, 'ALREADY_CLAIMED');
+        assert.equal(listEntries(userId).length, 1);
+    });
+
+    it('checks channel membership with the Bot API', async () => {
+        const userId = await createUser();
+        const task = await storage.createTask({ title: 'Join', kind: 'join_channel', params: { chat_id: '@channel', url: 'https://t.me/channel' }, reward: 4 });
+        const members = new Set();
+        setBotApi({ getChatMember: async (chatId, memberId) => ({ status: members.has(memberId) ? 'member' : 'left' }) });
+
+        const early = await call(userId, 'claimTask', { task_id: task.id });
+        assert.equal(early.status, 403);
+        assert.equal(early.body.code, 'TASK_NOT_COMPLETED');
+
+        members.add(userId);
+        const joined = await call(userId, 'claimTask', { task_id: task.id });
+        assert.equal(joined.status, 200);
+        assert.equal(joined.body.data.new_balance, 4);
+    });
+
+    it('refuses an inactive task', async () => {
+        const userId = await createUser();
+        const task = await storage.createTask({ title: 'Old', kind: 'open_link', params: { url: 'https://example.com' }, reward: 7, is_active: false });
+
+        const response = await call(userId, 'claimTask', { task_id: task.id });
+        assert.equal(response.status, 404);
+        assert.deepEqual(listEntries(userId), []);
+    });
+});
+
+describe('spin', () => {
+    const prizes = ECONOMY.spins.sectors.map(sector => sector.prize);
+
+    it('credits the prize of a spin session once', async () => {
+        const userId = await createUser();
+        const spin = await call(userId, 'spin');
+        assert.equal(spin.status, 200);
+        assert.equal(spin.body.data.new_spins_count, 1);
+
+        const result = await callAsUser(userId, { type: 'spinResult', spin_id: spin.body.data.spin_id });
+        assert.equal(result.status, 200);
+        assert.ok(prizes.includes(result.body.data.actual_prize));
+        assert.equal(result.body.data.new_balance, result.body.data.actual_prize);
+
+        const again = await callAsUser(userId, { type: 'spinResult', spin_id: spin.body.data.spin_id });
+        assert.equal(again.status, 409);
+        assert.equal(listEntries(userId).length, 1);
+    });
+
+    it('resumes the open session instead of counting another spin', async () => {
+        const userId = await createUser();
+        const first = await call(userId, 'spin');
+        const second = await call(userId, 'spin');
+
+        assert.equal(second.body.data.resumed, true);
+        assert.equal(second.body.data.spin_id, first.body.data.spin_id);
+        assert.equal(second.body.data.new_spins_count, 1);
+    });
+
+    it('opens no session once the daily spins are used up', async () => {
+        const userId = await createUser();
+        storage._tables.daily_usage.push({ user_id: userId, usage_date: getUsageDate(), ads_watched: 0, spins: ECONOMY.spins.daily_max });
+
+        const response = await call(userId, 'spin');
+        assert.equal(response.status, 403);
+        assert.equal(response.body.code, 'DAILY_LIMIT');
+        assert.equal(await storage.getPendingSpinSession(userId), null);
+    });
+
+    it('does not count a spin whose session cannot be opened', async () => {
+        const userId = await createUser();
+        const createSpinSession = storage.createSpinSession;
+        storage.createSpinSession = async () => {
+            storage.createSpinSession = createSpinSession;
+            throw new Error('duplicate key value violates unique constraint "spin_sessions_pending_user_idx"');
+        };
+
+        const response = await call(userId, 'spin');
+        assert.equal(response.status, 500);
+        assert.equal(await storage.getDailyUsage(userId, getUsageDate()), null);
+    });
+});
@@ -0,0 +1,79 @@
+// /test/helpers.js
+
+/**
+ * Shared setup for the node:test suites (npm test). Every test file runs in its own process, so
+ * requiring this first gives the file a fresh in-memory store (STORAGE_BACKEND=memory) and fixed
+ * bot and admin credentials. The Bot API is never reached: notifications fail fast and are logged.
+ */
+process.env.STORAGE_BACKEND = 'memory';
+delete process.env.MEMORY_STORE_FILE;
+process.env.BOT_TOKEN = '123456:TEST';
+process.env.ADMIN_API_KEYS = 'tester:test-admin-key';
+
+const crypto = require('crypto');
+const { Readable } = require('stream');
+
+const ADMIN_KEY = 'test-admin-key';
+
+global.fetch = async url => {
+    throw new Error(`No network in tests: ${url}`);
+};
+
+/**
+ * Telegram Mini App initData for the user, signed with BOT_TOKEN.
+ */
+function signInitData(userId) {
+    const params = new URLSearchParams({
+        auth_date: String(Math.floor(Date.now() / 1000)),
+        user: JSON.stringify({ id: userId, first_name: `User ${userId}` })
+    });
+    const dataCheckString = Array.from(params.entries()).map(([key, value]) => `${key}=${value}`).sort().join('\n');
+    const secret = crypto.createHmac('sha256', 'WebAppData').update(process.env.BOT_TOKEN).digest();
+    params.set('hash', crypto.createHmac('sha256', secret).update(dataCheckString).digest('hex'));
+    return params.toString();
+}
+
+/**
+ * Runs one request through a Vercel handler and resolves to { status, headers, body }.
+ * A non-string body is sent as JSON.
+ */
+function callHandler(handler, { method = 'POST', url = '/', headers = {}, body = '', ip = '127.0.0.1' } = {}) {
+    const req = Readable.from([typeof body === 'string' ? body : JSON.stringify(body)]);
+    Object.assign(req, { method, url, headers, socket: { remoteAddress: ip } });
+
+    return new Promise((resolve, reject) => {
+        const res = {
+            statusCode: 200,
+            headers: {},
+            setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+            getHeader(name) { return this.headers[name.toLowerCase()]; },
+            writeHead(statusCode, headers = {}) {
+                this.statusCode = statusCode;
+                Object.entries(headers).forEach(([name, value]) => this.setHeader(name, value));
+            },
+            end(data) {
+                let parsed = data;
+                try { parsed = JSON.parse(data); } catch (error) { /* CSV and other raw bodies */ }
+                resolve({ status: this.statusCode, headers: this.headers, body: parsed });
+            }
+        };
+        Promise.resolve(handler(req, res)).catch(reject);
+    });
+}
+
+/**
+ * Runs one POST through the /api handler.
+ */
+function callApi(body, headers = {}) {
+    return callHandler(require('../api/index.js'), { url: '/api', headers, body });
+}
+
+function callAsUser(userId, body) {
+    return callApi({ ...body, user_id: userId, initData: signInitData(userId) });
+}
+
+function callAsAdmin(body) {
+    return callApi(body, { authorization: `Bearer ${ADMIN_KEY}` });
+}
+
+module.exports = { signInitData, callHandler, callApi, callAsUser, callAsAdmin };
@@ -0,0 +1,121 @@
+// /test/idempotency.test.js
+const { callAsUser } = require('./helpers');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const storage = require('../lib/storage');
+
+let nextUserId = 4000;
+
+async function createUser() {
+    const id = ++nextUserId;
+    await storage.createUser({ id });
+    return id;
+}
+
+async function generateActionId(userId, actionType) {
+    const response = await callAsUser(userId, { type: 'generateActionId', action_type: actionType });
+    return response.body.data.action_id;
+}
+
+// The next call of the storage method fails without writing, like a transaction that rolled back
+function failOnce(method) {
+    const original = storage[method];
+    storage[method] = async () => {
+        storage[method] = original;
+        throw new Error('Connection reset');
+    };
+}
+
+function countEntries(userId) {
+    return storage._tables.ledger_entries.filter(entry => entry.user_id === userId).length;
+}
+
+describe('retry after a failed request', () => {
+    it('pays a check-in once when its retry follows a 500', async () => {
+        const userId = await createUser();
+        const request = { type: 'checkIn', action_id: await generateActionId(userId, 'checkIn'), idempotency_key: 'check-in-0001' };
+
+        failOnce('claimCheckIn');
+        const first = await callAsUser(userId, request);
+        assert.equal(first.status, 500);
+
+        const retry = await callAsUser(userId, request);
+        assert.equal(retry.status, 200);
+        assert.equal(retry.body.data.new_balance, retry.body.data.reward);
+        assert.equal(countEntries(userId), 1);
+    });
+
+    it('pays a task once when its retry follows a 500', async () => {
+        const userId = await createUser();
+        const task = await storage.createTask({ title: 'Visit', kind: 'open_link', params: { url: 'https://example.com' }, reward: 7 });
+        const request = { type: 'claimTask', task_id: task.id, action_id: await generateActionId(userId, 'claimTask'), idempotency_key: 'task-claim-0001' };
+
+        failOnce('claimTask');
+        assert.equal((await callAsUser(userId, request)).status, 500);
+
+        const retry = await callAsUser(userId, request);
+        assert.equal(retry.status, 200);
+        assert.equal(retry.body.data.new_balance, 7);
+        assert.equal(countEntries(userId), 1);
+    });
+
+    it('pays a spin once when its retry follows a 500', async () => {
+        const userId = await createUser();
+        const spin = await callAsUser(userId, { type: 'spin', action_id: await generateActionId(userId, 'spin') });
+        const request = { type: 'spinResult', spin_id: spin.body.data.spin_id, idempotency_key: 'spin-result-0001' };
+
+        failOnce('resolveSpinSession');
+        assert.equal((await callAsUser(userId, request)).status, 500);
+
+        const retry = await callAsUser(userId, request);
+        assert.equal(retry.status, 200);
+        assert.equal(retry.body.data.new_balance, retry.body.data.actual_prize);
+        assert.equal(countEntries(userId), 1);
+    });
+});
+
+describe('replayed idempotency key', () => {
+    it('returns the stored response without running the request again', async () => {
+        const userId = await createUser();
+        const request = { type: 'checkIn', action_id: await generateActionId(userId, 'checkIn'), idempotency_key: 'check-in-0002' };
+
+        const first = await callAsUser(userId, request);
+        const replay = await callAsUser(userId, request);
+        assert.equal(replay.status, first.status);
+        assert.deepEqual(replay.body, first.body);
+        assert.equal(replay.headers['idempotent-replay'], 'true');
+        assert.equal(countEntries(userId), 1);
+    });
+
+    it('replays a final rejection too', async () => {
+        const userId = await createUser();
+        const request = { type: 'checkIn', action_id: 'unknown-action-id', idempotency_key: 'check-in-0003' };
+
+        const first = await callAsUser(userId, request);
+        assert.equal(first.status, 409);
+        const replay = await callAsUser(userId, request);
+        assert.equal(replay.status, 409);
+        assert.equal(replay.headers['idempotent-replay'], 'true');
+    });
+
+    it('refuses the key for a different request', async () => {
+        const userId = await createUser();
+        await callAsUser(userId, { type: 'checkIn', action_id: await generateActionId(userId, 'checkIn'), idempotency_key: 'check-in-0004' });
+
+        const changed = await callAsUser(userId, { type: 'checkIn', action_id: await generateActionId(userId, 'checkIn'), idempotency_key: 'check-in-0004' });
+        assert.equal(changed.status, 422);
+        assert.equal(changed.body.code, 'IDEMPOTENCY_CONFLICT');
+        assert.equal(countEntries(userId), 1);
+    });
+
+    it('keeps keys apart per user', async () => {
+        const firstUser = await createUser();
+        const secondUser = await createUser();
+        for (const userId of [firstUser, secondUser]) {
+            const response = await callAsUser(userId, { type: 'checkIn', action_id: await generateActionId(userId, 'checkIn'), idempotency_key: 'check-in-0005' });
+            assert.equal(response.status, 200);
+            assert.equal(response.headers['idempotent-replay'], undefined);
+        }
+    });
+});
@@ -0,0 +1,64 @@
+// /test/ledger.test.js
+require('./helpers');
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const storage = require('../lib/storage');
+const ledger = require('../lib/ledger');
+
+const USER_ID = 1001;
+
+describe('ledger', () => {
+    before(async () => {
+        await storage.createUser({ id: USER_ID });
+    });
+
+    it('credits and debits through signed entries', async () => {
+        const credited = await ledger.credit(USER_ID, ledger.ENTRY_TYPES.ADJUSTMENT, 500);
+        assert.equal(credited.balance, 500);
+
+        const debited = await ledger.debit(USER_ID, ledger.ENTRY_TYPES.ADJUSTMENT, 200);
+        assert.equal(debited.balance, 300);
+        assert.equal((await storage.getUser(USER_ID)).balance, 300);
+
+        const entries = await storage.listLedgerEntries(USER_ID, { limit: 10 });
+        assert.deepEqual(entries.map(entry => entry.amount), [-200, 500]);
+    });
+
+    it('rejects a debit below zero and leaves the balance alone', async () => {
+        const { balance } = await storage.getUser(USER_ID);
+
+        await assert.rejects(ledger.debit(USER_ID, ledger.ENTRY_TYPES.ADJUSTMENT, balance + 1),
+            { name: 'LedgerError', code: 'INSUFFICIENT_BALANCE' });
+        assert.equal((await storage.getUser(USER_ID)).balance, balance);
+    });
+
+    it('applies a source once per entry type', async () => {
+        const source = { sourceType: 'action', sourceId: 'ad-1' };
+        const first = await ledger.credit(USER_ID, ledger.ENTRY_TYPES.AD, 5, source);
+
+        await assert.rejects(ledger.credit(USER_ID, ledger.ENTRY_TYPES.AD, 5, source),
+            { name: 'LedgerError', code: 'DUPLICATE_ENTRY' });
+        assert.equal((await storage.getUser(USER_ID)).balance, first.balance);
+
+        // Another entry type may use the same source
+        const spin = await ledger.credit(USER_ID, ledger.ENTRY_TYPES.SPIN, 7, source);
+        assert.equal(spin.balance, first.balance + 7);
+    });
+
+    it('refuses unknown types, zero amounts and unknown users', async () => {
+        await assert.rejects(ledger.applyEntry({ userId: USER_ID, type: 'gift', amount: 1 }), { code: 'INVALID_ENTRY' });
+        await assert.rejects(ledger.applyEntry({ userId: USER_ID, type: 'ad', amount: 0 }), { code: 'INVALID_ENTRY' });
+        await assert.rejects(ledger.credit(999999, ledger.ENTRY_TYPES.ADJUSTMENT, 1), { code: 'USER_NOT_FOUND' });
+    });
+
+    it('reconciles balances against the ledger sum', async () => {
+        assert.deepEqual(await ledger.reconcileBalances(), []);
+
+        await storage.updateUser(USER_ID, { balance: 1 });
+        const [mismatch] = await ledger.reconcileBalances();
+        assert.equal(mismatch.user_id, USER_ID);
+        assert.equal(mismatch.stored_balance, 1);
+        assert.equal(mismatch.difference, 1 - mismatch.ledger_balance);
+    });
+});
@@ -0,0 +1,59 @@
+// /test/rate-limit.test.js
+const { callApi, callAsUser } = require('./helpers');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const storage = require('../lib/storage');
+const { RATE_LIMIT_POLICIES, consumeRateLimit } = require('../lib/rate-limit');
+
+describe('consumeRateLimit', () => {
+    const bucket = { key: 'test:refill', capacity: 2, refillMs: 50 };
+
+    it('allows a burst of capacity, then one per refill interval', async () => {
+        assert.equal((await consumeRateLimit([bucket])).ok, true);
+        assert.equal((await consumeRateLimit([bucket])).ok, true);
+
+        const empty = await consumeRateLimit([bucket]);
+        assert.equal(empty.ok, false);
+        assert.equal(empty.key, 'test:refill');
+        assert.ok(empty.retryAfterMs > 0 && empty.retryAfterMs <= 50);
+
+        await new Promise(resolve => setTimeout(resolve, 60));
+        assert.equal((await consumeRateLimit([bucket])).ok, true);
+    });
+});
+
+describe('request rate limits', () => {
+    it('limits a user per request type and answers 429 with Retry-After', async () => {
+        const userId = 7001;
+        await storage.createUser({ id: userId });
+        const { capacity } = RATE_LIMIT_POLICIES.action.user;
+
+        for (let i = 0; i < capacity; i++) {
+            assert.equal((await callAsUser(userId, { type: 'checkIn' })).body.code, 'TOKEN_MISSING');
+        }
+        const limited = await callAsUser(userId, { type: 'checkIn' });
+        assert.equal(limited.status, 429);
+        assert.equal(limited.body.code, 'RATE_LIMITED');
+        assert.ok(Number(limited.headers['retry-after']) >= 1);
+
+        // Other request types have their own buckets
+        assert.equal((await callAsUser(userId, { type: 'listTasks' })).status, 200);
+    });
+
+    it('limits admin requests per IP before checking the admin key', async () => {
+        const guess = ip => callApi({ type: 'adminListTasks' }, { authorization: 'Bearer wrong-key', 'x-forwarded-for': ip });
+        const { capacity } = RATE_LIMIT_POLICIES.admin.ip;
+
+        for (let i = 0; i < capacity; i++) {
+            assert.equal((await guess('203.0.113.7')).status, 401);
+        }
+        const limited = await guess('203.0.113.7');
+        assert.equal(limited.status, 429);
+
+        // The bucket is shared by every admin request type, and other IPs are not affected
+        const otherType = await callApi({ type: 'adminReconcileBalances' }, { authorization: 'Bearer wrong-key', 'x-forwarded-for': '203.0.113.7' });
+        assert.equal(otherType.status, 429);
+        assert.equal((await guess('203.0.113.8')).status, 401);
+    });
+});
@@ -0,0 +1,213 @@
+// /test/withdrawals.test.js
+const { callAsAdmin, callAsUser } = require('./helpers');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const storage = require('../lib/storage');
+const ledger = require('../lib/ledger');
+const { ECONOMY } = require('../lib/config');
+
+let nextUserId = 2000;
+
+async function createFundedUser(balance) {
+    const id = ++nextUserId;
+    await storage.createUser({ id });
+    await ledger.credit(id, ledger.ENTRY_TYPES.ADJUSTMENT, balance);
+    return id;
+}
+
+let nextRequest = 0;
+
+function withdraw(userId, amount, { limits, requestKey } = {}) {
+    const key = requestKey || `request-${++nextRequest}`;
+    return ledger.createWithdrawal({
+        userId, amount, method: 'binance', address: '12345678', fee: 0, netAmount: amount,
+        status: 'pending', requestKey: key, sourceId: key, limits
+    });
+}
+
+function todayLimits(overrides) {
+    const dayStart = new Date();
+    dayStart.setUTCHours(0, 0, 0, 0);
+    return { dayStart: dayStart.toISOString(), weekStart: dayStart.toISOString(), ...overrides };
+}
+
+describe('createWithdrawal', () => {
+    it('debits the amount and creates the request together', async () => {
+        const userId = await createFundedUser(1000);
+        const result = await withdraw(userId, 400);
+
+        assert.equal(result.created, true);
+        assert.equal(result.balance, 600);
+        const withdrawal = await storage.getWithdrawal(result.withdrawalId);
+        assert.equal(withdrawal.status, 'pending');
+        assert.equal(withdrawal.amount, 400);
+    });
+
+    it('writes nothing when the balance is too low', async () => {
+        const userId = await createFundedUser(100);
+
+        await assert.rejects(withdraw(userId, 400), { code: 'INSUFFICIENT_BALANCE' });
+        assert.equal((await storage.getUser(userId)).balance, 100);
+        assert.deepEqual(await storage.listUserWithdrawals(userId), []);
+    });
+
+    it('returns the existing request for a repeated request key without debiting again', async () => {
+        const userId = await createFundedUser(1000);
+        const first = await withdraw(userId, 300, { requestKey: 'same-key' });
+        const repeat = await withdraw(userId, 300, { requestKey: 'same-key' });
+
+        assert.equal(repeat.created, false);
+        assert.equal(repeat.withdrawalId, first.withdrawalId);
+        assert.equal(repeat.balance, 700);
+        assert.equal((await storage.listUserWithdrawals(userId)).length, 1);
+    });
+
+    it('allows max_open_requests open requests at a time', async () => {
+        const userId = await createFundedUser(1000);
+        const limits = todayLimits({ maxOpenRequests: 1 });
+        await withdraw(userId, 100, { limits });
+
+        await assert.rejects(withdraw(userId, 100, { limits }), { code: 'WITHDRAWAL_PENDING' });
+        assert.equal((await storage.getUser(userId)).balance, 900);
+    });
+
+    it('enforces the cooldown after a request', async () => {
+        const userId = await createFundedUser(1000);
+        const limits = todayLimits({ cooldownMs: 60 * 60 * 1000 });
+        await withdraw(userId, 100, { limits });
+
+        await assert.rejects(withdraw(userId, 100, { limits }), { code: 'COOLDOWN' });
+    });
+
+    it('keeps the day and week totals under their caps', async () => {
+        const userId = await createFundedUser(10000);
+        await withdraw(userId, 600, { limits: todayLimits({ dayMaxAmount: 1000 }) });
+
+        await assert.rejects(withdraw(userId, 500, { limits: todayLimits({ dayMaxAmount: 1000 }) }), { code: 'WITHDRAWAL_LIMIT' });
+        await assert.rejects(withdraw(userId, 500, { limits: todayLimits({ weekMaxAmount: 1000 }) }), { code: 'WITHDRAWAL_LIMIT' });
+        const fits = await withdraw(userId, 400, { limits: todayLimits({ dayMaxAmount: 1000, weekMaxAmount: 1000 }) });
+        assert.equal(fits.created, true);
+    });
+
+    it('does not count rejected requests against the limits', async () => {
+        const userId = await createFundedUser(1000);
+        const limits = todayLimits({ maxOpenRequests: 1, cooldownMs: 60 * 60 * 1000, dayMaxAmount: 500 });
+        const first = await withdraw(userId, 500, { limits });
+        await ledger.rejectWithdrawal(first.withdrawalId, { admin: 'tester', reason: null });
+
+        const second = await withdraw(userId, 500, { limits });
+        assert.equal(second.created, true);
+    });
+});
+
+describe('rejectWithdrawal', () => {
+    it('rejects and refunds in one step', async () => {
+        const userId = await createFundedUser(1000);
+        const { withdrawalId } = await withdraw(userId, 400);
+
+        const result = await ledger.rejectWithdrawal(withdrawalId, { admin: 'tester', reason: 'Wrong address' });
+        assert.equal(result.refundedAmount, 400);
+        assert.equal(result.balance, 1000);
+        assert.equal(result.withdrawal.status, 'rejected');
+        assert.equal(result.withdrawal.decided_by, 'tester');
+        assert.equal(result.withdrawal.decision_note, 'Wrong address');
+    });
+
+    it('refunds only once', async () => {
+        const userId = await createFundedUser(1000);
+        const { withdrawalId } = await withdraw(userId, 400);
+        await ledger.rejectWithdrawal(withdrawalId, { admin: 'tester', reason: null });
+
+        assert.equal(await ledger.rejectWithdrawal(withdrawalId, { admin: 'tester', reason: null }), null);
+        assert.equal((await storage.getUser(userId)).balance, 1000);
+    });
+
+    it('completes the refund of a withdrawal rejected without one', async () => {
+        const userId = await createFundedUser(1000);
+        const { withdrawalId } = await withdraw(userId, 400);
+        await storage.transitionWithdrawal(withdrawalId, ['pending'], { status: 'rejected', decided_by: 'earlier' });
+
+        const result = await ledger.rejectWithdrawal(withdrawalId, { admin: 'tester', reason: null });
+        assert.equal(result.balance, 1000);
+        assert.equal(result.withdrawal.decided_by, 'earlier');
+    });
+
+    it('leaves a paid withdrawal alone', async () => {
+        const userId = await createFundedUser(1000);
+        const { withdrawalId } = await withdraw(userId, 400);
+        await storage.transitionWithdrawal(withdrawalId, ['pending'], { status: 'paid' });
+
+        assert.equal(await ledger.rejectWithdrawal(withdrawalId, { admin: 'tester', reason: null }), null);
+        assert.equal((await storage.getUser(userId)).balance, 600);
+    });
+
+    it('answers adminRejectWithdrawal with 409 for a finished withdrawal and 404 for an unknown one', async () => {
+        const userId = await createFundedUser(1000);
+        const { withdrawalId } = await withdraw(userId, 400);
+
+        const rejected = await callAsAdmin({ type: 'adminRejectWithdrawal', withdrawal_id: withdrawalId, reason: 'Duplicate' });
+        assert.equal(rejected.status, 200);
+        assert.equal(rejected.body.data.refunded_amount, 400);
+        assert.equal(rejected.body.data.new_balance, 1000);
+
+        const again = await callAsAdmin({ type: 'adminRejectWithdrawal', withdrawal_id: withdrawalId, reason: 'Duplicate' });
+        assert.equal(again.status, 409);
+
+        const unknown = await callAsAdmin({ type: 'adminRejectWithdrawal', withdrawal_id: 999999, reason: 'Duplicate' });
+        assert.equal(unknown.status, 404);
+    });
+});
+
+describe('withdraw request retries', () => {
+    async function requestWithdrawal(userId, fields) {
+        const token = await callAsUser(userId, { type: 'generateActionId', action_type: 'withdraw' });
+        const request = { type: 'withdraw', method: 'binance_pay', address: '12345678', amount: 400, action_id: token.body.data.action_id, ...fields };
+        return { request, response: await callAsUser(userId, request) };
+    }
+
+    it('returns the committed withdrawal to a retry despite the open-request and cooldown rules', async t => {
+        // ECONOMY is frozen only at the top level, so the policy can be tightened for this test
+        const { max_open_requests, cooldown_hours } = ECONOMY.withdrawals.policy;
+        Object.assign(ECONOMY.withdrawals.policy, { max_open_requests: 1, cooldown_hours: 24 });
+        t.after(() => Object.assign(ECONOMY.withdrawals.policy, { max_open_requests, cooldown_hours }));
+        const userId = await createFundedUser(5000);
+
+        // The withdrawal commits, then the connection drops: the client gets a 500 and the key is released
+        const createWithdrawal = storage.createWithdrawal;
+        storage.createWithdrawal = async (...args) => {
+            storage.createWithdrawal = createWithdrawal;
+            await createWithdrawal(...args);
+            throw new Error('Connection reset');
+        };
+        const { request, response: first } = await requestWithdrawal(userId, { idempotency_key: 'retry-key-0001' });
+        assert.equal(first.status, 500);
+
+        const retry = await callAsUser(userId, request);
+        assert.equal(retry.status, 200);
+        const [withdrawal] = await storage.listUserWithdrawals(userId);
+        assert.equal(retry.body.data.withdrawal_id, withdrawal.id);
+        assert.equal((await storage.listUserWithdrawals(userId)).length, 1);
+        assert.equal((await storage.getUser(userId)).balance, 4600);
+    });
+
+    it('uses the action ID as the request key when there is no idempotency key', async () => {
+        const userId = await createFundedUser(5000);
+        const { request, response: first } = await requestWithdrawal(userId, {});
+        assert.equal(first.status, 200);
+
+        const retry = await callAsUser(userId, request);
+        assert.equal(retry.status, 200);
+        assert.equal(retry.body.data.withdrawal_id, first.body.data.withdrawal_id);
+    });
+
+    it('refuses the same request key for a different withdrawal', async () => {
+        const userId = await createFundedUser(5000);
+        const { request } = await requestWithdrawal(userId, { idempotency_key: 'retry-key-0002' });
+        await storage.releaseIdempotencyKey(`user:${userId}`, 'retry-key-0002');
+
+        const changed = await callAsUser(userId, { ...request, amount: 500 });
+        assert.equal(changed.status, 422);
+        assert.equal(changed.body.code, 'IDEMPOTENCY_CONFLICT');
+    });
+});